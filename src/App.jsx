@@ -1,9 +1,11 @@
-import React, { useState, useEffect, useCallback, createContext, useContext } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, doc, updateDoc, deleteDoc, Timestamp, setDoc } from 'firebase/firestore';
+import React, { useState, useEffect, useCallback, useMemo, useRef, createContext, useContext } from 'react';
+import { initializeApp, getApps } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, onAuthStateChanged, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
+import { getFirestore, collection, addDoc, onSnapshot, doc, updateDoc, deleteDoc, Timestamp, setDoc, getDoc, getDocs, writeBatch, runTransaction } from 'firebase/firestore';
 
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 
 // ==================================================================================================
 // --- GLOBAL CONTEXTS & HELPERS ---
@@ -17,6 +19,14 @@ const useNotification = () => {
   return useContext(NotificationContext);
 };
 
+// Permission Context exposing the permission checks of the signed-in user
+const PermissionContext = createContext({ can: () => false });
+
+// Custom hook to check what the signed-in user may do: can(section, action)
+const usePermissions = () => {
+  return useContext(PermissionContext);
+};
+
 // Toast Notification component
 const Toast = ({ message, type, id, onClose }) => {
   const bgColor = type === 'success' ? 'bg-green-500' : type === 'error' ? 'bg-red-500' : 'bg-blue-500';
@@ -102,26 +112,1411 @@ const exportToCsv = (filename, rows, addToast) => {
   }
 };
 
-// Custom Hook for Firestore operations
-const useFirestore = (db, isAuthReady, collectionName, addToast) => {
+// Display names of the attendance statuses
+const ATTENDANCE_STATUS_LABELS = {
+  present: 'حاضر',
+  absent: 'غائب',
+  late: 'متأخر',
+  excused: 'بعذر',
+};
+
+// Display names and badge colors of the derived student payment statuses
+const STUDENT_PAYMENT_STATUSES = {
+  paid: { label: 'مدفوع', color: '#4CAF50', badge: 'bg-green-100 text-green-800' },
+  partial: { label: 'مدفوع جزئياً', color: '#FFC107', badge: 'bg-yellow-100 text-yellow-800' },
+  unpaid: { label: 'غير مدفوع', color: '#F44336', badge: 'bg-red-100 text-red-800' },
+  none: { label: 'لا توجد رسوم', color: '#9E9E9E', badge: 'bg-gray-100 text-gray-800' },
+};
+
+// Display names of the enrollment statuses
+const ENROLLMENT_STATUSES = {
+  active: 'نشط',
+  completed: 'مكتمل',
+  withdrawn: 'منسحب',
+};
+
+// Currencies amounts can be recorded in. Balances and reports are normalized to BASE_CURRENCY,
+// chosen with VITE_BASE_CURRENCY (Libyan dinar by default).
+const CURRENCIES = {
+  LYD: { label: 'دينار ليبي', symbol: 'د.ل' },
+  USD: { label: 'دولار أمريكي', symbol: '$' },
+  EUR: { label: 'يورو', symbol: '€' },
+  GBP: { label: 'جنيه إسترليني', symbol: '£' },
+  TND: { label: 'دينار تونسي', symbol: 'د.ت' },
+  EGP: { label: 'جنيه مصري', symbol: 'ج.م' },
+};
+
+const BASE_CURRENCY = CURRENCIES[import.meta.env.VITE_BASE_CURRENCY] ? import.meta.env.VITE_BASE_CURRENCY : 'LYD';
+
+// Records saved before currencies existed are in the base currency
+const getCurrency = (record) => (record && record.currency) || BASE_CURRENCY;
+
+// Formats an amount with its currency symbol, e.g. "1,250 د.ل" or "300 $"
+const formatCurrency = (amount, currency = BASE_CURRENCY) => (
+  `${(Math.round((amount || 0) * 100) / 100).toLocaleString()} ${CURRENCIES[currency] ? CURRENCIES[currency].symbol : currency}`
+);
+
+// Base-currency units per unit of a record's currency. Enrollments and payments store the rate in
+// effect when they were created, so later rate changes never rewrite past amounts. Null for a record in
+// another currency that has no stored rate, as its amount cannot be converted.
+const getRecordExchangeRate = (record) => (getCurrency(record) === BASE_CURRENCY ? 1 : (record && record.exchangeRate) || null);
+
+// Records without a rate are left out of base-currency totals (counted as 0) rather than guessed at;
+// reports list them through findRecordsMissingRate
+const toBaseCurrency = (amount, record) => {
+  const rate = getRecordExchangeRate(record);
+  return rate ? Math.round(amount * rate * 100) / 100 : 0;
+};
+
+const findRecordsMissingRate = (records) => records.filter(record => !getRecordExchangeRate(record));
+
+// Current rate of a currency from the exchangeRates collection (one document per currency code);
+// undefined when no rate has been entered yet
+const getExchangeRate = (exchangeRates, currency) => (
+  currency === BASE_CURRENCY ? 1 : (exchangeRates.find(rate => rate.id === currency) || {}).rate
+);
+
+// Kinds of discount policy and how a policy's value is read
+const DISCOUNT_POLICY_KINDS = {
+  sibling: 'خصم الإخوة',
+  earlyBird: 'خصم التسجيل المبكر',
+  scholarship: 'منحة دراسية',
+  fixed: 'خصم ثابت',
+};
+
+const DISCOUNT_METHODS = {
+  percent: 'نسبة مئوية من السعر',
+  amount: 'مبلغ ثابت',
+};
+
+// Short description of a policy's value, e.g. "15%" or "50 د.ل". Fixed amounts are in the base currency.
+const formatDiscountPolicyValue = (policy) => (
+  policy.method === 'percent' ? `${policy.value}%` : formatCurrency(policy.value)
+);
+
+// A policy attached to a student or an enrollment already counts in their dues, so its kind, method and
+// value are fixed from then on; a different discount is a new policy
+const isDiscountPolicyInUse = (policyId, students, enrollments) => (
+  students.some(student => (student.discountPolicyIds || []).includes(policyId))
+  || enrollments.some(en => (en.discountPolicyIds || []).includes(policyId))
+);
+
+// Applies the discount policies attached to a student and to one of their enrollments (or a course
+// price for students without enrollments). Percentages are taken from the agreed price, policies are
+// applied in order, and together with the enrollment's own discount they never exceed the price.
+// Archived policies keep applying where they are already attached. Amounts are in the enrollment's
+// currency; fixed policy amounts are converted from the base currency at the enrollment's rate.
+const getEnrollmentDiscounts = (enrollment, student, discountPolicies = []) => {
+  const policyIds = [...new Set([...((student && student.discountPolicyIds) || []), ...(enrollment.discountPolicyIds || [])])];
+  const manual = enrollment.discount || 0;
+  let available = Math.max(0, enrollment.agreedPrice - manual);
+  const lines = [];
+  policyIds.forEach(policyId => {
+    const policy = discountPolicies.find(p => p.id === policyId);
+    if (!policy) return;
+    // A fixed amount cannot be converted for an enrollment without a rate, so it is not applied there
+    const rate = getRecordExchangeRate(enrollment);
+    const value = policy.method === 'percent'
+      ? (enrollment.agreedPrice * policy.value) / 100
+      : (rate ? policy.value / rate : 0);
+    const amount = Math.round(Math.min(value, available) * 100) / 100;
+    available -= amount;
+    lines.push({ policy, amount });
+  });
+  const total = manual + lines.reduce((sum, line) => sum + line.amount, 0);
+  return { lines, manual, total, netPrice: Math.max(0, enrollment.agreedPrice - total) };
+};
+
+// A payment towards an enrollment in the same currency counts at the enrollment's rate, so paying an
+// enrollment in full always clears it; any other payment counts at its own rate
+const getPaymentRateRecord = (payment, enrollments) => {
+  const enrollment = payment.enrollmentId && enrollments.find(en => en.id === payment.enrollmentId);
+  return enrollment && getCurrency(enrollment) === getCurrency(payment) ? enrollment : payment;
+};
+
+// Everything a student is charged and every discount they receive. Charges come from the student's
+// enrollments (withdrawn ones excluded); students recorded before enrollments existed fall back to the
+// price of their course and of any course they paid towards. Policy discounts are worked out per
+// enrollment or course; `manual` collects discounts typed directly on enrollments, on the student
+// (older records) and on payments. All amounts are returned in the base currency; students without
+// enrollments predate currencies, so their course prices are taken as base-currency amounts.
+const getStudentCharges = (student, payments, courses, enrollments = [], discountPolicies = []) => {
+  const studentPayments = payments.filter(p => p.studentId === student.id);
+  const studentEnrollments = enrollments.filter(e => e.studentId === student.id);
+  const paymentDiscounts = studentPayments.reduce((sum, p) => sum + toBaseCurrency(p.discount || 0, getPaymentRateRecord(p, enrollments)), 0);
+
+  let chargedItems;
+  let manual = paymentDiscounts;
+  if (studentEnrollments.length > 0) {
+    chargedItems = studentEnrollments.filter(e => e.status !== 'withdrawn');
+  } else {
+    const courseIds = [...new Set([student.courseId, ...studentPayments.map(p => p.courseId)].filter(Boolean))];
+    chargedItems = courseIds.map(courseId => {
+      const course = courses.find(c => c.id === courseId);
+      return { agreedPrice: course ? course.price : 0 };
+    });
+    manual += student.discount || 0;
+  }
+
+  const applied = chargedItems.map(item => {
+    const { lines, manual: itemManual } = getEnrollmentDiscounts(item, student, discountPolicies);
+    return {
+      lines: lines.map(line => ({ ...line, amount: toBaseCurrency(line.amount, item) })),
+      manual: toBaseCurrency(itemManual, item),
+    };
+  });
+  const policyLines = applied.flatMap(item => item.lines);
+  manual += applied.reduce((sum, item) => sum + item.manual, 0);
+  return {
+    charges: chargedItems.reduce((sum, item) => sum + toBaseCurrency(item.agreedPrice, item), 0),
+    policyLines,
+    manual,
+    discount: manual + policyLines.reduce((sum, line) => sum + line.amount, 0),
+  };
+};
+
+// Derives a student's balance and payment status from the ledger instead of a stored flag:
+// the charges less all discounts (see getStudentCharges) less the money received, in the base
+// currency. Pending (معلق) payments are not money received, so they do not reduce the balance.
+const getStudentBalance = (student, payments, courses, enrollments = [], discountPolicies = []) => {
+  const studentPayments = payments.filter(p => p.studentId === student.id);
+  const isPending = (payment) => payment.status === 'معلق';
+  const { charges, discount } = getStudentCharges(student, payments, courses, enrollments, discountPolicies);
+  const sumInBase = (list) => list.reduce((sum, p) => sum + toBaseCurrency(p.amount, getPaymentRateRecord(p, enrollments)), 0);
+  const paid = sumInBase(studentPayments.filter(p => !isPending(p)));
+  const pending = sumInBase(studentPayments.filter(isPending));
+
+  const due = Math.max(0, charges - discount);
+  const balance = Math.max(0, due - paid);
+  let status = 'unpaid';
+  if (due === 0) status = 'none';
+  else if (balance === 0) status = 'paid';
+  else if (paid > 0) status = 'partial';
+
+  return { status, due, paid, pending, discount, balance };
+};
+
+// Display names and badge colours of the installment states derived by getInstallmentSchedule
+const INSTALLMENT_STATUSES = {
+  upcoming: { label: 'قادم', summary: 'أقساط قادمة', badge: 'bg-blue-100 text-blue-800' },
+  overdue: { label: 'متأخر', summary: 'أقساط متأخرة', badge: 'bg-red-100 text-red-800' },
+  settled: { label: 'مسدد', summary: 'أقساط مسددة', badge: 'bg-green-100 text-green-800' },
+};
+
+// Splits an amount into `count` installments due every `intervalMonths` months from `firstDueDate`.
+// Amounts are rounded to 2 decimals; the last installment absorbs the rounding difference.
+// Dates are calendar days (UTC, as parsed from date inputs); a due day missing from a shorter
+// month falls on that month's last day.
+const generateInstallments = (total, count, firstDueDate, intervalMonths = 1) => {
+  const baseAmount = Math.floor((total / count) * 100) / 100;
+  return Array.from({ length: count }, (_, index) => {
+    const dueDate = new Date(Date.UTC(firstDueDate.getUTCFullYear(), firstDueDate.getUTCMonth() + index * intervalMonths, 1));
+    const daysInMonth = new Date(Date.UTC(dueDate.getUTCFullYear(), dueDate.getUTCMonth() + 1, 0)).getUTCDate();
+    dueDate.setUTCDate(Math.min(firstDueDate.getUTCDate(), daysInMonth));
+    const amount = index === count - 1
+      ? Math.round((total - baseAmount * (count - 1)) * 100) / 100
+      : baseAmount;
+    return { dueDate, amount };
+  });
+};
+
+// Today's date for the user as a YYYY-MM-DD key. Due dates are stored at UTC midnight of their day, so they
+// are compared as keys (getDateKey) against the local day rather than as instants.
+const getLocalDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Derives the state of every installment of an enrollment from the payments recorded against it.
+// Received payments (and their discounts) settle installments in due-date order; pending (معلق)
+// payments are not money received. An unsettled installment is overdue once its due date has passed.
+// Amounts are in the enrollment's currency, which is also the currency of its payments.
+const getInstallmentSchedule = (enrollment, payments, today = new Date()) => {
+  const toDate = (value) => (value.toDate ? value.toDate() : new Date(value));
+  const todayKey = getLocalDateKey(today);
+  let credit = payments
+    .filter(p => p.enrollmentId === enrollment.id && p.status !== 'معلق')
+    .reduce((sum, p) => sum + p.amount + (p.discount || 0), 0);
+
+  return (enrollment.installments || [])
+    .map(installment => ({ ...installment, dueDate: toDate(installment.dueDate) }))
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map((installment, index) => {
+      const paid = Math.round(Math.min(credit, installment.amount) * 100) / 100;
+      credit -= paid;
+      const remaining = Math.round((installment.amount - paid) * 100) / 100;
+      let status = 'upcoming';
+      if (remaining <= 0) status = 'settled';
+      else if (getDateKey(installment.dueDate) < todayKey) status = 'overdue';
+      return { number: index + 1, dueDate: installment.dueDate, amount: installment.amount, paid, remaining, status };
+    });
+};
+
+// Works out how much of a student's balance is overdue and since when. Enrollments with an
+// installment plan are overdue by their overdue installments; enrollments without one are due in
+// full from their start date. The result never exceeds the student's balance, so general payments
+// not tied to an enrollment still count. Students recorded before enrollments existed have no due
+// date: their whole balance is reported with `oldestDueDate` null. Amounts are in the base currency.
+const getStudentOverdue = (student, payments, courses, enrollments, discountPolicies = [], today = new Date()) => {
+  const toDate = (value) => (value.toDate ? value.toDate() : new Date(value));
+  const { balance } = getStudentBalance(student, payments, courses, enrollments, discountPolicies);
+  const studentEnrollments = enrollments.filter(en => en.studentId === student.id && en.status !== 'withdrawn');
+  if (studentEnrollments.length === 0) {
+    return { overdueAmount: balance, oldestDueDate: null, daysOverdue: null, balance };
+  }
+
+  let overdueAmount = 0;
+  let oldestDueDate = null;
+  const addOverdue = (amount, dueDate) => {
+    overdueAmount += amount;
+    if (!oldestDueDate || dueDate < oldestDueDate) oldestDueDate = dueDate;
+  };
+  studentEnrollments.forEach(enrollment => {
+    const schedule = getInstallmentSchedule(enrollment, payments, today);
+    if (schedule.length > 0) {
+      schedule.filter(item => item.status === 'overdue').forEach(item => addOverdue(toBaseCurrency(item.remaining, enrollment), item.dueDate));
+      return;
+    }
+    const received = payments
+      .filter(p => p.enrollmentId === enrollment.id && p.status !== 'معلق')
+      .reduce((sum, p) => sum + p.amount + (p.discount || 0), 0);
+    const remaining = getEnrollmentDiscounts(enrollment, student, discountPolicies).netPrice - received;
+    const startDate = toDate(enrollment.startDate);
+    if (remaining > 0 && getDateKey(startDate) < getLocalDateKey(today)) addOverdue(toBaseCurrency(remaining, enrollment), startDate);
+  });
+
+  overdueAmount = Math.min(overdueAmount, balance);
+  const daysOverdue = overdueAmount > 0 && oldestDueDate
+    ? Math.max(0, Math.floor((today - oldestDueDate) / (24 * 60 * 60 * 1000)))
+    : null;
+  return { overdueAmount, oldestDueDate: overdueAmount > 0 ? oldestDueDate : null, daysOverdue, balance };
+};
+
+// Kinds of transaction kept in the payments collection. Refunds and voids are separate documents linked
+// to the payment they reverse (originalPaymentId) and carry negative amounts, so every sum over payments
+// (revenue, balances, installments) nets them out without special cases.
+const PAYMENT_TYPES = {
+  payment: { label: 'دفعة', badge: 'bg-blue-100 text-blue-800' },
+  refund: { label: 'استرداد', badge: 'bg-orange-100 text-orange-800' },
+  void: { label: 'إلغاء', badge: 'bg-gray-200 text-gray-800' },
+};
+
+const getPaymentType = (payment) => payment.type || 'payment';
+
+// A payment that has been given a receipt number, or that a refund or void already references, can no
+// longer be edited or deleted, only reversed
+const isPaymentLocked = (payment, payments) => Boolean(payment.receiptNumber)
+  || payments.some(p => p.originalPaymentId === payment.id);
+
+// Totals the refunds and voids recorded against a payment and what is still left to refund
+const getPaymentReversalSummary = (payment, payments) => {
+  const reversals = payments.filter(p => p.originalPaymentId === payment.id);
+  const reversed = reversals.reduce((sum, p) => sum - p.amount, 0);
+  return {
+    reversals,
+    reversed,
+    remaining: Math.round((payment.amount - reversed) * 100) / 100,
+    isVoided: reversals.some(p => getPaymentType(p) === 'void'),
+  };
+};
+
+// Name of the training center printed on receipts and other documents
+const CENTER_NAME = import.meta.env.VITE_CENTER_NAME || 'مركز التدريب';
+
+// Logo printed on certificates unless their template sets its own
+const CENTER_LOGO_URL = import.meta.env.VITE_CENTER_LOGO_URL || '';
+
+// Receipt numbers are shown zero-padded, e.g. 42 -> "000042"
+const formatReceiptNumber = (number) => (number ? String(number).padStart(6, '0') : '—');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const RECEIPT_TITLES = {
+  payment: 'إيصال استلام مبلغ',
+  refund: 'إيصال استرداد مبلغ',
+  void: 'إشعار إلغاء دفعة',
+};
+
+// Builds a standalone, printable Arabic (RTL) receipt page for a payment, refund or void
+const buildReceiptHtml = ({ payment, studentName, courseName }) => {
+  const type = getPaymentType(payment);
+  const date = payment.date && payment.date.toDate ? payment.date.toDate() : new Date(payment.date);
+  const rows = [
+    ['رقم الإيصال', formatReceiptNumber(payment.receiptNumber)],
+    ...(type === 'payment' ? [] : [['الإيصال الأصلي', formatReceiptNumber(payment.originalReceiptNumber)]]),
+    ['التاريخ', date.toLocaleDateString('ar-LY')],
+    ['الطالب', studentName],
+    ['الدورة', courseName || '—'],
+    ['المبلغ', formatCurrency(Math.abs(payment.amount), getCurrency(payment))],
+    ['الخصم', formatCurrency(Math.abs(payment.discount || 0), getCurrency(payment))],
+    ...(type === 'payment' ? [] : [['السبب', payment.reason], ['اعتمد بواسطة', payment.approvedBy]]),
+    ['ملاحظات', payment.notes || '—'],
+    ['أمين الصندوق', payment.cashier || '—'],
+  ];
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(RECEIPT_TITLES[type])} ${escapeHtml(formatReceiptNumber(payment.receiptNumber))}</title>
+<style>
+  body { font-family: Tahoma, Arial, sans-serif; margin: 2rem; color: #1f2937; }
+  .receipt { max-width: 32rem; margin: 0 auto; border: 1px solid #d1d5db; border-radius: 0.5rem; padding: 1.5rem; }
+  h1 { text-align: center; font-size: 1.5rem; margin: 0 0 0.25rem; }
+  h2 { text-align: center; font-size: 1.1rem; font-weight: normal; margin: 0 0 1.5rem; color: #4b5563; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: right; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  th { width: 35%; color: #4b5563; }
+  .signature { margin-top: 3rem; display: flex; justify-content: space-between; }
+  @media print { body { margin: 0; } .receipt { border: none; } }
+</style>
+</head>
+<body>
+<div class="receipt">
+  <h1>${escapeHtml(CENTER_NAME)}</h1>
+  <h2>${escapeHtml(RECEIPT_TITLES[type])}</h2>
+  <table>
+${rows.map(([label, value]) => `    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+  </table>
+  <div class="signature"><span>توقيع المستلم: ____________</span><span>الختم: ____________</span></div>
+</div>
+</body>
+</html>`;
+};
+
+// Builds a printable student card carrying the student's check-in QR code and its typed form
+const buildStudentCardHtml = ({ student, qrDataUrl }) => `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>بطاقة الطالب - ${escapeHtml(student.name)}</title>
+<style>
+  body { font-family: Tahoma, Arial, sans-serif; margin: 2rem; color: #1f2937; }
+  .card { width: 85.6mm; height: 54mm; margin: 0 auto; border: 1px solid #d1d5db; border-radius: 3mm; padding: 4mm; box-sizing: border-box; display: flex; align-items: center; gap: 4mm; }
+  .card img { width: 38mm; height: 38mm; }
+  h1 { font-size: 0.9rem; margin: 0 0 2mm; color: #4b5563; }
+  h2 { font-size: 1.1rem; margin: 0 0 3mm; }
+  .code { font-family: monospace; font-size: 1rem; letter-spacing: 0.1em; direction: ltr; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="card">
+  <img src="${qrDataUrl}" alt="">
+  <div>
+    <h1>${escapeHtml(CENTER_NAME)}</h1>
+    <h2>${escapeHtml(student.name)}</h2>
+    <div>رمز الحضور:</div>
+    <div class="code">${escapeHtml(student.checkInCode)}</div>
+  </div>
+</div>
+</body>
+</html>`;
+
+// Wording and signature blocks a new certificate template starts with
+const DEFAULT_CERTIFICATE_TEMPLATE = {
+  title: 'شهادة إتمام دورة',
+  introText: 'يشهد المركز بأن',
+  completionText: 'قد أتم بنجاح متطلبات دورة',
+  logoUrl: '',
+  accentColor: '#1d4ed8',
+  signatures: [{ label: 'مدير المركز', name: '' }, { label: 'المدرب', name: '' }],
+};
+
+const CERTIFICATE_STATUSES = {
+  issued: { label: 'صادرة', badge: 'bg-green-100 text-green-800' },
+  revoked: { label: 'ملغاة', badge: 'bg-red-100 text-red-800' },
+};
+
+// Certificate numbers are shown zero-padded, e.g. 7 -> "C-000007"
+const formatCertificateNumber = (number) => (number ? `C-${String(number).padStart(6, '0')}` : '—');
+
+// Builds a printable A4 landscape certificate (Arabic, RTL). Issued certificates carry a copy of their
+// template, so a reprint looks the same after the template is edited.
+const buildCertificateHtml = (certificate) => {
+  const { template } = certificate;
+  const formatDate = (value) => (value ? (value.toDate ? value.toDate() : new Date(value)).toLocaleDateString('ar-LY') : '—');
+  const logoUrl = template.logoUrl || CENTER_LOGO_URL;
+  const accentColor = /^#[0-9a-fA-F]{3,8}$/.test(template.accentColor || '') ? template.accentColor : DEFAULT_CERTIFICATE_TEMPLATE.accentColor;
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(template.title)} ${escapeHtml(formatCertificateNumber(certificate.certificateNumber))}</title>
+<style>
+  @page { size: A4 landscape; margin: 0; }
+  body { font-family: Tahoma, Arial, sans-serif; margin: 0; color: #1f2937; }
+  .certificate { width: 297mm; height: 210mm; box-sizing: border-box; padding: 12mm; }
+  .frame { height: 100%; box-sizing: border-box; border: 3mm double ${accentColor}; padding: 10mm 16mm; text-align: center; display: flex; flex-direction: column; }
+  .logo { max-height: 24mm; max-width: 60mm; margin: 0 auto 3mm; }
+  .center { font-size: 1.2rem; color: #4b5563; margin: 0; }
+  h1 { font-size: 2.4rem; color: ${accentColor}; margin: 4mm 0 8mm; }
+  .text { font-size: 1.2rem; margin: 2mm 0; }
+  .name { font-size: 2rem; font-weight: bold; margin: 4mm 0; }
+  .course { font-size: 1.5rem; font-weight: bold; margin: 2mm 0 4mm; }
+  .signatures { margin-top: auto; display: flex; justify-content: space-around; }
+  .signature { min-width: 55mm; }
+  .signature .line { border-top: 1px solid #1f2937; margin-bottom: 2mm; height: 14mm; }
+  .footer { margin-top: 6mm; font-size: 0.8rem; color: #6b7280; display: flex; justify-content: space-between; }
+  @media screen { body { background: #e5e7eb; } .certificate { margin: 1rem auto; background: #fff; } }
+</style>
+</head>
+<body>
+<div class="certificate">
+<div class="frame">
+  ${logoUrl ? `<img class="logo" src="${escapeHtml(logoUrl)}" alt="">` : ''}
+  <p class="center">${escapeHtml(CENTER_NAME)}</p>
+  <h1>${escapeHtml(template.title)}</h1>
+  <p class="text">${escapeHtml(template.introText)}</p>
+  <p class="name">${escapeHtml(certificate.studentName)}</p>
+  <p class="text">${escapeHtml(template.completionText)}</p>
+  <p class="course">${escapeHtml(certificate.courseName)}</p>
+  <p class="text">في الفترة من ${escapeHtml(formatDate(certificate.startDate))} إلى ${escapeHtml(formatDate(certificate.completionDate))}</p>
+  ${certificate.grade ? `<p class="text">بتقدير: <strong>${escapeHtml(certificate.grade)}</strong></p>` : ''}
+  <div class="signatures">
+${(template.signatures || []).map(signature => `    <div class="signature"><div class="line"></div><div>${escapeHtml(signature.label)}</div><div>${escapeHtml(signature.name)}</div></div>`).join('\n')}
+  </div>
+  <div class="footer"><span>رقم الشهادة: ${escapeHtml(formatCertificateNumber(certificate.certificateNumber))}</span><span>تاريخ الإصدار: ${escapeHtml(formatDate(certificate.issuedAt))}</span></div>
+</div>
+</div>
+</body>
+</html>`;
+};
+
+// Opens a printable page (a receipt, card or certificate) in a new window and brings up the print dialog, where it
+// can also be saved as PDF
+const printDocument = (html, addToast) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    addToast("تعذر فتح نافذة الطباعة. الرجاء السماح بالنوافذ المنبثقة.", "error");
+    return;
+  }
+  printWindow.document.write(html);
+  // Printing waits for images such as the card's QR code; writing the page resets handlers, so this comes after it
+  printWindow.onload = () => {
+    printWindow.focus();
+    printWindow.print();
+  };
+  printWindow.document.close();
+};
+
+// Saves the receipt as an HTML file
+const downloadReceipt = (html, filename) => {
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Percentage of recorded sessions attended (present or late). Excused absences are left out of the
+// count entirely, so only unexcused absences lower the rate; null when there is nothing to count.
+const getAttendanceRate = (attendanceRecords) => {
+  const counted = attendanceRecords.filter(att => att.status !== 'excused');
+  if (counted.length === 0) return null;
+  const attended = counted.filter(att => att.status === 'present' || att.status === 'late').length;
+  return Math.round((attended / counted.length) * 100);
+};
+
+// Counts per attendance status plus the total minutes late
+const getAttendanceSummary = (attendanceRecords) => attendanceRecords.reduce((acc, att) => {
+  acc[att.status] = (acc[att.status] || 0) + 1;
+  if (att.status === 'late') acc.lateMinutes += att.lateMinutes || 0;
+  return acc;
+}, { present: 0, late: 0, excused: 0, absent: 0, lateMinutes: 0 });
+
+// One-letter marks for the attendance history grid
+const ATTENDANCE_STATUS_MARKS = { present: 'ح', absent: 'غ', late: 'ت', excused: 'ع' };
+
+// Attendance history of one class between two YYYY-MM-DD keys (inclusive): a column per session, held
+// sessions of the timetable included even when nobody took attendance, and a row per student on the roster
+// or with a record. Records of classes without a timetable are grouped by day.
+const buildAttendanceGrid = (classId, students, attendances, classSessions, fromKey, toKey, todayKey) => {
+  const inRange = (dateKey) => (!fromKey || dateKey >= fromKey) && (!toKey || dateKey <= toKey);
+  const columns = new Map();
+  classSessions
+    .filter(session => session.classId === classId && session.status !== 'cancelled' && session.date <= todayKey && inRange(session.date))
+    .forEach(session => columns.set(session.id, { key: session.id, date: session.date, startTime: session.startTime }));
+
+  const records = attendances.filter(att => att.classId === classId && inRange(getDateKey(att.date)));
+  const cellsByStudent = {};
+  records.forEach(att => {
+    const dateKey = getDateKey(att.date);
+    const key = att.sessionId || `${classId}-${dateKey}`;
+    if (!columns.has(key)) columns.set(key, { key, date: dateKey, startTime: '' });
+    cellsByStudent[att.studentId] = { ...cellsByStudent[att.studentId], [key]: att };
+  });
+
+  const sortedColumns = [...columns.values()].sort((a, b) => `${a.date}${a.startTime}`.localeCompare(`${b.date}${b.startTime}`));
+  const rows = students
+    .filter(student => getStudentClassIds(student).includes(classId) || cellsByStudent[student.id])
+    .map(student => {
+      const cells = cellsByStudent[student.id] || {};
+      return { student, cells, rate: getAttendanceRate(Object.values(cells)) };
+    });
+  const trend = sortedColumns.map(column => ({
+    name: column.startTime ? `${column.date} ${column.startTime}` : column.date,
+    rate: getAttendanceRate(rows.map(row => row.cells[column.key]).filter(Boolean)),
+  })).filter(point => point.rate !== null);
+
+  return { columns: sortedColumns, rows, rate: getAttendanceRate(records), trend };
+};
+
+// Kinds of absence alert rules: a run of unexcused absences in one class, or a low attendance rate in one course
+const ATTENDANCE_RULE_TYPES = {
+  consecutive: 'غيابات متتالية بدون عذر',
+  rate: 'نسبة حضور منخفضة في دورة',
+};
+
+const describeAttendanceRule = (rule) => (rule.type === 'consecutive'
+  ? `${rule.threshold} غيابات متتالية أو أكثر بدون عذر في فصل`
+  : `نسبة حضور أقل من ${rule.threshold}% في دورة (بعد ${rule.minSessions || 1} حصص على الأقل)`);
+
+// Students at risk under the active rules: one alert per rule, student and class (consecutive absences) or
+// course (rate). Excused absences neither count as absences nor break a run. Each alert carries the id of the
+// latest record it was computed from, so a follow-up covers it until more attendance is recorded.
+const evaluateAttendanceRules = (rules, students, classes, attendances) => {
+  const activeRules = rules.filter(rule => rule.active !== false);
+  if (activeRules.length === 0) return [];
+
+  // Map of key -> records, in the order of `records`
+  const groupRecords = (records, getKey) => {
+    const groups = new Map();
+    records.forEach(att => {
+      const key = getKey(att);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(att);
+    });
+    return groups;
+  };
+  const sortedRecords = [...attendances].sort((a, b) => `${getDateKey(a.date)}${a.sessionId || ''}`.localeCompare(`${getDateKey(b.date)}${b.sessionId || ''}`));
+  const recordsByStudent = groupRecords(sortedRecords, att => att.studentId);
+  const courseIdByClass = Object.fromEntries(classes.map(cls => [cls.id, cls.courseId]));
+
+  const alerts = [];
+  students.forEach(student => {
+    const records = recordsByStudent.get(student.id) || [];
+    activeRules.forEach(rule => {
+      if (rule.type === 'consecutive') {
+        groupRecords(records, att => att.classId).forEach((classRecords, classId) => {
+          let run = 0;
+          for (let i = classRecords.length - 1; i >= 0; i--) {
+            if (classRecords[i].status === 'excused') continue;
+            if (classRecords[i].status !== 'absent') break;
+            run += 1;
+          }
+          if (run >= rule.threshold) {
+            alerts.push({ key: `${rule.id}-${student.id}-${classId}`, rule, student, classId, value: run, lastRecordId: classRecords[classRecords.length - 1].id });
+          }
+        });
+      } else if (rule.type === 'rate') {
+        groupRecords(records, att => courseIdByClass[att.classId]).forEach((courseRecords, courseId) => {
+          const counted = courseRecords.filter(att => att.status !== 'excused').length;
+          const rate = getAttendanceRate(courseRecords);
+          if (counted >= (rule.minSessions || 1) && rate < rule.threshold) {
+            alerts.push({ key: `${rule.id}-${student.id}-${courseId}`, rule, student, courseId, value: rate, lastRecordId: courseRecords[courseRecords.length - 1].id });
+          }
+        });
+      }
+    });
+  });
+  return alerts;
+};
+
+// Alert text, e.g. "3 غيابات متتالية بدون عذر في فصل الرياضيات"
+const describeAttendanceAlert = (alert, classes, courses) => {
+  if (alert.classId) {
+    const cls = classes.find(c => c.id === alert.classId);
+    return `${alert.value} غيابات متتالية بدون عذر في فصل ${cls ? cls.name : 'محذوف'}`;
+  }
+  const course = courses.find(c => c.id === alert.courseId);
+  return `نسبة الحضور ${alert.value}% في دورة ${course ? course.name : 'محذوفة'} (الحد ${alert.rule.threshold}%)`;
+};
+
+// Latest follow-up logged for an alert, or null when it has not been followed up since its last record
+const getAlertFollowUp = (alert, followUps) => followUps
+  .filter(followUp => followUp.alertKey === alert.key && followUp.lastRecordId === alert.lastRecordId)
+  .sort((a, b) => (b.followedUpAt?.toMillis?.() || 0) - (a.followedUpAt?.toMillis?.() || 0))[0] || null;
+
+// Short description of a record's details, e.g. "10 دقيقة - ملاحظة"
+const describeAttendanceDetails = (att) => [
+  att.status === 'late' && att.lateMinutes ? `${att.lateMinutes} دقيقة` : '',
+  att.status === 'excused' ? att.excuseReason : '',
+  att.note,
+].filter(Boolean).join(' - ');
+
+// Calendar day (YYYY-MM-DD) of a stored Timestamp or Date, as attendance dates are keyed
+const getDateKey = (value) => (value.toDate ? value.toDate() : new Date(value)).toISOString().split('T')[0];
+
+// Weekday names, indexed like Date.getUTCDay(); the calendar week starts on Saturday
+const WEEKDAYS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+const WEEK_ORDER = [6, 0, 1, 2, 3, 4, 5];
+
+// Adds days to a YYYY-MM-DD key
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Saturday starting the week a YYYY-MM-DD key falls in
+const getWeekStartKey = (dateKey) => addDaysToKey(dateKey, -((new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 1) % 7));
+
+// Planned sessions of a class from its timetable: every weekly slot (`schedule` entries with weekday,
+// startTime, endTime, room, instructorId) on each matching day between termStart and termEnd, starting
+// no earlier than `fromKey`. Ids are stable (class, day, start time) so regenerating finds the same sessions.
+const generateClassSessions = (cls, fromKey) => {
+  const slots = cls.schedule || [];
+  if (!cls.termStart || !cls.termEnd || slots.length === 0) return [];
+  const sessions = [];
+  for (let day = cls.termStart > fromKey ? cls.termStart : fromKey; day <= cls.termEnd; day = addDaysToKey(day, 1)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    slots.filter(slot => slot.weekday === weekday).forEach(slot => {
+      sessions.push({
+        id: `${cls.id}-${day}-${slot.startTime.replace(':', '')}`,
+        classId: cls.id,
+        date: day,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        room: slot.room || '',
+        instructorId: slot.instructorId || null,
+        status: 'scheduled',
+      });
+    });
+  }
+  return sessions;
+};
+
+// Storage operations bringing a class's stored sessions in line with its timetable. Only sessions from
+// `todayKey` on are touched: past sessions are history, and an upcoming session that already has
+// attendance is kept even when it no longer fits the timetable. Cancelled sessions stay cancelled.
+const planClassSessions = (cls, classSessions, attendances, todayKey) => {
+  const planned = generateClassSessions(cls, todayKey);
+  const plannedIds = new Set(planned.map(session => session.id));
+  const upcoming = classSessions.filter(session => session.classId === cls.id && session.date >= todayKey);
+  const upcomingIds = new Set(upcoming.map(session => session.id));
+  const hasAttendance = (sessionId) => attendances.some(att => att.sessionId === sessionId);
+  return [
+    ...upcoming
+      .filter(session => !plannedIds.has(session.id) && !hasAttendance(session.id))
+      .map(session => ({ type: 'remove', collection: 'classSessions', id: session.id })),
+    ...planned.map(({ id, ...session }) => (upcomingIds.has(id)
+      ? { type: 'update', collection: 'classSessions', id, data: { endTime: session.endTime, room: session.room, instructorId: session.instructorId } }
+      : { type: 'set', collection: 'classSessions', id, data: session })),
+  ];
+};
+
+// Validates a class timetable as entered on the class forms; returns the form errors it finds
+const validateClassSchedule = (termStart, termEnd, slots) => {
+  const newErrors = {};
+  if (slots.length > 0 && (!termStart || !termEnd)) newErrors.term = 'حدد بداية الفصل الدراسي ونهايته لتوليد الحصص.';
+  else if (termStart && termEnd && termEnd < termStart) newErrors.term = 'يجب أن تكون نهاية الفصل الدراسي بعد بدايته.';
+  if (slots.some(slot => !slot.startTime || !slot.endTime || slot.endTime <= slot.startTime)) {
+    newErrors.schedule = 'لكل موعد وقت بداية ونهاية، والنهاية بعد البداية.';
+  }
+  return newErrors;
+};
+
+// Double-bookings between a class (possibly not saved yet) and the other classes: weekly slots on the
+// same weekday whose times overlap, in terms that overlap (a class without term dates always counts).
+// A slot is taught by its own instructor, or by every instructor of the class when it names none.
+// Each conflict is { type: 'instructor' | 'room' | 'student', slot, otherClass } plus the shared
+// instructorId, room or studentId. Instructor and room conflicts are refused, student ones only warned.
+const findScheduleConflicts = (cls, classes) => {
+  const getSlotInstructorIds = (slot, owner) => (slot.instructorId ? [slot.instructorId] : owner.instructors || []);
+  const termsOverlap = (other) => !cls.termStart || !cls.termEnd || !other.termStart || !other.termEnd
+    || (cls.termStart <= other.termEnd && other.termStart <= cls.termEnd);
+  const normalizeRoom = (room) => (room || '').trim().toLowerCase();
+
+  const conflicts = [];
+  classes.filter(other => other.id !== cls.id && termsOverlap(other)).forEach(other => {
+    (cls.schedule || []).forEach(slot => {
+      (other.schedule || []).forEach(otherSlot => {
+        if (slot.weekday !== otherSlot.weekday || !(slot.startTime < otherSlot.endTime && otherSlot.startTime < slot.endTime)) return;
+        const otherInstructorIds = getSlotInstructorIds(otherSlot, other);
+        getSlotInstructorIds(slot, cls)
+          .filter(instructorId => otherInstructorIds.includes(instructorId))
+          .forEach(instructorId => conflicts.push({ type: 'instructor', instructorId, slot, otherClass: other }));
+        if (normalizeRoom(slot.room) && normalizeRoom(slot.room) === normalizeRoom(otherSlot.room)) {
+          conflicts.push({ type: 'room', room: slot.room, slot, otherClass: other });
+        }
+        (cls.students || [])
+          .filter(studentId => (other.students || []).includes(studentId))
+          .forEach(studentId => conflicts.push({ type: 'student', studentId, slot, otherClass: other }));
+      });
+    });
+  });
+  return conflicts;
+};
+
+// One-line description of a schedule conflict for forms
+const describeScheduleConflict = (conflict, instructors, students) => {
+  const when = `${WEEKDAYS[conflict.slot.weekday]} ${conflict.slot.startTime} - ${conflict.slot.endTime}`;
+  if (conflict.type === 'instructor') {
+    const instructor = instructors.find(inst => inst.id === conflict.instructorId);
+    return `المدرب ${instructor ? instructor.name : ''} لديه فصل "${conflict.otherClass.name}" في الوقت نفسه (${when}).`;
+  }
+  if (conflict.type === 'room') {
+    return `القاعة ${conflict.room} محجوزة لفصل "${conflict.otherClass.name}" (${when}).`;
+  }
+  const student = students.find(st => st.id === conflict.studentId);
+  return `الطالب ${student ? student.name : ''} مسجل في فصل "${conflict.otherClass.name}" في الوقت نفسه (${when}).`;
+};
+
+// Personal check-in codes, printed on student cards as a QR code; the alphabet leaves out look-alike characters
+const CHECK_IN_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Generates a check-in code no other student has
+const generateCheckInCode = (students) => {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < 8; i++) {
+      code += CHECK_IN_CODE_CHARS.charAt(Math.floor(Math.random() * CHECK_IN_CODE_CHARS.length));
+    }
+  } while (students.some(student => student.checkInCode === code));
+  return code;
+};
+
+// Students can check in from this many minutes before a session starts until it ends
+const CHECK_IN_OPENS_MINUTES = 30;
+
+// The session a student checks in for at a given time: today's scheduled session of one of their classes
+// that is open for check-in, the earliest first; null when there is none
+const findCheckInSession = (student, classSessions, now) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const todayKey = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const minutesOf = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const classIds = getStudentClassIds(student);
+  return classSessions
+    .filter(session => classIds.includes(session.classId) && session.date === todayKey && session.status !== 'cancelled')
+    .filter(session => minutesOf(session.startTime) - CHECK_IN_OPENS_MINUTES <= nowMinutes && nowMinutes < minutesOf(session.endTime))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))[0] || null;
+};
+
+// Payroll runs are drafts until an admin approves them; approval posts the pay to expenses
+const PAYROLL_STATUSES = {
+  draft: { label: 'مسودة', badge: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'معتمد', badge: 'bg-green-100 text-green-800' },
+};
+const PAYROLL_EXPENSE_CATEGORY = 'رواتب';
+
+// The instructor teaching a planned session: its slot's instructor, or the class's only instructor when the
+// slot names none. Null when that is ambiguous, so the kiosk does not take check-ins for such a session.
+const getSessionInstructorId = (session, classes) => {
+  if (session.instructorId) return session.instructorId;
+  const cls = classes.find(c => c.id === session.classId);
+  return cls && (cls.instructors || []).length === 1 ? cls.instructors[0] : null;
+};
+
+// The instructor an attendance record counts for. Kiosk check-ins are saved without one and belong to
+// the instructor of their planned session.
+const getAttendanceInstructorId = (att, classSessions, classes) => {
+  if (att.instructorId) return att.instructorId;
+  const session = att.sessionId ? classSessions.find(s => s.id === att.sessionId) : null;
+  return session ? getSessionInstructorId(session, classes) : null;
+};
+
+// Pay lines for a period (inclusive YYYY-MM-DD keys), one per instructor and course. Each planned class
+// session an instructor took attendance for (for classes without a timetable, each class on one day) is
+// one session, however many records it has, paid at the instructor's courseRates entry for the class's
+// course. Sessions without a rate (no rate set, or a class not tied to a course) are kept with a rate of
+// 0 so they show up for review.
+const computePayroll = (attendances, classSessions, classes, instructors, periodStart, periodEnd) => {
+  const sessions = new Map();
+  attendances.forEach(att => {
+    const day = getDateKey(att.date);
+    const instructorId = getAttendanceInstructorId(att, classSessions, classes);
+    if (!instructorId || day < periodStart || day > periodEnd) return;
+    sessions.set(`${att.sessionId || `${att.classId}-${day}`}-${instructorId}`, { ...att, instructorId });
+  });
+
+  const lines = new Map();
+  sessions.forEach(att => {
+    const cls = classes.find(c => c.id === att.classId);
+    const courseId = cls && cls.courseId ? cls.courseId : null;
+    const key = `${att.instructorId}-${courseId}`;
+    const line = lines.get(key) || { instructorId: att.instructorId, courseId, sessions: 0 };
+    line.sessions += 1;
+    lines.set(key, line);
+  });
+
+  return [...lines.values()].map(line => {
+    const instructor = instructors.find(inst => inst.id === line.instructorId);
+    const rate = instructor && line.courseId ? parseFloat((instructor.courseRates || {})[line.courseId]) || 0 : 0;
+    return { ...line, rate, amount: Math.round(line.sessions * rate * 100) / 100 };
+  });
+};
+
+// Classes a student belongs to. Records saved before students could join several classes
+// only have a single classId.
+const getStudentClassIds = (student) => {
+  if (Array.isArray(student.classIds)) return student.classIds;
+  return student.classId ? [student.classId] : [];
+};
+
+// Class membership is stored on both sides (student.classIds and class.students) so either can be read
+// directly. It is only ever changed through planClassMembership, whose writes are committed together
+// in one storage batch, so the two sides cannot diverge.
+// `assignments` maps a studentId to the full list of classes it should be in ([] to leave every class).
+const planClassMembership = (students, classes, assignments) => {
+  const operations = [];
+  const changedClasses = new Map(); // classId -> new students array
+
+  Object.entries(assignments).forEach(([studentId, classIds]) => {
+    classes.forEach(cls => {
+      const members = changedClasses.get(cls.id) || cls.students || [];
+      const isMember = members.includes(studentId);
+      const shouldBeMember = classIds.includes(cls.id);
+      if (shouldBeMember && !isMember) changedClasses.set(cls.id, [...members, studentId]);
+      if (!shouldBeMember && isMember) changedClasses.set(cls.id, members.filter(id => id !== studentId));
+    });
+    const student = students.find(s => s.id === studentId);
+    const currentClassIds = student ? getStudentClassIds(student) : [];
+    const unchanged = Array.isArray(student && student.classIds)
+      && currentClassIds.length === classIds.length
+      && currentClassIds.every(id => classIds.includes(id));
+    if (student && !unchanged) {
+      operations.push({ type: 'update', collection: 'students', id: studentId, data: { classIds, classId: null } });
+    }
+  });
+
+  changedClasses.forEach((members, classId) => {
+    operations.push({ type: 'update', collection: 'classes', id: classId, data: { students: members } });
+  });
+  return operations;
+};
+
+// Display names of the class membership problems found by findMembershipIssues
+const MEMBERSHIP_ISSUE_LABELS = {
+  missingClass: 'الطالب مرتبط بفصل محذوف',
+  notListed: 'الفصل لا يضم الطالب في قائمته',
+  notOnStudent: 'الفصل يضم الطالب لكنه غير مسجل في ملف الطالب',
+  missingStudent: 'الفصل يضم طالباً محذوفاً',
+};
+
+// Compares student.classIds with class.students and lists every place where the two disagree
+const findMembershipIssues = (students, classes) => {
+  const issues = [];
+  const classIds = new Set(classes.map(cls => cls.id));
+  const studentIds = new Set(students.map(s => s.id));
+
+  students.forEach(student => {
+    const studentClassIds = getStudentClassIds(student);
+    studentClassIds.forEach(classId => {
+      const cls = classes.find(c => c.id === classId);
+      if (!classIds.has(classId)) {
+        issues.push({ type: 'missingClass', studentId: student.id, classId });
+      } else if (!(cls.students || []).includes(student.id)) {
+        issues.push({ type: 'notListed', studentId: student.id, classId });
+      }
+    });
+    classes
+      .filter(cls => (cls.students || []).includes(student.id) && !studentClassIds.includes(cls.id))
+      .forEach(cls => issues.push({ type: 'notOnStudent', studentId: student.id, classId: cls.id }));
+  });
+  classes.forEach(cls => {
+    (cls.students || [])
+      .filter(id => !studentIds.has(id))
+      .forEach(id => issues.push({ type: 'missingStudent', studentId: id, classId: cls.id }));
+  });
+  return issues;
+};
+
+// The most writes a single Firestore batch accepts
+const MAX_BATCH_OPERATIONS = 500;
+
+// Plans the writes that remove all membership drift. The student's own list of classes wins
+// (minus deleted classes); a student without any is placed in every class that lists them.
+const planMembershipRepair = (students, classes) => {
+  const classIds = new Set(classes.map(cls => cls.id));
+  const studentIds = new Set(students.map(s => s.id));
+  const assignments = {};
+  students.forEach(student => {
+    const studentClassIds = getStudentClassIds(student);
+    if (studentClassIds.length > 0) {
+      assignments[student.id] = studentClassIds.filter(id => classIds.has(id));
+    } else {
+      assignments[student.id] = classes.filter(cls => (cls.students || []).includes(student.id)).map(cls => cls.id);
+    }
+  });
+  // Deleted students are dropped from the class lists before the assignments are applied
+  const cleanedClasses = classes.map(cls => ({ ...cls, students: (cls.students || []).filter(id => studentIds.has(id)) }));
+  // Only students with an issue are rewritten; older records that merely lack classIds are left alone
+  const studentsWithIssues = new Set(findMembershipIssues(students, classes).map(issue => issue.studentId));
+  const operations = planClassMembership(students, cleanedClasses, assignments)
+    .filter(op => op.collection !== 'students' || studentsWithIssues.has(op.id));
+  cleanedClasses.forEach(cls => {
+    const original = classes.find(c => c.id === cls.id);
+    const alreadyPlanned = operations.some(op => op.collection === 'classes' && op.id === cls.id);
+    if (!alreadyPlanned && cls.students.length !== (original.students || []).length) {
+      operations.push({ type: 'update', collection: 'classes', id: cls.id, data: { students: cls.students } });
+    }
+  });
+  return operations;
+};
+
+// Parses a location hash such as "#/payments?status=معلق" or "#/students/abc123" into a route
+const parseRoute = (hash) => {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?');
+  const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  return {
+    section: segments[0] || '',
+    id: segments[1] || null,
+    params: Object.fromEntries(new URLSearchParams(query)),
+  };
+};
+
+// Builds the hash for a route; empty params are left out of the query string
+const buildRoute = (section, id = null, params = {}) => {
+  const path = ['', section, id].filter(segment => segment !== null).map(encodeURIComponent).join('/');
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)).toString();
+  return `#${path}${query ? `?${query}` : ''}`;
+};
+
+// Custom hook keeping the current route in sync with the location hash.
+// Hash routes need no server rewrites, so deep links work under the GitHub Pages base path,
+// and every navigation is a history entry, so back/forward work too.
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((section, id = null, params = {}, { replace = false } = {}) => {
+    const hash = buildRoute(section, id, params);
+    if (replace) {
+      // replaceState does not fire hashchange, so the route is updated by hand
+      window.history.replaceState(null, '', hash);
+      setRoute(parseRoute(hash));
+    } else {
+      window.location.hash = hash;
+    }
+  }, []);
+
+  return { route, navigate };
+};
+
+// ==================================================================================================
+// --- STORAGE ADAPTERS ---
+// Every adapter exposes the same interface so the rest of the app never talks to a backend directly:
+//   subscribe(collectionName, onData, onError) -> unsubscribe
+//   add(collectionName, data) -> new document id
+//   update(collectionName, id, data)
+//   set(collectionName, id, data, { merge })
+//   remove(collectionName, id)
+//   get(collectionName, id) -> document or null
+//   list(collectionName) -> array of documents
+//   batch(operations) -> applies [{ type: 'set' | 'update' | 'remove', collection, id, data, options }]
+//                        atomically: either every write is stored or none is
+//   addSequenced(collectionName, data, { counter, field }) -> { id, number }: adds a document numbered
+//                        with the next value of a counter (stored in the counters collection); the
+//                        counter and the document are written together, so numbers have no gaps
+//   addReserved(collectionName, data, { registry, entry, conflicts }) -> new document id: adds a document
+//                        and records `entry` for it in a registry document (registries collection), in
+//                        one transaction with the check conflicts(entries already there); a clash
+//                        throws an error with code 'reservation-conflict' and the clashing `conflict`
+//   removeReserved(collectionName, id, { registry }) -> deletes a document added with addReserved
+//                        together with its registry entry
+//   transact(reads, plan) -> reads the documents at reads ([collectionName, id] pairs; null when missing)
+//                        and applies the batch operations plan(documents) returns, in one transaction;
+//                        plan can throw to write nothing, and may run more than once
+// ==================================================================================================
+
+// Selected storage backend: 'firestore' (default), 'indexeddb' or 'memory'
+const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND || 'firestore';
+
+// Resolves the Firestore path holding the shared data of a collection
+const getCollectionPath = (collectionName) => {
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+  return `artifacts/${appId}/public/data/${collectionName}`;
+};
+
+// Error thrown by addReserved when the new entry clashes with one already in the registry
+const createReservationConflict = (conflict) => Object.assign(new Error('reservation-conflict'), { code: 'reservation-conflict', conflict });
+
+// Error a transact plan throws when the stored documents no longer allow the change
+const createPreconditionFailure = (reason) => Object.assign(new Error(reason), { code: 'precondition-failed', reason });
+
+// Storage adapter backed by Cloud Firestore
+const createFirestoreAdapter = (db) => ({
+  kind: 'firestore',
+
+  subscribe: (collectionName, onData, onError) => {
+    const collectionRef = collection(db, getCollectionPath(collectionName));
+    return onSnapshot(collectionRef, (snapshot) => {
+      onData(snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() })));
+    }, onError);
+  },
+
+  add: async (collectionName, data) => {
+    const docRef = await addDoc(collection(db, getCollectionPath(collectionName)), data);
+    return docRef.id;
+  },
+
+  update: async (collectionName, id, data) => {
+    await updateDoc(doc(db, getCollectionPath(collectionName), id), data);
+  },
+
+  set: async (collectionName, id, data, options = {}) => {
+    await setDoc(doc(db, getCollectionPath(collectionName), id), data, options);
+  },
+
+  remove: async (collectionName, id) => {
+    await deleteDoc(doc(db, getCollectionPath(collectionName), id));
+  },
+
+  get: async (collectionName, id) => {
+    const snapshotDoc = await getDoc(doc(db, getCollectionPath(collectionName), id));
+    return snapshotDoc.exists() ? { id: snapshotDoc.id, ...snapshotDoc.data() } : null;
+  },
+
+  list: async (collectionName) => {
+    const snapshot = await getDocs(collection(db, getCollectionPath(collectionName)));
+    return snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+  },
+
+  batch: async (operations) => {
+    const batch = writeBatch(db);
+    operations.forEach(({ type, collection: collectionName, id, data, options = {} }) => {
+      const docRef = doc(db, getCollectionPath(collectionName), id);
+      if (type === 'set') batch.set(docRef, data, options);
+      else if (type === 'update') batch.update(docRef, data);
+      else if (type === 'remove') batch.delete(docRef);
+    });
+    await batch.commit();
+  },
+
+  addSequenced: async (collectionName, data, { counter, field }) => {
+    const counterRef = doc(db, getCollectionPath('counters'), counter);
+    const docRef = doc(collection(db, getCollectionPath(collectionName)));
+    const number = await runTransaction(db, async (transaction) => {
+      const counterSnapshot = await transaction.get(counterRef);
+      const next = (counterSnapshot.exists() ? counterSnapshot.data().value : 0) + 1;
+      transaction.set(counterRef, { value: next });
+      transaction.set(docRef, { ...data, [field]: next });
+      return next;
+    });
+    return { id: docRef.id, number };
+  },
+
+  addReserved: async (collectionName, data, { registry, entry, conflicts }) => {
+    const registryRef = doc(db, getCollectionPath('registries'), registry);
+    const docRef = doc(collection(db, getCollectionPath(collectionName)));
+    await runTransaction(db, async (transaction) => {
+      const registrySnapshot = await transaction.get(registryRef);
+      const entries = registrySnapshot.exists() ? registrySnapshot.data().entries : {};
+      const conflict = conflicts(Object.values(entries));
+      if (conflict) throw createReservationConflict(conflict);
+      transaction.set(registryRef, { entries: { ...entries, [docRef.id]: entry } });
+      transaction.set(docRef, data);
+    });
+    return docRef.id;
+  },
+
+  removeReserved: async (collectionName, id, { registry }) => {
+    const registryRef = doc(db, getCollectionPath('registries'), registry);
+    await runTransaction(db, async (transaction) => {
+      const registrySnapshot = await transaction.get(registryRef);
+      if (registrySnapshot.exists()) {
+        const entries = { ...registrySnapshot.data().entries };
+        delete entries[id];
+        transaction.set(registryRef, { entries });
+      }
+      transaction.delete(doc(db, getCollectionPath(collectionName), id));
+    });
+  },
+
+  transact: async (reads, plan) => {
+    await runTransaction(db, async (transaction) => {
+      const snapshots = await Promise.all(reads.map(([collectionName, id]) => transaction.get(doc(db, getCollectionPath(collectionName), id))));
+      const operations = plan(snapshots.map(snapshotDoc => (snapshotDoc.exists() ? { id: snapshotDoc.id, ...snapshotDoc.data() } : null)));
+      operations.forEach(({ type, collection: collectionName, id, data, options = {} }) => {
+        const docRef = doc(db, getCollectionPath(collectionName), id);
+        if (type === 'set') transaction.set(docRef, data, options);
+        else if (type === 'update') transaction.update(docRef, data);
+        else if (type === 'remove') transaction.delete(docRef);
+      });
+    });
+  },
+});
+
+// Generates a random 20-character document id, the same shape Firestore uses
+const generateDocumentId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return id;
+};
+
+// Converts Dates to Timestamps so local documents look exactly like Firestore documents
+const normalizeLocalValue = (value) => {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(normalizeLocalValue);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeLocalValue(v)]));
+};
+
+// IndexedDB only keeps plain data, so Timestamps are stored as tagged objects and revived on load
+const serializeLocalValue = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: [value.seconds, value.nanoseconds] };
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(serializeLocalValue);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeLocalValue(v)]));
+};
+
+const deserializeLocalValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(deserializeLocalValue);
+  if (Array.isArray(value.__timestamp)) return new Timestamp(value.__timestamp[0], value.__timestamp[1]);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, deserializeLocalValue(v)]));
+};
+
+// Opens the IndexedDB database used by the local adapter. Resolves to null when IndexedDB is unavailable.
+const openLocalDatabase = (databaseName) => new Promise((resolve) => {
+  if (typeof indexedDB === 'undefined') {
+    resolve(null);
+    return;
+  }
+  const request = indexedDB.open(databaseName, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore('documents', { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => {
+    console.error("Error opening local database:", request.error);
+    resolve(null);
+  };
+});
+
+// Storage adapter that keeps all collections in memory, optionally persisted to IndexedDB.
+// Used to run the dashboard without a Firebase project or a network connection.
+const createLocalAdapter = ({ persistence = 'indexeddb', databaseName = 'my-dashboard-app' } = {}) => {
+  const collections = new Map(); // collectionName -> Map(id -> document data)
+  const listeners = new Map(); // collectionName -> Set of onData callbacks
+
+  const getCollection = (collectionName) => {
+    if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+    return collections.get(collectionName);
+  };
+
+  const loadFromDatabase = async (database) => {
+    if (!database) return;
+    const records = await new Promise((resolve, reject) => {
+      const request = database.transaction('documents', 'readonly').objectStore('documents').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    records.forEach(record => {
+      getCollection(record.collection).set(record.id, deserializeLocalValue(record.data));
+    });
+  };
+
+  const databaseReady = persistence === 'indexeddb' ? openLocalDatabase(databaseName) : Promise.resolve(null);
+  const ready = databaseReady.then(loadFromDatabase);
+
+  // Writes the given documents ([collectionName, id] pairs) to IndexedDB in a single transaction
+  const persist = async (documents) => {
+    const database = await databaseReady;
+    if (!database) return;
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction('documents', 'readwrite');
+      const store = transaction.objectStore('documents');
+      documents.forEach(([collectionName, id]) => {
+        const key = `${collectionName}/${id}`;
+        const data = getCollection(collectionName).get(id);
+        if (data) {
+          store.put({ key, collection: collectionName, id, data: serializeLocalValue(data) });
+        } else {
+          store.delete(key);
+        }
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  const snapshotOf = (collectionName) => (
+    Array.from(getCollection(collectionName).entries()).map(([id, data]) => ({ id, ...data }))
+  );
+
+  const notify = (collectionName) => {
+    const snapshot = snapshotOf(collectionName);
+    (listeners.get(collectionName) || []).forEach(onData => onData(snapshot));
+  };
+
+  const write = async (collectionName, id, data) => {
+    await ready;
+    if (data) {
+      getCollection(collectionName).set(id, data);
+    } else {
+      getCollection(collectionName).delete(id);
+    }
+    notify(collectionName);
+    await persist([[collectionName, id]]);
+  };
+
+  // Applies a list of batch operations. Everything up to the IndexedDB write runs synchronously,
+  // so no other write can interleave with a batch.
+  const applyBatch = (operations) => {
+    // Resolve every write against a working copy first so a failing operation leaves nothing applied
+    const pending = new Map(); // `${collectionName}/${id}` -> [collectionName, id, data or null]
+    const current = (collectionName, id) => {
+      const key = `${collectionName}/${id}`;
+      return pending.has(key) ? pending.get(key)[2] : getCollection(collectionName).get(id) || null;
+    };
+    operations.forEach(({ type, collection: collectionName, id, data, options = {} }) => {
+      const existing = current(collectionName, id);
+      let next = null;
+      if (type === 'set') {
+        next = { ...(options.merge && existing ? existing : {}), ...normalizeLocalValue(data) };
+      } else if (type === 'update') {
+        if (!existing) throw new Error(`No document to update: ${collectionName}/${id}`);
+        next = { ...existing, ...normalizeLocalValue(data) };
+      }
+      pending.set(`${collectionName}/${id}`, [collectionName, id, next]);
+    });
+
+    pending.forEach(([collectionName, id, data]) => {
+      if (data) getCollection(collectionName).set(id, data);
+      else getCollection(collectionName).delete(id);
+    });
+    new Set(Array.from(pending.values()).map(([collectionName]) => collectionName)).forEach(notify);
+    return persist(Array.from(pending.values()).map(([collectionName, id]) => [collectionName, id]));
+  };
+
+  return {
+    kind: persistence,
+
+    subscribe: (collectionName, onData, onError) => {
+      if (!listeners.has(collectionName)) listeners.set(collectionName, new Set());
+      listeners.get(collectionName).add(onData);
+      ready
+        .then(() => {
+          if (listeners.get(collectionName).has(onData)) onData(snapshotOf(collectionName));
+        })
+        .catch(onError);
+      return () => listeners.get(collectionName).delete(onData);
+    },
+
+    add: async (collectionName, data) => {
+      const id = generateDocumentId();
+      await write(collectionName, id, normalizeLocalValue(data));
+      return id;
+    },
+
+    update: async (collectionName, id, data) => {
+      await ready;
+      const existing = getCollection(collectionName).get(id);
+      if (!existing) throw new Error(`No document to update: ${collectionName}/${id}`);
+      await write(collectionName, id, { ...existing, ...normalizeLocalValue(data) });
+    },
+
+    set: async (collectionName, id, data, options = {}) => {
+      await ready;
+      const existing = options.merge ? getCollection(collectionName).get(id) : null;
+      await write(collectionName, id, { ...(existing || {}), ...normalizeLocalValue(data) });
+    },
+
+    remove: async (collectionName, id) => {
+      await write(collectionName, id, null);
+    },
+
+    get: async (collectionName, id) => {
+      await ready;
+      const data = getCollection(collectionName).get(id);
+      return data ? { id, ...data } : null;
+    },
+
+    list: async (collectionName) => {
+      await ready;
+      return snapshotOf(collectionName);
+    },
+
+    batch: async (operations) => {
+      await ready;
+      await applyBatch(operations);
+    },
+
+    addSequenced: async (collectionName, data, { counter, field }) => {
+      await ready;
+      // Reading the counter and applying the batch happen without awaiting in between,
+      // so concurrent calls can never be handed the same number
+      const counterDoc = getCollection('counters').get(counter);
+      const number = (counterDoc ? counterDoc.value : 0) + 1;
+      const id = generateDocumentId();
+      await applyBatch([
+        { type: 'set', collection: 'counters', id: counter, data: { value: number } },
+        { type: 'set', collection: collectionName, id, data: { ...data, [field]: number } },
+      ]);
+      return { id, number };
+    },
+
+    // Like addSequenced, the registry is read and the batch applied without awaiting in between
+    addReserved: async (collectionName, data, { registry, entry, conflicts }) => {
+      await ready;
+      const entries = (getCollection('registries').get(registry) || {}).entries || {};
+      const conflict = conflicts(Object.values(entries));
+      if (conflict) throw createReservationConflict(conflict);
+      const id = generateDocumentId();
+      await applyBatch([
+        { type: 'set', collection: 'registries', id: registry, data: { entries: { ...entries, [id]: entry } } },
+        { type: 'set', collection: collectionName, id, data },
+      ]);
+      return id;
+    },
+
+    removeReserved: async (collectionName, id, { registry }) => {
+      await ready;
+      const entries = { ...((getCollection('registries').get(registry) || {}).entries || {}) };
+      delete entries[id];
+      await applyBatch([
+        { type: 'set', collection: 'registries', id: registry, data: { entries } },
+        { type: 'remove', collection: collectionName, id },
+      ]);
+    },
+
+    // The documents are read and the planned batch applied without awaiting in between
+    transact: async (reads, plan) => {
+      await ready;
+      const documents = reads.map(([collectionName, id]) => {
+        const data = getCollection(collectionName).get(id);
+        return data ? { id, ...data } : null;
+      });
+      await applyBatch(plan(documents));
+    },
+  };
+};
+
+// Custom Hook for reading and writing a collection through the active storage adapter
+const useCollection = (storage, isAuthReady, collectionName, addToast) => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!db || !isAuthReady) {
+    if (!storage || !isAuthReady) {
       setLoading(false);
       return;
     }
 
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const collectionRef = collection(db, `artifacts/${appId}/public/data/${collectionName}`);
-
-    const unsubscribe = onSnapshot(collectionRef, (snapshot) => {
-      const fetchedData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+    const unsubscribe = storage.subscribe(collectionName, (fetchedData) => {
       setData(fetchedData);
       setLoading(false);
     }, (err) => {
@@ -132,17 +1527,15 @@ const useFirestore = (db, isAuthReady, collectionName, addToast) => {
     });
 
     return () => unsubscribe();
-  }, [db, isAuthReady, collectionName, addToast]);
+  }, [storage, isAuthReady, collectionName, addToast]);
 
   const addDocument = useCallback(async (newDoc) => {
-    if (!db) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
+    if (!storage) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
     setLoading(true);
     try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const colRef = collection(db, `artifacts/${appId}/public/data/${collectionName}`);
-      const docRef = await addDoc(colRef, { ...newDoc, createdAt: Timestamp.now() });
+      const id = await storage.add(collectionName, { ...newDoc, createdAt: Timestamp.now() });
       addToast("تمت الإضافة بنجاح!", "success");
-      return docRef.id;
+      return id;
     } catch (e) {
       console.error(`Error adding document to ${collectionName}:`, e);
       addToast(`خطأ في إضافة ${collectionName}: ${e.message}`, "error");
@@ -151,15 +1544,13 @@ const useFirestore = (db, isAuthReady, collectionName, addToast) => {
     } finally {
       setLoading(false);
     }
-  }, [db, collectionName, addToast]);
+  }, [storage, collectionName, addToast]);
 
   const updateDocument = useCallback(async (id, updatedData) => {
-    if (!db) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
+    if (!storage) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
     setLoading(true);
     try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const docRef = doc(db, `artifacts/${appId}/public/data/${collectionName}`, id);
-      await updateDoc(docRef, { ...updatedData, updatedAt: Timestamp.now() });
+      await storage.update(collectionName, id, { ...updatedData, updatedAt: Timestamp.now() });
       addToast("تم التحديث بنجاح!", "success");
     } catch (e) {
       console.error(`Error updating document in ${collectionName}:`, e);
@@ -168,15 +1559,13 @@ const useFirestore = (db, isAuthReady, collectionName, addToast) => {
     } finally {
       setLoading(false);
     }
-  }, [db, collectionName, addToast]);
+  }, [storage, collectionName, addToast]);
 
   const deleteDocument = useCallback(async (id) => {
-    if (!db) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
+    if (!storage) { addToast("قاعدة البيانات غير مهيأة.", "error"); return; }
     setLoading(true);
     try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const docRef = doc(db, `artifacts/${appId}/public/data/${collectionName}`, id);
-      await deleteDoc(docRef);
+      await storage.remove(collectionName, id);
       addToast("تم الحذف بنجاح!", "success");
     } catch (e) {
       console.error(`Error deleting document from ${collectionName}:`, e);
@@ -185,32 +1574,230 @@ const useFirestore = (db, isAuthReady, collectionName, addToast) => {
     } finally {
       setLoading(false);
     }
-  }, [db, collectionName, addToast]);
+  }, [storage, collectionName, addToast]);
 
   return { data, loading, error, addDocument, updateDocument, deleteDocument };
 };
 
 // ==================================================================================================
-// --- COMPONENTS ---
+// --- AUTH ADAPTERS ---
+// Every auth adapter exposes the same interface:
+//   onAuthChange(callback) -> unsubscribe, callback receives { uid, email } or null
+//   signIn(email, password) -> { uid, email }
+//   signOut()
+//   verifyPassword(password) -> resolves when it is the signed-in account's password, throws otherwise
+//   createUser(email, password) -> uid of the new account (the current session is kept)
 // ==================================================================================================
 
-// ConfirmModal component: A generic modal for user confirmation.
-const ConfirmModal = ({ message, onConfirm, onCancel }) => {
-  return (
-    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-sm text-center">
-        <h3 className="text-xl font-semibold mb-6 text-gray-800">تأكيد الإجراء</h3>
-        <p className="mb-8 text-gray-700">{message}</p>
-        <div className="flex justify-center space-x-4">
-          <button
-            onClick={onCancel}
-            className="px-6 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
-          >
-            إلغاء
-          </button>
-          <button
-            onClick={onConfirm}
-            className="px-6 py-2 bg-red-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 rounded-md"
+// Roles a user can hold, with their display names
+const ROLE_LABELS = {
+  admin: 'المدير',
+  supervisor: 'المشرف',
+  instructor: 'المدرب',
+  accountant: 'المحاسب',
+};
+
+// Central permission matrix: section -> action -> roles allowed to perform it.
+// Every section has a view action, which also controls its sidebar item; the other actions (create, edit,
+// delete, export, or section-specific ones such as reverse or approve) guard single operations. Anything not
+// listed is denied.
+const PERMISSIONS = {
+  dashboard: { view: ['admin', 'accountant'] },
+  students: { view: ['admin'], create: ['admin'], edit: ['admin'], delete: ['admin'], export: ['admin'] },
+  enrollments: { view: ['admin', 'accountant'], create: ['admin'], edit: ['admin'], plan: ['admin', 'accountant'] },
+  classes: { view: ['admin'], create: ['admin'], edit: ['admin'], delete: ['admin'] },
+  courses: { view: ['admin'], create: ['admin'], edit: ['admin'], delete: ['admin'] },
+  discounts: { view: ['admin', 'accountant'], create: ['admin'], edit: ['admin'] },
+  payments: { view: ['admin', 'accountant'], create: ['admin', 'accountant'], edit: ['admin', 'accountant'], delete: ['admin'], reverse: ['admin'], rates: ['admin', 'accountant'], export: ['admin', 'accountant'] },
+  expenses: { view: ['admin', 'accountant'], create: ['admin', 'accountant'], edit: ['admin', 'accountant'], delete: ['admin'] },
+  payroll: { view: ['admin', 'accountant'], create: ['admin', 'accountant'], approve: ['admin'], delete: ['admin'] },
+  reports: { view: ['admin', 'accountant'], export: ['admin', 'accountant'], contact: ['admin', 'accountant'] },
+  instructors: { view: ['admin'], create: ['admin'], edit: ['admin'], delete: ['admin'] },
+  attendance: { view: ['admin', 'supervisor', 'instructor'], create: ['admin', 'supervisor', 'instructor'], edit: ['admin', 'supervisor', 'instructor'], delete: ['admin'] },
+  alerts: { view: ['admin', 'supervisor'], rules: ['admin'], followUp: ['admin', 'supervisor'] },
+  kiosk: { view: ['admin', 'supervisor'] },
+  certificates: { view: ['admin'], create: ['admin'], templates: ['admin'], revoke: ['admin'] },
+  users: { view: ['admin'], create: ['admin'], edit: ['admin'] },
+};
+
+// Checks the permission matrix for a role
+const hasPermission = (role, section, action) => {
+  const allowedRoles = PERMISSIONS[section] && PERMISSIONS[section][action];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+// Builds an error carrying a Firebase-style auth error code
+const createAuthError = (code) => Object.assign(new Error(code), { code });
+
+// Maps auth error codes to messages shown on the login screen and user forms
+const getAuthErrorMessage = (error) => {
+  switch (error && error.code) {
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found':
+      return 'البريد الإلكتروني أو كلمة المرور غير صحيحة.';
+    case 'auth/invalid-email':
+      return 'بريد إلكتروني غير صالح.';
+    case 'auth/email-already-in-use':
+      return 'البريد الإلكتروني مستخدم لحساب آخر.';
+    case 'auth/weak-password':
+      return 'كلمة المرور ضعيفة (6 أحرف على الأقل).';
+    case 'auth/too-many-requests':
+      return 'محاولات كثيرة. الرجاء المحاولة لاحقاً.';
+    case 'auth/network-request-failed':
+      return 'تعذر الاتصال بالخادم. تحقق من اتصالك بالإنترنت.';
+    default:
+      return `حدث خطأ في المصادقة: ${error ? error.message : ''}`;
+  }
+};
+
+// Auth adapter backed by Firebase Authentication (email/password)
+const createFirebaseAuthAdapter = (app, firebaseAuth) => ({
+  onAuthChange: (callback) => onAuthStateChanged(firebaseAuth, (user) => {
+    callback(user ? { uid: user.uid, email: user.email } : null);
+  }),
+
+  signIn: async (email, password) => {
+    const credential = await signInWithEmailAndPassword(firebaseAuth, email, password);
+    return { uid: credential.user.uid, email: credential.user.email };
+  },
+
+  signOut: () => signOut(firebaseAuth),
+
+  // Confirms the signed-in account's password without signing in again; throws like signIn when it is wrong
+  verifyPassword: async (password) => {
+    const user = firebaseAuth.currentUser;
+    if (!user) throw createAuthError('auth/user-not-found');
+    await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+  },
+
+  createUser: async (email, password) => {
+    // Creating the account on a secondary app instance keeps the admin signed in on the main one
+    const secondaryApp = getApps().find(a => a.name === 'user-management') || initializeApp(app.options, 'user-management');
+    const secondaryAuth = getAuth(secondaryApp);
+    const credential = await createUserWithEmailAndPassword(secondaryAuth, email, password);
+    await signOut(secondaryAuth);
+    return credential.user.uid;
+  },
+});
+
+// Key under which the local auth adapter remembers the signed-in account
+const LOCAL_SESSION_KEY = 'my-dashboard-app:session';
+
+// Hashes a local password so it is never stored in clear text
+const hashPassword = async (email, password) => {
+  const bytes = new TextEncoder().encode(`${email}:${password}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Auth adapter for the local storage backends. Credentials live in a `credentials` collection
+// of the same storage adapter; the first account ever signed in with becomes an admin.
+const createLocalAuthAdapter = (storage) => {
+  const listeners = new Set();
+  let currentUser = null;
+
+  const setCurrentUser = (user) => {
+    currentUser = user;
+    if (user) {
+      localStorage.setItem(LOCAL_SESSION_KEY, user.uid);
+    } else {
+      localStorage.removeItem(LOCAL_SESSION_KEY);
+    }
+    listeners.forEach(callback => callback(user));
+  };
+
+  const sessionRestored = (async () => {
+    const uid = localStorage.getItem(LOCAL_SESSION_KEY);
+    const credential = uid ? await storage.get('credentials', uid) : null;
+    currentUser = credential ? { uid, email: credential.email } : null;
+  })();
+
+  const addCredential = async (email, password) => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw createAuthError('auth/invalid-email');
+    if (password.length < 6) throw createAuthError('auth/weak-password');
+    const credentials = await storage.list('credentials');
+    if (credentials.some(c => c.email === email)) throw createAuthError('auth/email-already-in-use');
+    return storage.add('credentials', { email, passwordHash: await hashPassword(email, password) });
+  };
+
+  return {
+    onAuthChange: (callback) => {
+      listeners.add(callback);
+      sessionRestored.then(() => {
+        if (listeners.has(callback)) callback(currentUser);
+      });
+      return () => listeners.delete(callback);
+    },
+
+    signIn: async (rawEmail, password) => {
+      await sessionRestored;
+      const email = rawEmail.trim().toLowerCase();
+      const credentials = await storage.list('credentials');
+      if (credentials.length === 0) {
+        // Bootstrap: the first local account is created on sign-in and made an administrator
+        const uid = await addCredential(email, password);
+        await storage.set('users', uid, { email, name: email, role: 'admin', createdAt: Timestamp.now() });
+        const user = { uid, email };
+        setCurrentUser(user);
+        return user;
+      }
+      const credential = credentials.find(c => c.email === email);
+      if (!credential || credential.passwordHash !== await hashPassword(email, password)) {
+        throw createAuthError('auth/invalid-credential');
+      }
+      const user = { uid: credential.id, email };
+      setCurrentUser(user);
+      return user;
+    },
+
+    signOut: async () => {
+      setCurrentUser(null);
+    },
+
+    verifyPassword: async (password) => {
+      const credential = currentUser ? await storage.get('credentials', currentUser.uid) : null;
+      if (!credential || credential.passwordHash !== await hashPassword(credential.email, password)) {
+        throw createAuthError('auth/invalid-credential');
+      }
+    },
+
+    createUser: (email, password) => addCredential(email.trim().toLowerCase(), password),
+  };
+};
+
+// Loads the profile (name and role) of a signed-in account from the `users` collection.
+// Accounts signing in for the first time are registered without a role until an admin assigns one.
+const loadUserProfile = async (storage, user) => {
+  const profile = await storage.get('users', user.uid);
+  if (profile) return { ...profile, uid: user.uid, email: user.email };
+
+  const newProfile = { email: user.email, name: user.email, role: null, createdAt: Timestamp.now() };
+  await storage.set('users', user.uid, newProfile);
+  return { ...newProfile, uid: user.uid };
+};
+
+// ==================================================================================================
+// --- COMPONENTS ---
+// ==================================================================================================
+
+// ConfirmModal component: A generic modal for user confirmation.
+const ConfirmModal = ({ message, onConfirm, onCancel }) => {
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-sm text-center">
+        <h3 className="text-xl font-semibold mb-6 text-gray-800">تأكيد الإجراء</h3>
+        <p className="mb-8 text-gray-700">{message}</p>
+        <div className="flex justify-center space-x-4">
+          <button
+            onClick={onCancel}
+            className="px-6 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+          >
+            إلغاء
+          </button>
+          <button
+            onClick={onConfirm}
+            className="px-6 py-2 bg-red-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 rounded-md"
           >
             تأكيد
           </button>
@@ -228,21 +1815,29 @@ const LoadingSpinner = () => (
   </div>
 );
 
+// Sidebar items with their icons and text; visibility comes from the 'view' permission of each section
+const SIDEBAR_ITEMS = [
+  { icon: "📊", text: "الرئيسية", section: "dashboard" },
+  { icon: "🧑‍🎓", text: "الطلاب", section: "students" },
+  { icon: "🏫", text: "الفصول", section: "classes" },
+  { icon: "📚", text: "الدورات", section: "courses" },
+  { icon: "🏷️", text: "الخصومات", section: "discounts" },
+  { icon: "💵", text: "المدفوعات", section: "payments" },
+  { icon: "💸", text: "المصاريف", section: "expenses" },
+  { icon: "🧾", text: "الرواتب", section: "payroll" },
+  { icon: "📈", text: "التقارير", section: "reports" },
+  { icon: "👨‍🏫", text: "المدربون", section: "instructors" },
+  { icon: "🗓️", text: "الحضور", section: "attendance" },
+  { icon: "🔔", text: "تنبيهات الغياب", section: "alerts" },
+  { icon: "📷", text: "الحضور الذاتي", section: "kiosk" },
+  { icon: "📜", text: "الشهادات", section: "certificates" },
+  { icon: "👥", text: "المستخدمون", section: "users" },
+];
+
 // DashboardLayout component: Provides the overall structure of the dashboard, including sidebar and header.
-const DashboardLayout = ({ children, activeSection, setActiveSection, userId, userRole, setUserRole }) => {
-  // Define sidebar items with their icons, text, and roles that can access them
-  const sidebarItems = [
-    { icon: "📊", text: "الرئيسية", section: "dashboard", roles: ['admin'] },
-    { icon: "🧑‍🎓", text: "الطلاب", section: "students", roles: ['admin'] },
-    { icon: "🏫", text: "الفصول", section: "classes", roles: ['admin'] },
-    { icon: "📚", text: "الدورات", section: "courses", roles: ['admin'] },
-    { icon: "💵", text: "المدفوعات", section: "payments", roles: ['admin'] },
-    { icon: "💸", text: "المصاريف", section: "expenses", roles: ['admin'] },
-    { icon: "📈", text: "التقارير", section: "reports", roles: ['admin'] },
-    { icon: "👨‍🏫", text: "المدربون", section: "instructors", roles: ['admin'] },
-    { icon: "🗓️", text: "الحضور", section: "attendance", roles: ['admin', 'supervisor'] },
-    { icon: "📜", text: "الشهادات", section: "certificates", roles: ['admin'] },
-  ];
+const DashboardLayout = ({ children, activeSection, navigate, currentUser, onSignOut }) => {
+  const userRole = currentUser.role;
+  const { can } = usePermissions();
 
   return (
     <div className="flex min-h-screen bg-gray-50 font-sans text-gray-800">
@@ -254,46 +1849,30 @@ const DashboardLayout = ({ children, activeSection, setActiveSection, userId, us
           </div>
           <nav className="space-y-2">
             {/* Render sidebar items based on the current user's role */}
-            {sidebarItems.map(item => (
-              (item.roles.includes(userRole)) && (
+            {SIDEBAR_ITEMS.map(item => (
+              can(item.section, 'view') && (
                 <SidebarItem
                   key={item.section}
                   icon={item.icon}
                   text={item.text}
                   isActive={activeSection === item.section}
-                  onClick={() => setActiveSection(item.section)}
+                  onClick={() => navigate(item.section)}
                 />
               )
             ))}
           </nav>
         </div>
-        {userId && (
-          <div className="mt-8 p-4 bg-gray-100 rounded-lg text-sm text-gray-600">
-            <p className="font-semibold">معرف المستخدم:</p>
-            <p className="break-all">{userId}</p>
-            <div className="mt-2">
-              <label htmlFor="role-switcher" className="block text-xs font-medium text-gray-500 mb-1">
-                تبديل الدور (للمحاكاة):
-              </label>
-              <select
-                id="role-switcher"
-                value={userRole}
-                onChange={(e) => {
-                  setUserRole(e.target.value);
-                  if (e.target.value === 'supervisor') {
-                    setActiveSection('attendance');
-                  } else {
-                    setActiveSection('dashboard');
-                  }
-                }}
-                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm rounded-md"
-              >
-                <option value="admin">المدير</option>
-                <option value="supervisor">المشرف</option>
-              </select>
-            </div>
-          </div>
-        )}
+        <div className="mt-8 p-4 bg-gray-100 rounded-lg text-sm text-gray-600">
+          <p className="font-semibold">{currentUser.name || currentUser.email}</p>
+          <p className="break-all">{currentUser.email}</p>
+          <p className="mt-1 text-xs text-gray-500">الدور: {ROLE_LABELS[userRole]}</p>
+          <button
+            onClick={onSignOut}
+            className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200 focus:outline-none rounded-md"
+          >
+            تسجيل الخروج
+          </button>
+        </div>
       </aside>
 
       {/* Main content area */}
@@ -302,7 +1881,7 @@ const DashboardLayout = ({ children, activeSection, setActiveSection, userId, us
         <header className="bg-white shadow-md rounded-lg p-6 mb-6 flex justify-between items-center">
           <h1 className="text-3xl font-semibold text-gray-700">لوحة تحكم المركز التعليمي</h1>
           <div className="flex items-center space-x-4">
-            <span className="text-gray-600">مرحباً، {userRole === 'admin' ? 'المدير' : 'المشرف'}!</span>
+            <span className="text-gray-600">مرحباً، {currentUser.name || ROLE_LABELS[userRole]}!</span>
           </div>
         </header>
 
@@ -330,6 +1909,16 @@ const SidebarItem = ({ icon, text, isActive, onClick }) => (
   </button>
 );
 
+// RecordFilterNotice component: Shown above a table when a deep link narrows it to a single record.
+const RecordFilterNotice = ({ found, onShowAll }) => (
+  <div className="flex justify-between items-center p-3 bg-blue-50 text-blue-800 text-sm rounded-md">
+    <span>{found ? 'يتم عرض السجل المحدد في الرابط فقط.' : 'السجل المحدد في الرابط غير موجود أو تم حذفه.'}</span>
+    <button onClick={onShowAll} className="font-semibold hover:underline">
+      عرض الكل
+    </button>
+  </div>
+);
+
 // DashboardWidget component: A reusable card for displaying key metrics on the dashboard.
 const DashboardWidget = ({ title, value, icon, color, children }) => (
   <div className={`p-6 rounded-lg shadow-md flex flex-col items-start ${color} rounded-md`}>
@@ -342,27 +1931,69 @@ const DashboardWidget = ({ title, value, icon, color, children }) => (
   </div>
 );
 
+// DiscountPolicyPicker component: Checkbox list for attaching discount policies to a student or an enrollment.
+// Archived policies are only listed when they are already attached, so they can be detached.
+const DiscountPolicyPicker = ({ idPrefix, policies, selectedIds, onChange }) => {
+  const visiblePolicies = policies.filter(policy => !policy.archived || selectedIds.includes(policy.id));
+
+  const handleToggle = (policyId) => {
+    onChange(selectedIds.includes(policyId) ? selectedIds.filter(id => id !== policyId) : [...selectedIds, policyId]);
+  };
+
+  return (
+    <div className="max-h-40 overflow-y-auto border border-gray-300 rounded-md p-3 rounded-md">
+      {visiblePolicies.length === 0 ? (
+        <p className="text-sm text-gray-500">لا توجد سياسات خصم. يمكن إضافتها من صفحة الخصومات.</p>
+      ) : (
+        visiblePolicies.map(policy => (
+          <div key={policy.id} className="flex items-center mb-2">
+            <input
+              type="checkbox"
+              id={`${idPrefix}-${policy.id}`}
+              checked={selectedIds.includes(policy.id)}
+              onChange={() => handleToggle(policy.id)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded rounded-md"
+            />
+            <label htmlFor={`${idPrefix}-${policy.id}`} className="ml-2 block text-sm font-medium text-gray-700">
+              {policy.name} ({DISCOUNT_POLICY_KINDS[policy.kind]} - {formatDiscountPolicyValue(policy)}){policy.archived ? ' - مؤرشفة' : ''}
+            </label>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
 // ==================================================================================================
 // --- MODALS ---
 // ==================================================================================================
 
 // AddStudentModal component: Modal for adding new student records.
-const AddStudentModal = ({ onClose, onAddStudent, classes }) => {
+const AddStudentModal = ({ onClose, onAddStudent, classes, courses, discountPolicies }) => {
   const [name, setName] = useState('');
   const [phone, setPhone] = useState('');
   const [email, setEmail] = useState('');
-  const [selectedClassId, setSelectedClassId] = useState('');
+  const [selectedClassIds, setSelectedClassIds] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [discountPolicyIds, setDiscountPolicyIds] = useState([]);
   const [studentType, setStudentType] = useState('local');
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  const handleClassToggle = (classId) => {
+    setSelectedClassIds(prevSelected =>
+      prevSelected.includes(classId)
+        ? prevSelected.filter(id => id !== classId)
+        : [...prevSelected, classId]
+    );
+  };
+
   const validateForm = () => {
     const newErrors = {};
     if (!name.trim()) newErrors.name = 'الاسم مطلوب.';
     if (!phone.trim()) newErrors.phone = 'رقم الهاتف مطلوب.';
     else if (!/^\d{10,}$/.test(phone)) newErrors.phone = 'رقم هاتف غير صالح (10 أرقام على الأقل).';
     if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) newErrors.email = 'بريد إلكتروني غير صالح.';
-    if (!selectedClassId) newErrors.class = 'يجب اختيار فصل.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -377,8 +2008,12 @@ const AddStudentModal = ({ onClose, onAddStudent, classes }) => {
       name,
       phone,
       email,
-      paid: false,
-      classId: selectedClassId,
+      classIds: selectedClassIds,
+      courseId: courseId || null,
+      // The enrollment goes to the selected class teaching the course, or to the only selected class
+      enrollmentClassId: classes.find(cls => selectedClassIds.includes(cls.id) && cls.courseId === courseId)?.id
+        || (selectedClassIds.length === 1 ? selectedClassIds[0] : null),
+      discountPolicyIds,
       studentType,
     });
     onClose();
@@ -433,26 +2068,60 @@ const AddStudentModal = ({ onClose, onAddStudent, classes }) => {
           </div>
 
           <div>
-            <label htmlFor="studentClass" className="block text-sm font-medium text-gray-700 mb-1">
-              تنسيب إلى فصل:
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              الفصول (اختياري، يمكن اختيار أكثر من فصل):
+            </label>
+            <div className="max-h-40 overflow-y-auto border border-gray-300 rounded-md p-3 rounded-md">
+              {classes.length === 0 ? (
+                <p className="text-sm text-gray-500">لا توجد فصول متاحة.</p>
+              ) : (
+                classes.map((cls) => (
+                  <div key={cls.id} className="flex items-center mb-2">
+                    <input
+                      type="checkbox"
+                      id={`studentClass-${cls.id}`}
+                      checked={selectedClassIds.includes(cls.id)}
+                      onChange={() => handleClassToggle(cls.id)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded rounded-md"
+                    />
+                    <label htmlFor={`studentClass-${cls.id}`} className="ml-2 block text-sm font-medium text-gray-700">
+                      {cls.name}
+                    </label>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="studentCourse" className="block text-sm font-medium text-gray-700 mb-1">
+              الدورة المسجل بها (اختياري):
             </label>
             <select
-              id="studentClass"
-              value={selectedClassId}
-              onChange={(e) => { setSelectedClassId(e.target.value); setErrors(prev => ({ ...prev, class: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.class ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              id="studentCourse"
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
             >
-              <option value="">اختر فصلاً...</option>
-              {classes.map((cls) => (
-                <option key={cls.id} value={cls.id}>
-                  {cls.name}
+              <option value="">اختر دورة...</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>
+                  {course.name} ({formatCurrency(course.price, getCurrency(course))})
                 </option>
               ))}
             </select>
-            {errors.class && <p className="text-red-500 text-xs mt-1">{errors.class}</p>}
-            {classes.length === 0 && (
-              <p className="text-red-500 text-xs mt-1">لا توجد فصول متاحة. الرجاء إضافة فصل أولاً.</p>
-            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              خصومات الطالب (اختياري، تطبق على جميع تسجيلاته):
+            </label>
+            <DiscountPolicyPicker
+              idPrefix="studentDiscountPolicy"
+              policies={discountPolicies}
+              selectedIds={discountPolicyIds}
+              onChange={setDiscountPolicyIds}
+            />
           </div>
 
           <div>
@@ -507,23 +2176,30 @@ const AddStudentModal = ({ onClose, onAddStudent, classes }) => {
 };
 
 // EditStudentModal component: Modal for editing existing student records.
-const EditStudentModal = ({ student, onClose, onUpdateStudent, classes }) => {
+const EditStudentModal = ({ student, onClose, onUpdateStudent, classes, discountPolicies }) => {
   const [name, setName] = useState(student.name);
   const [phone, setPhone] = useState(student.phone);
   const [email, setEmail] = useState(student.email);
-  const [paid, setPaid] = useState(student.paid);
-  const [selectedClassId, setSelectedClassId] = useState(student.classId || '');
+  const [selectedClassIds, setSelectedClassIds] = useState(getStudentClassIds(student));
   const [studentType, setStudentType] = useState(student.studentType || 'local');
+  const [discountPolicyIds, setDiscountPolicyIds] = useState(student.discountPolicyIds || []);
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  const handleClassToggle = (classId) => {
+    setSelectedClassIds(prevSelected =>
+      prevSelected.includes(classId)
+        ? prevSelected.filter(id => id !== classId)
+        : [...prevSelected, classId]
+    );
+  };
+
   const validateForm = () => {
     const newErrors = {};
     if (!name.trim()) newErrors.name = 'الاسم مطلوب.';
     if (!phone.trim()) newErrors.phone = 'رقم الهاتف مطلوب.';
     else if (!/^\d{10,}$/.test(phone)) newErrors.phone = 'رقم هاتف غير صالح (10 أرقام على الأقل).';
     if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) newErrors.email = 'بريد إلكتروني غير صالح.';
-    if (!selectedClassId) newErrors.class = 'يجب اختيار فصل.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -538,8 +2214,8 @@ const EditStudentModal = ({ student, onClose, onUpdateStudent, classes }) => {
       name,
       phone,
       email,
-      paid,
-      classId: selectedClassId,
+      classIds: selectedClassIds,
+      discountPolicyIds,
       studentType,
     });
     onClose();
@@ -592,42 +2268,48 @@ const EditStudentModal = ({ student, onClose, onUpdateStudent, classes }) => {
             />
             {errors.email && <p className="text-red-500 text-xs mt-1">{errors.email}</p>}
           </div>
-          <div className="flex items-center">
-            <input
-              type="checkbox"
-              id="editStudentPaid"
-              checked={paid}
-              onChange={(e) => setPaid(e.target.checked)}
-              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded rounded-md"
-            />
-            <label htmlFor="editStudentPaid" className="ml-2 block text-sm font-medium text-gray-700">
-              تم الدفع
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              الفصول (اختياري، يمكن اختيار أكثر من فصل):
             </label>
+            <div className="max-h-40 overflow-y-auto border border-gray-300 rounded-md p-3 rounded-md">
+              {classes.length === 0 ? (
+                <p className="text-sm text-gray-500">لا توجد فصول متاحة.</p>
+              ) : (
+                classes.map((cls) => (
+                  <div key={cls.id} className="flex items-center mb-2">
+                    <input
+                      type="checkbox"
+                      id={`editStudentClass-${cls.id}`}
+                      checked={selectedClassIds.includes(cls.id)}
+                      onChange={() => handleClassToggle(cls.id)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded rounded-md"
+                    />
+                    <label htmlFor={`editStudentClass-${cls.id}`} className="ml-2 block text-sm font-medium text-gray-700">
+                      {cls.name}
+                    </label>
+                  </div>
+                ))
+              )}
+            </div>
           </div>
 
           <div>
-            <label htmlFor="editStudentClass" className="block text-sm font-medium text-gray-700 mb-1">
-              تنسيب إلى فصل:
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              خصومات الطالب (تطبق على جميع تسجيلاته):
             </label>
-            <select
-              id="editStudentClass"
-              value={selectedClassId}
-              onChange={(e) => { setSelectedClassId(e.target.value); setErrors(prev => ({ ...prev, class: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.class ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
-            >
-              <option value="">اختر فصلاً...</option>
-              {classes.map((cls) => (
-                <option key={cls.id} value={cls.id}>
-                  {cls.name}
-                </option>
-              ))}
-            </select>
-            {errors.class && <p className="text-red-500 text-xs mt-1">{errors.class}</p>}
-            {classes.length === 0 && (
-              <p className="text-red-500 text-xs mt-1">لا توجد فصول متاحة. الرجاء إضافة فصل أولاً.</p>
-            )}
+            <DiscountPolicyPicker
+              idPrefix="editStudentDiscountPolicy"
+              policies={discountPolicies}
+              selectedIds={discountPolicyIds}
+              onChange={setDiscountPolicyIds}
+            />
           </div>
 
+          <p className="text-xs text-gray-500">
+            الدورات والأسعار وخصومات كل دورة تُدار من خلال تسجيلات الطالب في ملفه الشخصي.
+          </p>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               نوع الطالب:
@@ -679,15 +2361,133 @@ const EditStudentModal = ({ student, onClose, onUpdateStudent, classes }) => {
   );
 };
 
+// ClassScheduleFields component: Term dates and weekly slots of a class, shared by the class forms.
+const ClassScheduleFields = ({ idPrefix, termStart, termEnd, slots, instructors, students, conflicts, errors, onTermStartChange, onTermEndChange, onSlotsChange }) => {
+  const updateSlot = (index, field, value) => {
+    onSlotsChange(slots.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-4">
+        <div className="flex-1">
+          <label htmlFor={`${idPrefix}TermStart`} className="block text-sm font-medium text-gray-700 mb-1">
+            بداية الفصل الدراسي:
+          </label>
+          <input
+            type="date"
+            id={`${idPrefix}TermStart`}
+            value={termStart}
+            onChange={(e) => onTermStartChange(e.target.value)}
+            className={`mt-1 block w-full px-4 py-2 border ${errors.term ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+          />
+        </div>
+        <div className="flex-1">
+          <label htmlFor={`${idPrefix}TermEnd`} className="block text-sm font-medium text-gray-700 mb-1">
+            نهاية الفصل الدراسي:
+          </label>
+          <input
+            type="date"
+            id={`${idPrefix}TermEnd`}
+            value={termEnd}
+            onChange={(e) => onTermEndChange(e.target.value)}
+            className={`mt-1 block w-full px-4 py-2 border ${errors.term ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+          />
+        </div>
+      </div>
+      {errors.term && <p className="text-red-500 text-xs">{errors.term}</p>}
+
+      <label className="block text-sm font-medium text-gray-700">المواعيد الأسبوعية (اختياري):</label>
+      {slots.map((slot, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <select
+            aria-label="اليوم"
+            value={slot.weekday}
+            onChange={(e) => updateSlot(index, 'weekday', parseInt(e.target.value, 10))}
+            className="px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          >
+            {WEEK_ORDER.map(weekday => (
+              <option key={weekday} value={weekday}>{WEEKDAYS[weekday]}</option>
+            ))}
+          </select>
+          <input
+            type="time"
+            aria-label="من"
+            value={slot.startTime}
+            onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          />
+          <input
+            type="time"
+            aria-label="إلى"
+            value={slot.endTime}
+            onChange={(e) => updateSlot(index, 'endTime', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          />
+          <input
+            type="text"
+            aria-label="القاعة"
+            value={slot.room}
+            onChange={(e) => updateSlot(index, 'room', e.target.value)}
+            className="w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+            placeholder="القاعة"
+          />
+          <select
+            aria-label="المدرب"
+            value={slot.instructorId || ''}
+            onChange={(e) => updateSlot(index, 'instructorId', e.target.value || null)}
+            className="px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          >
+            <option value="">بدون مدرب</option>
+            {instructors.map(instructor => (
+              <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onSlotsChange(slots.filter((_, i) => i !== index))}
+            className="text-red-600 hover:text-red-900 text-sm"
+          >
+            حذف
+          </button>
+        </div>
+      ))}
+      {errors.schedule && <p className="text-red-500 text-xs">{errors.schedule}</p>}
+      {conflicts.map((conflict, index) => (
+        <p key={index} className={`text-xs ${conflict.type === 'student' ? 'text-yellow-700' : 'text-red-600'}`}>
+          {describeScheduleConflict(conflict, instructors, students)}
+        </p>
+      ))}
+      <button
+        type="button"
+        onClick={() => onSlotsChange([...slots, { weekday: 6, startTime: '09:00', endTime: '10:30', room: '', instructorId: null }])}
+        className="text-sm text-blue-600 hover:text-blue-900"
+      >
+        + إضافة موعد
+      </button>
+    </div>
+  );
+};
+
 // AddClassModal component: Modal for creating new classes.
-const AddClassModal = ({ onClose, onAddClass }) => {
+const AddClassModal = ({ onClose, onAddClass, courses, instructors, classes, students }) => {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [termStart, setTermStart] = useState('');
+  const [termEnd, setTermEnd] = useState('');
+  const [schedule, setSchedule] = useState([]);
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  // Double-bookings are shown while the timetable is edited; instructor and room clashes block saving
+  const scheduleConflicts = findScheduleConflicts({ termStart, termEnd, schedule, instructors: [], students: [] }, classes);
+
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validateClassSchedule(termStart, termEnd, schedule);
+    if (!newErrors.schedule && scheduleConflicts.some(conflict => conflict.type !== 'student')) {
+      newErrors.schedule = 'يوجد تعارض في المدربين أو القاعات مع فصول أخرى؛ عدّل المواعيد أولاً.';
+    }
     if (!name.trim()) newErrors.name = 'اسم الفصل مطلوب.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -699,13 +2499,13 @@ const AddClassModal = ({ onClose, onAddClass }) => {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onAddClass({ name, description });
+    await onAddClass({ name, description, courseId: courseId || null, termStart, termEnd, schedule });
     onClose();
   };
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl max-h-screen overflow-y-auto rounded-md">
         <h3 className="text-2xl font-semibold mb-6 text-gray-800">إنشاء فصل جديد</h3>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
@@ -735,6 +2535,37 @@ const AddClassModal = ({ onClose, onAddClass }) => {
               placeholder="أدخل وصفًا موجزًا للفصل"
             ></textarea>
           </div>
+          <div>
+            <label htmlFor="classCourse" className="block text-sm font-medium text-gray-700 mb-1">
+              الدورة التي يدرّسها الفصل (اختياري):
+            </label>
+            <select
+              id="classCourse"
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">بدون دورة محددة</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>
+                  {course.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ClassScheduleFields
+            idPrefix="class"
+            termStart={termStart}
+            termEnd={termEnd}
+            slots={schedule}
+            instructors={instructors}
+            students={students}
+            conflicts={scheduleConflicts}
+            errors={errors}
+            onTermStartChange={(value) => { setTermStart(value); setErrors(prev => ({ ...prev, term: '' })); }}
+            onTermEndChange={(value) => { setTermEnd(value); setErrors(prev => ({ ...prev, term: '' })); }}
+            onSlotsChange={(slots) => { setSchedule(slots); setErrors(prev => ({ ...prev, schedule: '', term: '' })); }}
+          />
           <div className="flex justify-end space-x-3 mt-6">
             <button
               type="button"
@@ -757,14 +2588,24 @@ const AddClassModal = ({ onClose, onAddClass }) => {
 };
 
 // EditClassModal component: Modal for editing existing class details.
-const EditClassModal = ({ cls, onClose, onUpdateClass }) => {
+const EditClassModal = ({ cls, onClose, onUpdateClass, courses, instructors, classes, students }) => {
   const [name, setName] = useState(cls.name);
   const [description, setDescription] = useState(cls.description);
+  const [courseId, setCourseId] = useState(cls.courseId || '');
+  const [termStart, setTermStart] = useState(cls.termStart || '');
+  const [termEnd, setTermEnd] = useState(cls.termEnd || '');
+  const [schedule, setSchedule] = useState(cls.schedule || []);
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  // Double-bookings are shown while the timetable is edited; instructor and room clashes block saving
+  const scheduleConflicts = findScheduleConflicts({ ...cls, termStart, termEnd, schedule }, classes);
+
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validateClassSchedule(termStart, termEnd, schedule);
+    if (!newErrors.schedule && scheduleConflicts.some(conflict => conflict.type !== 'student')) {
+      newErrors.schedule = 'يوجد تعارض في المدربين أو القاعات مع فصول أخرى؛ عدّل المواعيد أولاً.';
+    }
     if (!name.trim()) newErrors.name = 'اسم الفصل مطلوب.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -776,13 +2617,13 @@ const EditClassModal = ({ cls, onClose, onUpdateClass }) => {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onUpdateClass(cls.id, { name, description });
+    await onUpdateClass(cls.id, { name, description, courseId: courseId || null, termStart, termEnd, schedule });
     onClose();
   };
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl max-h-screen overflow-y-auto rounded-md">
         <h3 className="text-2xl font-semibold mb-6 text-gray-800">تعديل الفصل</h3>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
@@ -812,6 +2653,38 @@ const EditClassModal = ({ cls, onClose, onUpdateClass }) => {
               placeholder="أدخل وصفًا موجزًا للفصل"
             ></textarea>
           </div>
+          <div>
+            <label htmlFor="editClassCourse" className="block text-sm font-medium text-gray-700 mb-1">
+              الدورة التي يدرّسها الفصل (اختياري):
+            </label>
+            <select
+              id="editClassCourse"
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">بدون دورة محددة</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>
+                  {course.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ClassScheduleFields
+            idPrefix="editClass"
+            termStart={termStart}
+            termEnd={termEnd}
+            slots={schedule}
+            instructors={instructors}
+            students={students}
+            conflicts={scheduleConflicts}
+            errors={errors}
+            onTermStartChange={(value) => { setTermStart(value); setErrors(prev => ({ ...prev, term: '' })); }}
+            onTermEndChange={(value) => { setTermEnd(value); setErrors(prev => ({ ...prev, term: '' })); }}
+            onSlotsChange={(slots) => { setSchedule(slots); setErrors(prev => ({ ...prev, schedule: '', term: '' })); }}
+          />
+          <p className="text-xs text-gray-500">تغيير الجدول يعيد توليد الحصص القادمة فقط؛ الحصص السابقة والحصص التي سُجل فيها حضور تبقى كما هي.</p>
           <div className="flex justify-end space-x-3 mt-6">
             <button
               type="button"
@@ -834,7 +2707,7 @@ const EditClassModal = ({ cls, onClose, onUpdateClass }) => {
 };
 
 // AssignStudentsToClassModal component: Modal for assigning students to a class.
-const AssignStudentsToClassModal = ({ cls, students, onClose, onUpdateClass }) => {
+const AssignStudentsToClassModal = ({ cls, students, classes, onClose, onAssignStudents }) => {
   const [selectedStudentIds, setSelectedStudentIds] = useState(cls.students || []);
 
   const handleCheckboxChange = (studentId) => {
@@ -847,10 +2720,21 @@ const AssignStudentsToClassModal = ({ cls, students, onClose, onUpdateClass }) =
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await onUpdateClass(cls.id, { students: selectedStudentIds });
+    await onAssignStudents(cls.id, selectedStudentIds);
     onClose();
   };
 
+  // Students whose other classes meet at the same time as this one; a warning, not a refusal
+  const getStudentConflicts = (studentId) => findScheduleConflicts({ ...cls, students: [studentId] }, classes)
+    .filter(conflict => conflict.type === 'student');
+
+  // Students keep their other classes; they are listed so the admin can see who attends several
+  const getOtherClassNames = (student) => getStudentClassIds(student)
+    .filter(id => id !== cls.id)
+    .map(id => (classes.find(c => c.id === id) || {}).name)
+    .filter(Boolean)
+    .join('، ');
+
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
@@ -871,6 +2755,14 @@ const AssignStudentsToClassModal = ({ cls, students, onClose, onUpdateClass }) =
                   />
                   <label htmlFor={`student-${student.id}`} className="ml-2 block text-sm font-medium text-gray-700">
                     {student.name} ({student.email || student.phone})
+                    {getOtherClassNames(student) && (
+                      <span className="text-xs text-gray-500"> - أيضاً في: {getOtherClassNames(student)}</span>
+                    )}
+                    {selectedStudentIds.includes(student.id) && getStudentConflicts(student.id).map((conflict, index) => (
+                      <span key={index} className="block text-xs text-yellow-700">
+                        يتعارض مع فصل "{conflict.otherClass.name}" ({WEEKDAYS[conflict.slot.weekday]} {conflict.slot.startTime} - {conflict.slot.endTime})
+                      </span>
+                    ))}
                   </label>
                 </div>
               ))
@@ -897,44 +2789,130 @@ const AssignStudentsToClassModal = ({ cls, students, onClose, onUpdateClass }) =
   );
 };
 
-// AssignInstructorsToClassModal component: Modal for assigning instructors to a class.
-const AssignInstructorsToClassModal = ({ cls, instructors, onClose, onUpdateClass }) => {
-  const [selectedInstructorIds, setSelectedInstructorIds] = useState(cls.instructors || []);
+// MembershipCheckModal component: Reports where student and class records disagree about class membership and repairs them.
+const MembershipCheckModal = ({ students, classes, onClose, onRepair }) => {
+  const { can } = usePermissions();
+  const issues = findMembershipIssues(students, classes);
 
-  const handleCheckboxChange = (instructorId) => {
-    setSelectedInstructorIds(prevSelected =>
-      prevSelected.includes(instructorId)
-        ? prevSelected.filter(id => id !== instructorId)
-        : [...prevSelected, instructorId]
-    );
+  const getStudentName = (studentId) => {
+    const student = students.find(s => s.id === studentId);
+    return student ? student.name : `طالب محذوف (${studentId})`;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    await onUpdateClass(cls.id, { instructors: selectedInstructorIds });
-    onClose();
+  const getClassName = (classId) => {
+    const cls = classes.find(c => c.id === classId);
+    return cls ? cls.name : `فصل محذوف (${classId})`;
   };
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
-        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تنسيب مدربين إلى فصل: {cls.name}</h3>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="max-h-60 overflow-y-auto border border-gray-300 rounded-md p-3 rounded-md">
-            {instructors.length === 0 ? (
-              <p className="text-sm text-gray-500">لا يوجد مدربون متاحون للتنسيب.</p>
-            ) : (
-              instructors.map(instructor => (
-                <div key={instructor.id} className="flex items-center mb-2">
-                  <input
-                    type="checkbox"
-                    id={`instructor-${instructor.id}`}
-                    checked={selectedInstructorIds.includes(instructor.id)}
-                    onChange={() => handleCheckboxChange(instructor.id)}
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">فحص تناسق الفصول</h3>
+        {issues.length === 0 ? (
+          <p className="text-green-700">بيانات الفصول متسقة: كل طالب مدرج في قائمة الفصل المسجل به.</p>
+        ) : (
+          <div className="max-h-80 overflow-y-auto border border-gray-300 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفصل</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المشكلة</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {issues.map(issue => (
+                  <tr key={`${issue.type}-${issue.studentId}-${issue.classId}`}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{getStudentName(issue.studentId)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{getClassName(issue.classId)}</td>
+                    <td className="px-4 py-2 text-sm text-red-600">{MEMBERSHIP_ISSUE_LABELS[issue.type]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+          >
+            إغلاق
+          </button>
+          {issues.length > 0 && can('classes', 'edit') && (
+            <button
+              type="button"
+              onClick={onRepair}
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إصلاح الكل
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// AssignInstructorsToClassModal component: Modal for assigning instructors to a class.
+const AssignInstructorsToClassModal = ({ cls, instructors, classes, onClose, onUpdateClass }) => {
+  const [selectedInstructorIds, setSelectedInstructorIds] = useState(cls.instructors || []);
+  const { addToast } = useNotification();
+
+  // Timetable slots without their own instructor are taught by every assigned instructor, so an
+  // instructor who is busy elsewhere at one of those times cannot be assigned
+  const getInstructorConflicts = (instructorId) => findScheduleConflicts({ ...cls, instructors: [instructorId], students: [] }, classes)
+    .filter(conflict => conflict.type === 'instructor' && !conflict.slot.instructorId);
+
+  const handleCheckboxChange = (instructorId) => {
+    setSelectedInstructorIds(prevSelected =>
+      prevSelected.includes(instructorId)
+        ? prevSelected.filter(id => id !== instructorId)
+        : [...prevSelected, instructorId]
+    );
+  };
+
+  // Only instructors added here are checked: a clash an already assigned instructor has is shown but was
+  // there before, and does not stop the other changes from being saved
+  const isNewlyAssigned = (instructorId) => !(cls.instructors || []).includes(instructorId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (selectedInstructorIds.some(instructorId => isNewlyAssigned(instructorId) && getInstructorConflicts(instructorId).length > 0)) {
+      addToast("لا يمكن تنسيب مدرب لديه فصل آخر في أوقات هذا الفصل.", "error");
+      return;
+    }
+    await onUpdateClass(cls.id, { instructors: selectedInstructorIds });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تنسيب مدربين إلى فصل: {cls.name}</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="max-h-60 overflow-y-auto border border-gray-300 rounded-md p-3 rounded-md">
+            {instructors.length === 0 ? (
+              <p className="text-sm text-gray-500">لا يوجد مدربون متاحون للتنسيب.</p>
+            ) : (
+              instructors.map(instructor => (
+                <div key={instructor.id} className="flex items-center mb-2">
+                  <input
+                    type="checkbox"
+                    id={`instructor-${instructor.id}`}
+                    checked={selectedInstructorIds.includes(instructor.id)}
+                    onChange={() => handleCheckboxChange(instructor.id)}
                     className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded rounded-md"
                   />
                   <label htmlFor={`instructor-${instructor.id}`} className="ml-2 block text-sm font-medium text-gray-700">
                     {instructor.name} ({instructor.specialty || 'لا يوجد تخصص'})
+                    {getInstructorConflicts(instructor.id).map((conflict, index) => (
+                      <span key={index} className={`block text-xs ${isNewlyAssigned(instructor.id) ? 'text-red-600' : 'text-yellow-700'}`}>
+                        متعارض مع فصل "{conflict.otherClass.name}" ({WEEKDAYS[conflict.slot.weekday]} {conflict.slot.startTime} - {conflict.slot.endTime})
+                        {!isNewlyAssigned(instructor.id) && ' - تعارض قائم مسبقاً'}
+                      </span>
+                    ))}
                   </label>
                 </div>
               ))
@@ -962,23 +2940,50 @@ const AssignInstructorsToClassModal = ({ cls, instructors, onClose, onUpdateClas
 };
 
 
-// AddPaymentModal component: Modal for adding new payment records.
-const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
-  const [studentId, setStudentId] = useState('');
-  const [courseId, setCourseId] = useState('');
-  const [amount, setAmount] = useState('');
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [discount, setDiscount] = useState('');
-  const [status, setStatus] = useState('مدفوع');
-  const [notes, setNotes] = useState('');
+// EnrollStudentModal component: Modal for enrolling a student in a course, optionally in one of its classes.
+// The student or class is fixed when the modal is opened from a student profile or a class.
+const EnrollStudentModal = ({ onClose, onEnroll, students, courses, classes, enrollments, discountPolicies, exchangeRates, fixedStudentId, fixedClassId }) => {
+  const fixedClass = classes.find(cls => cls.id === fixedClassId);
+  const [studentId, setStudentId] = useState(fixedStudentId || '');
+  const [courseId, setCourseId] = useState(fixedClass && fixedClass.courseId ? fixedClass.courseId : '');
+  const [classId, setClassId] = useState(fixedClassId || '');
+  const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]);
+  const [agreedPrice, setAgreedPrice] = useState(() => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.price : '';
+  });
+  const [discountPolicyIds, setDiscountPolicyIds] = useState([]);
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  // Preview of what the student will owe once their own and this enrollment's policies are applied,
+  // in the currency of the selected course
+  const selectedStudent = students.find(st => st.id === studentId);
+  const selectedCourse = courses.find(c => c.id === courseId);
+  const currency = selectedCourse ? getCurrency(selectedCourse) : BASE_CURRENCY;
+  const exchangeRate = getExchangeRate(exchangeRates, currency);
+  const discountPreview = getEnrollmentDiscounts({ agreedPrice: parseFloat(agreedPrice) || 0, discountPolicyIds, currency, exchangeRate: exchangeRate || 1 }, selectedStudent, discountPolicies);
+
+  // Classes that teach the selected course, plus classes not tied to any course
+  const availableClasses = classes.filter(cls => !cls.courseId || cls.courseId === courseId);
+
+  const handleCourseChange = (newCourseId) => {
+    setCourseId(newCourseId);
+    const course = courses.find(c => c.id === newCourseId);
+    setAgreedPrice(course ? course.price : '');
+    if (!fixedClassId) setClassId('');
+    setErrors(prev => ({ ...prev, course: '', agreedPrice: '' }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
     if (!studentId) newErrors.student = 'يجب اختيار طالب.';
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) newErrors.amount = 'المبلغ مطلوب ويجب أن يكون رقماً موجباً.';
-    if (!date) newErrors.date = 'التاريخ مطلوب.';
+    if (!courseId) newErrors.course = 'يجب اختيار دورة.';
+    else if (enrollments.some(en => en.studentId === studentId && en.courseId === courseId && en.status === 'active')) {
+      newErrors.course = 'الطالب مسجل بالفعل في هذه الدورة.';
+    }
+    if (!startDate) newErrors.startDate = 'تاريخ البدء مطلوب.';
+    if (agreedPrice === '' || isNaN(parseFloat(agreedPrice)) || parseFloat(agreedPrice) < 0) newErrors.agreedPrice = 'السعر المتفق عليه مطلوب ويجب أن يكون رقماً موجباً.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -989,14 +2994,13 @@ const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onAddPayment({
+    await onEnroll({
       studentId,
-      courseId: courseId || null,
-      amount: parseFloat(amount),
-      date: new Date(date),
-      discount: parseFloat(discount) || 0,
-      status,
-      notes,
+      courseId,
+      classId: classId || null,
+      startDate: new Date(startDate),
+      agreedPrice: parseFloat(agreedPrice),
+      discountPolicyIds,
     });
     onClose();
   };
@@ -1004,16 +3008,17 @@ const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
-        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة دفعة جديدة</h3>
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تسجيل طالب في دورة</h3>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
-            <label htmlFor="studentSelect" className="block text-sm font-medium text-gray-700 mb-1">
+            <label htmlFor="enrollStudent" className="block text-sm font-medium text-gray-700 mb-1">
               الطالب:
             </label>
             <select
-              id="studentSelect"
+              id="enrollStudent"
               value={studentId}
-              onChange={(e) => { setStudentId(e.target.value); setErrors(prev => ({ ...prev, student: '' })); }}
+              disabled={Boolean(fixedStudentId)}
+              onChange={(e) => { setStudentId(e.target.value); setErrors(prev => ({ ...prev, student: '', course: '' })); }}
               className={`mt-1 block w-full px-4 py-2 border ${errors.student ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
             >
               <option value="">اختر طالباً...</option>
@@ -1026,93 +3031,231 @@ const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
             {errors.student && <p className="text-red-500 text-xs mt-1">{errors.student}</p>}
           </div>
           <div>
-            <label htmlFor="courseSelect" className="block text-sm font-medium text-gray-700 mb-1">
-              الدورة (اختياري):
+            <label htmlFor="enrollCourse" className="block text-sm font-medium text-gray-700 mb-1">
+              الدورة:
             </label>
             <select
-              id="courseSelect"
+              id="enrollCourse"
               value={courseId}
-              onChange={(e) => setCourseId(e.target.value)}
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              onChange={(e) => handleCourseChange(e.target.value)}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.course ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
             >
               <option value="">اختر دورة...</option>
               {courses.map(course => (
                 <option key={course.id} value={course.id}>
-                  {course.name} ({course.price.toLocaleString()} د.ل)
+                  {course.name} ({formatCurrency(course.price, getCurrency(course))})
                 </option>
               ))}
             </select>
+            {errors.course && <p className="text-red-500 text-xs mt-1">{errors.course}</p>}
           </div>
           <div>
-            <label htmlFor="paymentAmount" className="block text-sm font-medium text-gray-700 mb-1">
-              المبلغ (د.ل):
+            <label htmlFor="enrollClass" className="block text-sm font-medium text-gray-700 mb-1">
+              الفصل (اختياري):
             </label>
-            <input
-              type="number"
-              id="paymentAmount"
-              value={amount}
-              onChange={(e) => { setAmount(e.target.value); setErrors(prev => ({ ...prev, amount: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.amount ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
-              placeholder="مثال: 250.00"
-              step="0.01"
-            />
-            {errors.amount && <p className="text-red-500 text-xs mt-1">{errors.amount}</p>}
+            <select
+              id="enrollClass"
+              value={classId}
+              disabled={Boolean(fixedClassId)}
+              onChange={(e) => setClassId(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">بدون فصل</option>
+              {(fixedClass ? [fixedClass] : availableClasses).map(cls => (
+                <option key={cls.id} value={cls.id}>
+                  {cls.name}
+                </option>
+              ))}
+            </select>
           </div>
           <div>
-            <label htmlFor="paymentDate" className="block text-sm font-medium text-gray-700 mb-1">
-              التاريخ:
+            <label htmlFor="enrollStartDate" className="block text-sm font-medium text-gray-700 mb-1">
+              تاريخ البدء:
             </label>
             <input
               type="date"
-              id="paymentDate"
-              value={date}
-              onChange={(e) => { setDate(e.target.value); setErrors(prev => ({ ...prev, date: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.date ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              id="enrollStartDate"
+              value={startDate}
+              onChange={(e) => { setStartDate(e.target.value); setErrors(prev => ({ ...prev, startDate: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.startDate ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
             />
-            {errors.date && <p className="text-red-500 text-xs mt-1">{errors.date}</p>}
+            {errors.startDate && <p className="text-red-500 text-xs mt-1">{errors.startDate}</p>}
           </div>
           <div>
-            <label htmlFor="paymentDiscount" className="block text-sm font-medium text-gray-700 mb-1">
-              الخصم (د.ل) (اختياري):
+            <label htmlFor="enrollAgreedPrice" className="block text-sm font-medium text-gray-700 mb-1">
+              السعر المتفق عليه ({CURRENCIES[currency].symbol}):
             </label>
             <input
               type="number"
-              id="paymentDiscount"
-              value={discount}
-              onChange={(e) => setDiscount(e.target.value)}
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-              placeholder="مثال: 20.00"
+              id="enrollAgreedPrice"
+              value={agreedPrice}
+              onChange={(e) => { setAgreedPrice(e.target.value); setErrors(prev => ({ ...prev, agreedPrice: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.agreedPrice ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="مثال: 500.00"
               step="0.01"
             />
+            {errors.agreedPrice && <p className="text-red-500 text-xs mt-1">{errors.agreedPrice}</p>}
           </div>
           <div>
-            <label htmlFor="paymentStatus" className="block text-sm font-medium text-gray-700 mb-1">
-              الحالة:
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              خصومات هذا التسجيل (اختياري):
             </label>
-            <select
-              id="paymentStatus"
-              value={status}
-              onChange={(e) => setStatus(e.target.value)}
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            <DiscountPolicyPicker
+              idPrefix="enrollDiscountPolicy"
+              policies={discountPolicies}
+              selectedIds={discountPolicyIds}
+              onChange={setDiscountPolicyIds}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              الخصم المطبق (مع خصومات الطالب): {formatCurrency(discountPreview.total, currency)} - الصافي: {formatCurrency(discountPreview.netPrice, currency)}
+            </p>
+            {!exchangeRate && (
+              <p className="text-xs text-red-600 mt-1">لم يُحدد سعر صرف لعملة {CURRENCIES[currency].label}. حدده من صفحة المدفوعات قبل التسجيل.</p>
+            )}
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
             >
-              <option value="مدفوع">مدفوع</option>
-              <option value="معلق">معلق</option>
-              <option value="جزئي">جزئي</option>
-            </select>
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              تسجيل
+            </button>
           </div>
-          <div>
-            <label htmlFor="paymentNotes" className="block text-sm font-medium text-gray-700 mb-1">
-              ملاحظات (اختياري):
-            </label>
-            <textarea
-              id="paymentNotes"
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              rows="2"
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-              placeholder="أدخل أي ملاحظات حول الدفعة"
-            ></textarea>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// ClassEnrollmentsModal component: Lists the enrollments placed in a class with actions to enroll and withdraw.
+const ClassEnrollmentsModal = ({ cls, enrollments, students, courses, discountPolicies, onClose, onEnrollClick, onWithdraw }) => {
+  const { can } = usePermissions();
+  const classEnrollments = enrollments.filter(en => en.classId === cls.id);
+
+  const getStudentName = (studentId) => {
+    const student = students.find(s => s.id === studentId);
+    return student ? student.name : 'طالب محذوف';
+  };
+
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'دورة محذوفة';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl rounded-md">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-2xl font-semibold text-gray-800">تسجيلات الفصل: {cls.name}</h3>
+          {can('enrollments', 'create') && (
+            <button
+              onClick={onEnrollClick}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-md"
+            >
+              + تسجيل طالب
+            </button>
+          )}
+        </div>
+        <div className="max-h-80 overflow-y-auto border border-gray-300 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">السعر المتفق عليه</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {classEnrollments.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-4 py-3 text-center text-sm text-gray-500">لا توجد تسجيلات في هذا الفصل.</td>
+                </tr>
+              ) : (
+                classEnrollments.map(en => (
+                  <tr key={en.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{getStudentName(en.studentId)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{getCourseName(en.courseId)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">
+                      {formatCurrency(getEnrollmentDiscounts(en, students.find(s => s.id === en.studentId), discountPolicies).netPrice, getCurrency(en))}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{ENROLLMENT_STATUSES[en.status]}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {en.status === 'active' && can('enrollments', 'edit') && (
+                        <button onClick={() => onWithdraw(en)} className="text-red-600 hover:text-red-900">
+                          سحب
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex justify-end mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+          >
+            إغلاق
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// EnrollmentDiscountsModal component: Modal for choosing the discount policies of one enrollment.
+// Policies attached to the student apply on top and are only shown here.
+const EnrollmentDiscountsModal = ({ enrollment, student, courseName, discountPolicies, onClose, onSave }) => {
+  const [discountPolicyIds, setDiscountPolicyIds] = useState(enrollment.discountPolicyIds || []);
+  const preview = getEnrollmentDiscounts({ ...enrollment, discountPolicyIds }, student, discountPolicies);
+  const studentPolicies = discountPolicies.filter(policy => (student.discountPolicyIds || []).includes(policy.id));
+  const currency = getCurrency(enrollment);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSave(enrollment.id, discountPolicyIds);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-2 text-gray-800">خصومات التسجيل</h3>
+        <p className="text-sm text-gray-600 mb-6">{student.name} - {courseName} ({formatCurrency(enrollment.agreedPrice, currency)})</p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DiscountPolicyPicker
+            idPrefix="enrollmentDiscountPolicy"
+            policies={discountPolicies}
+            selectedIds={discountPolicyIds}
+            onChange={setDiscountPolicyIds}
+          />
+          {studentPolicies.length > 0 && (
+            <p className="text-xs text-gray-500">
+              خصومات الطالب المطبقة أيضاً: {studentPolicies.map(policy => policy.name).join('، ')}
+            </p>
+          )}
+          <div className="bg-gray-50 p-3 rounded-md text-sm text-gray-700">
+            {preview.lines.map(line => (
+              <p key={line.policy.id}>{line.policy.name}: {formatCurrency(line.amount, currency)}</p>
+            ))}
+            {preview.manual > 0 && <p>خصم مسجل يدوياً: {formatCurrency(preview.manual, currency)}</p>}
+            <p className="font-semibold mt-1">الصافي المستحق: {formatCurrency(preview.netPrice, currency)}</p>
           </div>
+          {(enrollment.installments || []).length > 0 && (
+            <p className="text-xs text-yellow-700">لهذا التسجيل خطة أقساط؛ راجعها بعد تغيير الخصومات حتى يطابق مجموعها الصافي الجديد.</p>
+          )}
           <div className="flex justify-end space-x-3 mt-6">
             <button
               type="button"
@@ -1125,7 +3268,7 @@ const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
               type="submit"
               className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
             >
-              إضافة الدفعة
+              حفظ الخصومات
             </button>
           </div>
         </form>
@@ -1134,94 +3277,325 @@ const AddPaymentModal = ({ onClose, onAddPayment, students, courses }) => {
   );
 };
 
-// EditPaymentModal component: Modal for editing existing payment records.
-const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses }) => {
-  const [studentId, setStudentId] = useState(payment.studentId);
-  const [courseId, setCourseId] = useState(payment.courseId || '');
-  const [amount, setAmount] = useState(payment.amount);
-  const [date, setDate] = useState(payment.date.toDate().toISOString().split('T')[0]);
-  const [discount, setDiscount] = useState(payment.discount || '');
-  const [status, setStatus] = useState(payment.status);
-  const [notes, setNotes] = useState(payment.notes || '');
+// InstallmentPlanModal component: Modal for splitting an enrollment's net price (after discounts) into scheduled installments.
+const InstallmentPlanModal = ({ enrollment, netPrice, studentName, courseName, onClose, onSavePlan }) => {
+  const toInputDate = (date) => date.toISOString().split('T')[0];
+  const currency = getCurrency(enrollment);
+  const [count, setCount] = useState(enrollment.installments ? enrollment.installments.length : 3);
+  const [firstDueDate, setFirstDueDate] = useState(toInputDate(new Date()));
+  const [intervalMonths, setIntervalMonths] = useState(1);
+  const [rows, setRows] = useState(() => (enrollment.installments || []).map(installment => ({
+    dueDate: toInputDate(installment.dueDate.toDate ? installment.dueDate.toDate() : new Date(installment.dueDate)),
+    amount: installment.amount,
+  })));
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  const rowsTotal = rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+
+  const handleGenerate = () => {
+    const installmentCount = parseInt(count, 10);
+    const interval = parseInt(intervalMonths, 10);
+    if (!installmentCount || installmentCount < 1 || installmentCount > 36 || !firstDueDate || !interval || interval < 1) {
+      setErrors({ generate: 'أدخل عدد أقساط بين 1 و 36، تاريخ أول قسط، وفاصلاً شهرياً صحيحاً.' });
+      return;
+    }
+    setErrors({});
+    setRows(generateInstallments(netPrice, installmentCount, new Date(firstDueDate), interval).map(installment => ({
+      dueDate: toInputDate(installment.dueDate),
+      amount: installment.amount,
+    })));
+  };
+
+  const handleRowChange = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    setErrors(prev => ({ ...prev, rows: '' }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
-    if (!studentId) newErrors.student = 'يجب اختيار طالب.';
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) newErrors.amount = 'المبلغ مطلوب ويجب أن يكون رقماً موجباً.';
-    if (!date) newErrors.date = 'التاريخ مطلوب.';
+    if (rows.some(row => !row.dueDate || isNaN(parseFloat(row.amount)) || parseFloat(row.amount) <= 0)) {
+      newErrors.rows = 'لكل قسط تاريخ استحقاق ومبلغ موجب.';
+    } else if (Math.abs(rowsTotal - netPrice) > 0.01) {
+      newErrors.rows = `مجموع الأقساط (${formatCurrency(rowsTotal, currency)}) يجب أن يساوي صافي سعر التسجيل (${formatCurrency(netPrice, currency)}).`;
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!validateForm()) {
+    if (rows.length > 0 && !validateForm()) {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onUpdatePayment(payment.id, {
-      studentId,
-      courseId: courseId || null,
-      amount: parseFloat(amount),
-      date: new Date(date),
-      discount: parseFloat(discount) || 0,
-      status,
-      notes,
-    });
+    await onSavePlan(enrollment.id, rows.map(row => ({ dueDate: new Date(row.dueDate), amount: parseFloat(row.amount) })));
     onClose();
   };
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
-        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تعديل الدفعة</h3>
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl rounded-md">
+        <h3 className="text-2xl font-semibold mb-2 text-gray-800">خطة الأقساط</h3>
+        <p className="text-sm text-gray-600 mb-6">
+          {studentName} - {courseName} - صافي السعر: <span className="font-bold">{formatCurrency(netPrice, currency)}</span>
+        </p>
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="editStudentSelect" className="block text-sm font-medium text-gray-700 mb-1">
-              الطالب:
-            </label>
-            <select
-              id="editStudentSelect"
-              value={studentId}
-              onChange={(e) => { setStudentId(e.target.value); setErrors(prev => ({ ...prev, student: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.student ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+          <div className="flex flex-wrap gap-4 items-end">
+            <div className="flex-1 min-w-[120px]">
+              <label htmlFor="planCount" className="block text-sm font-medium text-gray-700 mb-1">عدد الأقساط:</label>
+              <input
+                type="number"
+                id="planCount"
+                min="1"
+                max="36"
+                value={count}
+                onChange={(e) => setCount(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              />
+            </div>
+            <div className="flex-1 min-w-[150px]">
+              <label htmlFor="planFirstDueDate" className="block text-sm font-medium text-gray-700 mb-1">تاريخ أول قسط:</label>
+              <input
+                type="date"
+                id="planFirstDueDate"
+                value={firstDueDate}
+                onChange={(e) => setFirstDueDate(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              />
+            </div>
+            <div className="flex-1 min-w-[120px]">
+              <label htmlFor="planInterval" className="block text-sm font-medium text-gray-700 mb-1">كل (أشهر):</label>
+              <input
+                type="number"
+                id="planInterval"
+                min="1"
+                value={intervalMonths}
+                onChange={(e) => setIntervalMonths(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={handleGenerate}
+              className="px-5 py-2 bg-gray-100 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-200 rounded-md"
             >
-              <option value="">اختر طالباً...</option>
-              {students.map(student => (
-                <option key={student.id} value={student.id}>
-                  {student.name}
-                </option>
-              ))}
-            </select>
-            {errors.student && <p className="text-red-500 text-xs mt-1">{errors.student}</p>}
+              توليد الأقساط
+            </button>
+          </div>
+          {errors.generate && <p className="text-red-500 text-xs mt-1">{errors.generate}</p>}
+
+          {rows.length === 0 ? (
+            <p className="text-center text-gray-500">لا توجد أقساط. استخدم "توليد الأقساط" لإنشاء جدول.</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto border border-gray-300 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">القسط</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ الاستحقاق</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المبلغ ({CURRENCIES[currency].symbol})</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map((row, index) => (
+                    <tr key={index}>
+                      <td className="px-4 py-2 text-sm text-gray-900">{index + 1}</td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="date"
+                          value={row.dueDate}
+                          onChange={(e) => handleRowChange(index, 'dueDate', e.target.value)}
+                          className="block w-full px-2 py-1 border border-gray-300 rounded-md sm:text-sm"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={row.amount}
+                          onChange={(e) => handleRowChange(index, 'amount', e.target.value)}
+                          className="block w-full px-2 py-1 border border-gray-300 rounded-md sm:text-sm"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {rows.length > 0 && (
+            <p className="text-sm text-gray-600">المجموع: {formatCurrency(rowsTotal, currency)}</p>
+          )}
+          {errors.rows && <p className="text-red-500 text-xs mt-1">{errors.rows}</p>}
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              {rows.length === 0 ? 'حفظ بدون أقساط' : 'حفظ الخطة'}
+            </button>
           </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// AddPaymentModal component: Modal for adding new payment records.
+const AddPaymentModal = ({ onClose, onAddPayment, students, courses, enrollments }) => {
+  const [studentId, setStudentId] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [enrollmentId, setEnrollmentId] = useState('');
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [status, setStatus] = useState('مدفوع');
+  const [notes, setNotes] = useState('');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  // Payments are recorded against one of the student's enrollments; students without
+  // enrollments keep the plain course field
+  const studentEnrollments = enrollments.filter(en => en.studentId === studentId);
+  // A payment against an enrollment is always in the enrollment's currency
+  const selectedEnrollment = studentEnrollments.find(en => en.id === enrollmentId);
+  const paymentCurrency = selectedEnrollment ? getCurrency(selectedEnrollment) : currency;
+
+  const handleCourseChange = (newCourseId) => {
+    setCourseId(newCourseId);
+    const course = courses.find(c => c.id === newCourseId);
+    if (course) setCurrency(getCurrency(course));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!studentId) newErrors.student = 'يجب اختيار طالب.';
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) newErrors.amount = 'المبلغ مطلوب ويجب أن يكون رقماً موجباً.';
+    if (!date) newErrors.date = 'التاريخ مطلوب.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onAddPayment({
+      studentId,
+      enrollmentId: selectedEnrollment ? selectedEnrollment.id : null,
+      courseId: selectedEnrollment ? selectedEnrollment.courseId : (courseId || null),
+      amount: parseFloat(amount),
+      currency: paymentCurrency,
+      date: new Date(date),
+      // Discounts are applied through discount policies, not typed on payments
+      discount: 0,
+      status,
+      notes,
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة دفعة جديدة</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
           <div>
-            <label htmlFor="editCourseSelect" className="block text-sm font-medium text-gray-700 mb-1">
-              الدورة (اختياري):
+            <label htmlFor="studentSelect" className="block text-sm font-medium text-gray-700 mb-1">
+              الطالب:
             </label>
             <select
-              id="editCourseSelect"
-              value={courseId}
-              onChange={(e) => setCourseId(e.target.value)}
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              id="studentSelect"
+              value={studentId}
+              onChange={(e) => { setStudentId(e.target.value); setEnrollmentId(''); setErrors(prev => ({ ...prev, student: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.student ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
             >
-              <option value="">اختر دورة...</option>
-              {courses.map(course => (
-                <option key={course.id} value={course.id}>
-                  {course.name} ({course.price.toLocaleString()} د.ل)
+              <option value="">اختر طالباً...</option>
+              {students.map(student => (
+                <option key={student.id} value={student.id}>
+                  {student.name}
                 </option>
               ))}
             </select>
+            {errors.student && <p className="text-red-500 text-xs mt-1">{errors.student}</p>}
           </div>
+          {studentEnrollments.length > 0 ? (
+            <div>
+              <label htmlFor="addEnrollmentSelect" className="block text-sm font-medium text-gray-700 mb-1">
+                التسجيل:
+              </label>
+              <select
+                id="addEnrollmentSelect"
+                value={enrollmentId}
+                onChange={(e) => setEnrollmentId(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                <option value="">دفعة عامة (بدون تسجيل)</option>
+                {studentEnrollments.map(en => {
+                  const course = courses.find(c => c.id === en.courseId);
+                  return (
+                    <option key={en.id} value={en.id}>
+                      {course ? course.name : 'دورة محذوفة'} - {ENROLLMENT_STATUSES[en.status]} ({formatCurrency(en.agreedPrice, getCurrency(en))})
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="courseSelect" className="block text-sm font-medium text-gray-700 mb-1">
+                الدورة (اختياري):
+              </label>
+              <select
+                id="courseSelect"
+                value={courseId}
+                onChange={(e) => handleCourseChange(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                <option value="">اختر دورة...</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>
+                    {course.name} ({formatCurrency(course.price, getCurrency(course))})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {!selectedEnrollment && (
+            <div>
+              <label htmlFor="paymentCurrency" className="block text-sm font-medium text-gray-700 mb-1">
+                العملة:
+              </label>
+              <select
+                id="paymentCurrency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                  <option key={code} value={code}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
-            <label htmlFor="editPaymentAmount" className="block text-sm font-medium text-gray-700 mb-1">
-              المبلغ (د.ل):
+            <label htmlFor="paymentAmount" className="block text-sm font-medium text-gray-700 mb-1">
+              المبلغ ({CURRENCIES[paymentCurrency].symbol}):
             </label>
             <input
               type="number"
-              id="editPaymentAmount"
+              id="paymentAmount"
               value={amount}
               onChange={(e) => { setAmount(e.target.value); setErrors(prev => ({ ...prev, amount: '' })); }}
               className={`mt-1 block w-full px-4 py-2 border ${errors.amount ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
@@ -1231,12 +3605,12 @@ const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses
             {errors.amount && <p className="text-red-500 text-xs mt-1">{errors.amount}</p>}
           </div>
           <div>
-            <label htmlFor="editPaymentDate" className="block text-sm font-medium text-gray-700 mb-1">
+            <label htmlFor="paymentDate" className="block text-sm font-medium text-gray-700 mb-1">
               التاريخ:
             </label>
             <input
               type="date"
-              id="editPaymentDate"
+              id="paymentDate"
               value={date}
               onChange={(e) => { setDate(e.target.value); setErrors(prev => ({ ...prev, date: '' })); }}
               className={`mt-1 block w-full px-4 py-2 border ${errors.date ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
@@ -1244,25 +3618,11 @@ const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses
             {errors.date && <p className="text-red-500 text-xs mt-1">{errors.date}</p>}
           </div>
           <div>
-            <label htmlFor="editPaymentDiscount" className="block text-sm font-medium text-gray-700 mb-1">
-              الخصم (د.ل) (اختياري):
-            </label>
-            <input
-              type="number"
-              id="editPaymentDiscount"
-              value={discount}
-              onChange={(e) => setDiscount(e.target.value)}
-              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-              placeholder="مثال: 20.00"
-              step="0.01"
-            />
-          </div>
-          <div>
-            <label htmlFor="editPaymentStatus" className="block text-sm font-medium text-gray-700 mb-1">
+            <label htmlFor="paymentStatus" className="block text-sm font-medium text-gray-700 mb-1">
               الحالة:
             </label>
             <select
-              id="editPaymentStatus"
+              id="paymentStatus"
               value={status}
               onChange={(e) => setStatus(e.target.value)}
               className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
@@ -1273,11 +3633,11 @@ const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses
             </select>
           </div>
           <div>
-            <label htmlFor="editPaymentNotes" className="block text-sm font-medium text-gray-700 mb-1">
+            <label htmlFor="paymentNotes" className="block text-sm font-medium text-gray-700 mb-1">
               ملاحظات (اختياري):
             </label>
             <textarea
-              id="editPaymentNotes"
+              id="paymentNotes"
               value={notes}
               onChange={(e) => setNotes(e.target.value)}
               rows="2"
@@ -1297,7 +3657,7 @@ const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses
               type="submit"
               className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
             >
-              حفظ التغييرات
+              إضافة الدفعة
             </button>
           </div>
         </form>
@@ -1306,19 +3666,27 @@ const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses
   );
 };
 
-
-// AddCourseModal component: Modal for adding new course records.
-const AddCourseModal = ({ onClose, onAddCourse }) => {
-  const [name, setName] = useState('');
-  const [price, setPrice] = useState('');
-  const [description, setDescription] = useState('');
+// EditPaymentModal component: Modal for editing existing payment records.
+const EditPaymentModal = ({ payment, onClose, onUpdatePayment, students, courses, enrollments }) => {
+  const [studentId, setStudentId] = useState(payment.studentId);
+  const [courseId, setCourseId] = useState(payment.courseId || '');
+  const [enrollmentId, setEnrollmentId] = useState(payment.enrollmentId || '');
+  const [amount, setAmount] = useState(payment.amount);
+  const [date, setDate] = useState(payment.date.toDate().toISOString().split('T')[0]);
+  const [status, setStatus] = useState(payment.status);
+  const [notes, setNotes] = useState(payment.notes || '');
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
 
+  // Payments are recorded against one of the student's enrollments; students without
+  // enrollments keep the plain course field
+  const studentEnrollments = enrollments.filter(en => en.studentId === studentId);
+
   const validateForm = () => {
     const newErrors = {};
-    if (!name.trim()) newErrors.name = 'اسم الدورة مطلوب.';
-    if (!price || isNaN(parseFloat(price)) || parseFloat(price) <= 0) newErrors.price = 'السعر مطلوب ويجب أن يكون رقماً موجباً.';
+    if (!studentId) newErrors.student = 'يجب اختيار طالب.';
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) newErrors.amount = 'المبلغ مطلوب ويجب أن يكون رقماً موجباً.';
+    if (!date) newErrors.date = 'التاريخ مطلوب.';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -1329,55 +3697,139 @@ const AddCourseModal = ({ onClose, onAddCourse }) => {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onAddCourse({ name, price: parseFloat(price), description });
+    const selectedEnrollment = studentEnrollments.find(en => en.id === enrollmentId);
+    await onUpdatePayment(payment.id, {
+      studentId,
+      enrollmentId: selectedEnrollment ? selectedEnrollment.id : null,
+      courseId: selectedEnrollment ? selectedEnrollment.courseId : (courseId || null),
+      amount: parseFloat(amount),
+      date: new Date(date),
+      status,
+      notes,
+    });
     onClose();
   };
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
-        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة دورة جديدة</h3>
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تعديل الدفعة</h3>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
-            <label htmlFor="courseName" className="block text-sm font-medium text-gray-700 mb-1">
-              اسم الدورة:
+            <label htmlFor="editStudentSelect" className="block text-sm font-medium text-gray-700 mb-1">
+              الطالب:
             </label>
-            <input
-              type="text"
-              id="courseName"
-              value={name}
-              onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.name ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
-              placeholder="أدخل اسم الدورة"
-            />
-            {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+            <select
+              id="editStudentSelect"
+              value={studentId}
+              onChange={(e) => { setStudentId(e.target.value); setEnrollmentId(''); setErrors(prev => ({ ...prev, student: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.student ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            >
+              <option value="">اختر طالباً...</option>
+              {students.map(student => (
+                <option key={student.id} value={student.id}>
+                  {student.name}
+                </option>
+              ))}
+            </select>
+            {errors.student && <p className="text-red-500 text-xs mt-1">{errors.student}</p>}
           </div>
+          {studentEnrollments.length > 0 ? (
+            <div>
+              <label htmlFor="editEnrollmentSelect" className="block text-sm font-medium text-gray-700 mb-1">
+                التسجيل:
+              </label>
+              <select
+                id="editEnrollmentSelect"
+                value={enrollmentId}
+                onChange={(e) => setEnrollmentId(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                <option value="">دفعة عامة (بدون تسجيل)</option>
+                {studentEnrollments.map(en => {
+                  const course = courses.find(c => c.id === en.courseId);
+                  return (
+                    <option key={en.id} value={en.id}>
+                      {course ? course.name : 'دورة محذوفة'} - {ENROLLMENT_STATUSES[en.status]} ({formatCurrency(en.agreedPrice, getCurrency(en))})
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="editCourseSelect" className="block text-sm font-medium text-gray-700 mb-1">
+                الدورة (اختياري):
+              </label>
+              <select
+                id="editCourseSelect"
+                value={courseId}
+                onChange={(e) => setCourseId(e.target.value)}
+                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                <option value="">اختر دورة...</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>
+                    {course.name} ({formatCurrency(course.price, getCurrency(course))})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
-            <label htmlFor="coursePrice" className="block text-sm font-medium text-gray-700 mb-1">
-              السعر (د.ل):
+            <label htmlFor="editPaymentAmount" className="block text-sm font-medium text-gray-700 mb-1">
+              المبلغ ({CURRENCIES[getCurrency(payment)].symbol}):
             </label>
             <input
               type="number"
-              id="coursePrice"
-              value={price}
-              onChange={(e) => { setPrice(e.target.value); setErrors(prev => ({ ...prev, price: '' })); }}
-              className={`mt-1 block w-full px-4 py-2 border ${errors.price ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
-              placeholder="مثال: 500.00"
+              id="editPaymentAmount"
+              value={amount}
+              onChange={(e) => { setAmount(e.target.value); setErrors(prev => ({ ...prev, amount: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.amount ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="مثال: 250.00"
               step="0.01"
             />
-            {errors.price && <p className="text-red-500 text-xs mt-1">{errors.price}</p>}
+            {errors.amount && <p className="text-red-500 text-xs mt-1">{errors.amount}</p>}
           </div>
           <div>
-            <label htmlFor="courseDescription" className="block text-sm font-medium text-gray-700 mb-1">
-              الوصف (اختياري):
+            <label htmlFor="editPaymentDate" className="block text-sm font-medium text-gray-700 mb-1">
+              التاريخ:
+            </label>
+            <input
+              type="date"
+              id="editPaymentDate"
+              value={date}
+              onChange={(e) => { setDate(e.target.value); setErrors(prev => ({ ...prev, date: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.date ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.date && <p className="text-red-500 text-xs mt-1">{errors.date}</p>}
+          </div>
+          <div>
+            <label htmlFor="editPaymentStatus" className="block text-sm font-medium text-gray-700 mb-1">
+              الحالة:
+            </label>
+            <select
+              id="editPaymentStatus"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="مدفوع">مدفوع</option>
+              <option value="معلق">معلق</option>
+              <option value="جزئي">جزئي</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="editPaymentNotes" className="block text-sm font-medium text-gray-700 mb-1">
+              ملاحظات (اختياري):
             </label>
             <textarea
-              id="courseDescription"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              rows="3"
+              id="editPaymentNotes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows="2"
               className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-              placeholder="أدخل وصفًا موجزًا للدورة"
+              placeholder="أدخل أي ملاحظات حول الدفعة"
             ></textarea>
           </div>
           <div className="flex justify-end space-x-3 mt-6">
@@ -1392,7 +3844,228 @@ const AddCourseModal = ({ onClose, onAddCourse }) => {
               type="submit"
               className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
             >
-              إضافة الدورة
+              حفظ التغييرات
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+
+// ReversePaymentModal component: Modal for recording a refund or void against a receipted payment.
+const ReversePaymentModal = ({ payment, payments, studentName, onClose, onReversePayment }) => {
+  const { remaining } = getPaymentReversalSummary(payment, payments);
+  const currency = getCurrency(payment);
+  const [type, setType] = useState('refund');
+  const [amount, setAmount] = useState(remaining);
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (type === 'refund') {
+      const value = parseFloat(amount);
+      if (isNaN(value) || value <= 0) newErrors.amount = 'المبلغ مطلوب ويجب أن يكون رقماً موجباً.';
+      else if (value > remaining) newErrors.amount = `لا يمكن استرداد أكثر من ${formatCurrency(remaining, currency)}.`;
+    }
+    if (!reason.trim()) newErrors.reason = 'سبب العملية مطلوب.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onReversePayment(payment.id, { type, amount: parseFloat(amount), reason: reason.trim() });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-2 text-gray-800">استرداد أو إلغاء دفعة</h3>
+        <p className="text-sm text-gray-600 mb-6">
+          إيصال رقم {formatReceiptNumber(payment.receiptNumber)} - {studentName} - المتبقي القابل للاسترداد: {formatCurrency(remaining, currency)}
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="reversalType" className="block text-sm font-medium text-gray-700 mb-1">
+              نوع العملية:
+            </label>
+            <select
+              id="reversalType"
+              value={type}
+              onChange={(e) => { setType(e.target.value); setErrors({}); }}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="refund">استرداد مبلغ (كلي أو جزئي)</option>
+              <option value="void">إلغاء الدفعة بالكامل</option>
+            </select>
+          </div>
+          {type === 'refund' ? (
+            <div>
+              <label htmlFor="reversalAmount" className="block text-sm font-medium text-gray-700 mb-1">
+                مبلغ الاسترداد ({CURRENCIES[currency].symbol}):
+              </label>
+              <input
+                type="number"
+                id="reversalAmount"
+                value={amount}
+                onChange={(e) => { setAmount(e.target.value); setErrors(prev => ({ ...prev, amount: '' })); }}
+                className={`mt-1 block w-full px-4 py-2 border ${errors.amount ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+                step="0.01"
+              />
+              {errors.amount && <p className="text-red-500 text-xs mt-1">{errors.amount}</p>}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              يعكس الإلغاء المبلغ المتبقي ({formatCurrency(remaining, currency)}) والخصم ({formatCurrency(payment.discount || 0, currency)}) المسجلين في هذه الدفعة.
+            </p>
+          )}
+          <div>
+            <label htmlFor="reversalReason" className="block text-sm font-medium text-gray-700 mb-1">
+              السبب:
+            </label>
+            <textarea
+              id="reversalReason"
+              value={reason}
+              onChange={(e) => { setReason(e.target.value); setErrors(prev => ({ ...prev, reason: '' })); }}
+              rows="2"
+              className={`mt-1 block w-full px-4 py-2 border ${errors.reason ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="مثال: انسحاب الطالب من الدورة"
+            ></textarea>
+            {errors.reason && <p className="text-red-500 text-xs mt-1">{errors.reason}</p>}
+          </div>
+          <p className="text-xs text-gray-500">تُسجل العملية باسمك كمعتمد لها ويصدر لها إيصال مستقل، ولا تتغير الدفعة الأصلية.</p>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-red-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 rounded-md"
+            >
+              تسجيل العملية
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// AddCourseModal component: Modal for adding new course records.
+const AddCourseModal = ({ onClose, onAddCourse }) => {
+  const [name, setName] = useState('');
+  const [price, setPrice] = useState('');
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [description, setDescription] = useState('');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!name.trim()) newErrors.name = 'اسم الدورة مطلوب.';
+    if (!price || isNaN(parseFloat(price)) || parseFloat(price) <= 0) newErrors.price = 'السعر مطلوب ويجب أن يكون رقماً موجباً.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onAddCourse({ name, price: parseFloat(price), currency, description });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة دورة جديدة</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="courseName" className="block text-sm font-medium text-gray-700 mb-1">
+              اسم الدورة:
+            </label>
+            <input
+              type="text"
+              id="courseName"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.name ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="أدخل اسم الدورة"
+            />
+            {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+          </div>
+          <div>
+            <label htmlFor="coursePrice" className="block text-sm font-medium text-gray-700 mb-1">
+              السعر ({CURRENCIES[currency].symbol}):
+            </label>
+            <input
+              type="number"
+              id="coursePrice"
+              value={price}
+              onChange={(e) => { setPrice(e.target.value); setErrors(prev => ({ ...prev, price: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.price ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="مثال: 500.00"
+              step="0.01"
+            />
+            {errors.price && <p className="text-red-500 text-xs mt-1">{errors.price}</p>}
+          </div>
+          <div>
+            <label htmlFor="courseCurrency" className="block text-sm font-medium text-gray-700 mb-1">
+              العملة:
+            </label>
+            <select
+              id="courseCurrency"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="courseDescription" className="block text-sm font-medium text-gray-700 mb-1">
+              الوصف (اختياري):
+            </label>
+            <textarea
+              id="courseDescription"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows="3"
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              placeholder="أدخل وصفًا موجزًا للدورة"
+            ></textarea>
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إضافة الدورة
             </button>
           </div>
         </form>
@@ -1405,6 +4078,7 @@ const AddCourseModal = ({ onClose, onAddCourse }) => {
 const EditCourseModal = ({ course, onClose, onUpdateCourse }) => {
   const [name, setName] = useState(course.name);
   const [price, setPrice] = useState(course.price);
+  const [currency, setCurrency] = useState(getCurrency(course));
   const [description, setDescription] = useState(course.description);
   const [errors, setErrors] = useState({});
   const { addToast } = useNotification();
@@ -1423,7 +4097,7 @@ const EditCourseModal = ({ course, onClose, onUpdateCourse }) => {
       addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
       return;
     }
-    await onUpdateCourse(course.id, { name, price: parseFloat(price), description });
+    await onUpdateCourse(course.id, { name, price: parseFloat(price), currency, description });
     onClose();
   };
 
@@ -1448,7 +4122,7 @@ const EditCourseModal = ({ course, onClose, onUpdateCourse }) => {
           </div>
           <div>
             <label htmlFor="editCoursePrice" className="block text-sm font-medium text-gray-700 mb-1">
-              السعر (د.ل):
+              السعر ({CURRENCIES[currency].symbol}):
             </label>
             <input
               type="number"
@@ -1461,6 +4135,21 @@ const EditCourseModal = ({ course, onClose, onUpdateCourse }) => {
             />
             {errors.price && <p className="text-red-500 text-xs mt-1">{errors.price}</p>}
           </div>
+          <div>
+            <label htmlFor="editCourseCurrency" className="block text-sm font-medium text-gray-700 mb-1">
+              العملة:
+            </label>
+            <select
+              id="editCourseCurrency"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </div>
           <div>
             <label htmlFor="editCourseDescription" className="block text-sm font-medium text-gray-700 mb-1">
               الوصف (اختياري):
@@ -1495,6 +4184,133 @@ const EditCourseModal = ({ course, onClose, onUpdateCourse }) => {
   );
 };
 
+// DiscountPolicyModal component: Modal for creating a discount policy or editing an existing one.
+// The kind, method and value of a policy in use are shown read-only.
+const DiscountPolicyModal = ({ policy, isInUse = false, onClose, onSave }) => {
+  const [name, setName] = useState(policy ? policy.name : '');
+  const [kind, setKind] = useState(policy ? policy.kind : 'sibling');
+  const [method, setMethod] = useState(policy ? policy.method : 'percent');
+  const [value, setValue] = useState(policy ? policy.value : '');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  // Fixed discounts are an amount, the other kinds usually a percentage
+  const handleKindChange = (newKind) => {
+    setKind(newKind);
+    if (!policy) setMethod(newKind === 'fixed' ? 'amount' : 'percent');
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!name.trim()) newErrors.name = 'اسم الخصم مطلوب.';
+    const numericValue = parseFloat(value);
+    if (isNaN(numericValue) || numericValue <= 0) newErrors.value = 'القيمة مطلوبة ويجب أن تكون رقماً موجباً.';
+    else if (method === 'percent' && numericValue > 100) newErrors.value = 'النسبة لا يمكن أن تتجاوز 100%.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onSave({ name: name.trim(), kind, method, value: parseFloat(value) });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">{policy ? 'تعديل سياسة الخصم' : 'إضافة سياسة خصم'}</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="discountPolicyName" className="block text-sm font-medium text-gray-700 mb-1">
+              اسم الخصم:
+            </label>
+            <input
+              type="text"
+              id="discountPolicyName"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.name ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="مثال: خصم الأخ الثاني"
+            />
+            {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+          </div>
+          <div>
+            <label htmlFor="discountPolicyKind" className="block text-sm font-medium text-gray-700 mb-1">
+              النوع:
+            </label>
+            <select
+              id="discountPolicyKind"
+              value={kind}
+              onChange={(e) => handleKindChange(e.target.value)}
+              disabled={isInUse}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(DISCOUNT_POLICY_KINDS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="discountPolicyMethod" className="block text-sm font-medium text-gray-700 mb-1">
+              طريقة الاحتساب:
+            </label>
+            <select
+              id="discountPolicyMethod"
+              value={method}
+              onChange={(e) => { setMethod(e.target.value); setErrors(prev => ({ ...prev, value: '' })); }}
+              disabled={isInUse}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(DISCOUNT_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="discountPolicyValue" className="block text-sm font-medium text-gray-700 mb-1">
+              {method === 'percent' ? 'النسبة (%):' : `المبلغ (${CURRENCIES[BASE_CURRENCY].symbol}):`}
+            </label>
+            <input
+              type="number"
+              id="discountPolicyValue"
+              value={value}
+              onChange={(e) => { setValue(e.target.value); setErrors(prev => ({ ...prev, value: '' })); }}
+              disabled={isInUse}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.value ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder={method === 'percent' ? 'مثال: 10' : 'مثال: 50.00'}
+              step="0.01"
+            />
+            {errors.value && <p className="text-red-500 text-xs mt-1">{errors.value}</p>}
+          </div>
+          {isInUse && (
+            <p className="text-xs text-gray-500">هذا الخصم مطبق على طلاب أو تسجيلات، لذا لا يمكن تغيير نوعه أو قيمته. لتطبيق خصم مختلف أرشفه وأنشئ سياسة خصم جديدة.</p>
+          )}
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              {policy ? 'حفظ التغييرات' : 'إضافة الخصم'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 // AddExpenseModal component: Modal for adding new expense records.
 const AddExpenseModal = ({ onClose, onAddExpense }) => {
   const [description, setDescription] = useState('');
@@ -1551,7 +4367,7 @@ const AddExpenseModal = ({ onClose, onAddExpense }) => {
           </div>
           <div>
             <label htmlFor="expenseAmount" className="block text-sm font-medium text-gray-700 mb-1">
-              المبلغ (د.ل):
+              المبلغ ({CURRENCIES[BASE_CURRENCY].symbol}):
             </label>
             <input
               type="number"
@@ -1670,7 +4486,7 @@ const EditExpenseModal = ({ expense, onClose, onUpdateExpense }) => {
           </div>
           <div>
             <label htmlFor="editExpenseAmount" className="block text-sm font-medium text-gray-700 mb-1">
-              المبلغ (د.ل):
+              المبلغ ({CURRENCIES[BASE_CURRENCY].symbol}):
             </label>
             <input
               type="number"
@@ -1832,7 +4648,7 @@ const AddInstructorModal = ({ onClose, onAddInstructor, courses }) => {
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              أجور الدورات (لكل طالب في الدورة) (اختياري):
+              أجور الدورات (لكل حصة) (اختياري):
             </label>
             {courses.length === 0 ? (
               <p className="text-sm text-gray-500">لا توجد دورات لإعداد أجور لها.</p>
@@ -1848,7 +4664,7 @@ const AddInstructorModal = ({ onClose, onAddInstructor, courses }) => {
                     value={courseRates[course.id] || ''}
                     onChange={(e) => handleRateChange(course.id, e.target.value)}
                     className="mt-1 block w-1/2 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-                    placeholder="أجر الطالب"
+                    placeholder="أجر الحصة"
                     step="0.01"
                   />
                 </div>
@@ -1962,7 +4778,7 @@ const EditInstructorModal = ({ instructor, onClose, onUpdateInstructor, courses
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              أجور الدورات (لكل طالب في الدورة) (اختياري):
+              أجور الدورات (لكل حصة) (اختياري):
             </label>
             {courses.length === 0 ? (
               <p className="text-sm text-gray-500">لا توجد دورات لإعداد أجور لها.</p>
@@ -1978,7 +4794,7 @@ const EditInstructorModal = ({ instructor, onClose, onUpdateInstructor, courses
                     value={courseRates[course.id] || ''}
                     onChange={(e) => handleRateChange(course.id, e.target.value)}
                     className="mt-1 block w-1/2 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-                    placeholder="أجر الطالب"
+                    placeholder="أجر الحصة"
                     step="0.01"
                   />
                 </div>
@@ -2007,18 +4823,282 @@ const EditInstructorModal = ({ instructor, onClose, onUpdateInstructor, courses
 };
 
 
-// PaymentsPage component: Manages payment records.
-const PaymentsPage = ({ payments, addPayment, updatePayment, deletePayment, students, courses, showConfirmModal }) => {
-  const [showAddPaymentModal, setShowAddPaymentModal] = useState(false);
-  const [showEditPaymentModal, setShowEditPaymentModal] = useState(false);
-  const [currentPayment, setCurrentPayment] = useState(null);
+// AddUserModal component: Modal for creating a user account with a role.
+const AddUserModal = ({ onClose, onAddUser }) => {
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState('supervisor');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
 
-  const formatDate = (timestamp) => {
-    if (!timestamp) return '';
-    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
+  const validateForm = () => {
+    const newErrors = {};
+    if (!name.trim()) newErrors.name = 'الاسم مطلوب.';
+    if (!email.trim()) newErrors.email = 'البريد الإلكتروني مطلوب.';
+    else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) newErrors.email = 'بريد إلكتروني غير صالح.';
+    if (password.length < 6) newErrors.password = 'كلمة المرور يجب أن تكون 6 أحرف على الأقل.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    const created = await onAddUser({ name, email, password, role });
+    if (created) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة مستخدم جديد</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="userName" className="block text-sm font-medium text-gray-700 mb-1">
+              الاسم:
+            </label>
+            <input
+              type="text"
+              id="userName"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.name ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="أدخل اسم المستخدم"
+            />
+            {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+          </div>
+          <div>
+            <label htmlFor="userEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              البريد الإلكتروني:
+            </label>
+            <input
+              type="email"
+              id="userEmail"
+              value={email}
+              onChange={(e) => { setEmail(e.target.value); setErrors(prev => ({ ...prev, email: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.email ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="أدخل البريد الإلكتروني"
+            />
+            {errors.email && <p className="text-red-500 text-xs mt-1">{errors.email}</p>}
+          </div>
+          <div>
+            <label htmlFor="userPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              كلمة المرور:
+            </label>
+            <input
+              type="password"
+              id="userPassword"
+              value={password}
+              onChange={(e) => { setPassword(e.target.value); setErrors(prev => ({ ...prev, password: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.password ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              placeholder="6 أحرف على الأقل"
+            />
+            {errors.password && <p className="text-red-500 text-xs mt-1">{errors.password}</p>}
+          </div>
+          <div>
+            <label htmlFor="userRole" className="block text-sm font-medium text-gray-700 mb-1">
+              الدور:
+            </label>
+            <select
+              id="userRole"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إنشاء الحساب
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// EditUserModal component: Modal for changing a user's name and role.
+const EditUserModal = ({ user, onClose, onUpdateUser, isCurrentUser }) => {
+  const [name, setName] = useState(user.name || '');
+  const [role, setRole] = useState(user.role || '');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!name.trim()) newErrors.name = 'الاسم مطلوب.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onUpdateUser(user.id, { name, role: role || null });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">تعديل المستخدم: {user.email}</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="editUserName" className="block text-sm font-medium text-gray-700 mb-1">
+              الاسم:
+            </label>
+            <input
+              type="text"
+              id="editUserName"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.name ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+          </div>
+          <div>
+            <label htmlFor="editUserRole" className="block text-sm font-medium text-gray-700 mb-1">
+              الدور:
+            </label>
+            <select
+              id="editUserRole"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              disabled={isCurrentUser} // Admins cannot demote themselves and lock everyone out
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">بدون صلاحية (بانتظار التفعيل)</option>
+              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {isCurrentUser && (
+              <p className="text-gray-500 text-xs mt-1">لا يمكنك تغيير دورك بنفسك.</p>
+            )}
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              حفظ التغييرات
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+
+// ExchangeRatesView component: Current rate of each foreign currency against the base currency.
+const ExchangeRatesView = ({ exchangeRates, onSave }) => {
+  const [rates, setRates] = useState({});
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+  const baseSymbol = CURRENCIES[BASE_CURRENCY].symbol;
+  const foreignCurrencies = Object.keys(CURRENCIES).filter(code => code !== BASE_CURRENCY);
+
+  const getDraft = (code) => (code in rates ? rates[code] : (getExchangeRate(exchangeRates, code) || ''));
+
+  const formatUpdatedAt = (code) => {
+    const stored = exchangeRates.find(rate => rate.id === code);
+    if (!stored || !stored.updatedAt) return 'لم يُحدد بعد';
+    const date = stored.updatedAt.toDate ? stored.updatedAt.toDate() : new Date(stored.updatedAt);
+    return `${date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' })} - ${stored.updatedBy || ''}`;
   };
 
+  const handleSave = async (code) => {
+    const value = parseFloat(getDraft(code));
+    if (isNaN(value) || value <= 0) {
+      setErrors(prev => ({ ...prev, [code]: 'سعر الصرف مطلوب ويجب أن يكون رقماً موجباً.' }));
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onSave(code, value);
+    setRates(prev => {
+      const next = { ...prev };
+      delete next[code];
+      return next;
+    });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md space-y-4">
+      <p className="text-sm text-gray-600">
+        العملة الأساسية: {CURRENCIES[BASE_CURRENCY].label}. يُحفظ السعر الحالي مع كل تسجيل ودفعة جديدة، ولا يؤثر تغييره على السجلات السابقة.
+      </p>
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">العملة</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">سعر الوحدة ({baseSymbol})</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">آخر تحديث</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {foreignCurrencies.map(code => (
+            <tr key={code}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{CURRENCIES[code].label} ({CURRENCIES[code].symbol})</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                <input
+                  type="number"
+                  aria-label={`سعر ${CURRENCIES[code].label}`}
+                  value={getDraft(code)}
+                  onChange={(e) => { setRates(prev => ({ ...prev, [code]: e.target.value })); setErrors(prev => ({ ...prev, [code]: '' })); }}
+                  className={`w-32 px-3 py-1 border ${errors[code] ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
+                  step="0.0001"
+                />
+                {errors[code] && <p className="text-red-500 text-xs mt-1">{errors[code]}</p>}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatUpdatedAt(code)}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                <button onClick={() => handleSave(code)} className="text-blue-600 hover:text-blue-900">
+                  حفظ
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// InstallmentScheduleView component: Upcoming, overdue and settled installments of every enrollment, per student.
+const InstallmentScheduleView = ({ students, courses, enrollments, discountPolicies, payments, dueFilter, navigate, updateInstallmentPlan }) => {
+  const { can } = usePermissions();
+  const [planEnrollment, setPlanEnrollment] = useState(null);
+
   const getStudentName = (studentId) => {
     const student = students.find(s => s.id === studentId);
     return student ? student.name : 'طالب غير معروف';
@@ -2029,109 +5109,90 @@ const PaymentsPage = ({ payments, addPayment, updatePayment, deletePayment, stud
     return course ? course.name : 'لا توجد دورة محددة';
   };
 
-  const handleEditClick = (payment) => {
-    setCurrentPayment(payment);
-    setShowEditPaymentModal(true);
-  };
+  const getNetPrice = (enrollment) => (
+    getEnrollmentDiscounts(enrollment, students.find(s => s.id === enrollment.studentId), discountPolicies).netPrice
+  );
 
-  const handleDeleteClick = (paymentId) => {
-    showConfirmModal("هل أنت متأكد أنك تريد حذف هذه الدفعة؟", () => deletePayment(paymentId));
-  };
+  // Withdrawn enrollments are no longer charged, so their remaining installments are not due
+  const billableEnrollments = enrollments.filter(en => en.status !== 'withdrawn');
+  const installmentRows = billableEnrollments
+    .flatMap(enrollment => {
+      const schedule = getInstallmentSchedule(enrollment, payments);
+      return schedule.map(installment => ({ ...installment, enrollment, total: schedule.length }));
+    })
+    .sort((a, b) => getStudentName(a.enrollment.studentId).localeCompare(getStudentName(b.enrollment.studentId), 'ar') || a.dueDate - b.dueDate);
+  const visibleRows = installmentRows.filter(row => !dueFilter || row.status === dueFilter);
+  const enrollmentsWithoutPlan = billableEnrollments.filter(en => en.status === 'active' && !(en.installments || []).length);
+
+  // Installments are in their enrollment's currency; the totals are converted to the base currency
+  const totals = Object.keys(INSTALLMENT_STATUSES).reduce((acc, status) => {
+    const rows = installmentRows.filter(row => row.status === status);
+    acc[status] = { count: rows.length, amount: rows.reduce((sum, row) => sum + toBaseCurrency(status === 'settled' ? row.amount : row.remaining, row.enrollment), 0) };
+    return acc;
+  }, {});
 
   return (
     <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-2xl font-semibold text-gray-700">إدارة المدفوعات</h2>
-        <button
-          onClick={() => setShowAddPaymentModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-        >
-          + إضافة دفعة جديدة
-        </button>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
+        {Object.entries(INSTALLMENT_STATUSES).map(([status, { summary }]) => (
+          <button
+            key={status}
+            onClick={() => navigate('payments', null, { view: 'schedule', due: dueFilter === status ? '' : status })}
+            className={`p-4 bg-white rounded-lg shadow-md rounded-md ${dueFilter === status ? 'ring-2 ring-blue-500' : ''}`}
+          >
+            <p className="text-sm text-gray-600">{summary} ({totals[status].count})</p>
+            <p className="text-2xl font-bold text-gray-800">{formatCurrency(totals[status].amount)}</p>
+          </button>
+        ))}
       </div>
 
       <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الطالب
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الدورة
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                المبلغ
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الخصم
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                التاريخ
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الحالة
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                ملاحظات
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الإجراءات
-              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">القسط</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ الاستحقاق</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المبلغ</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المتبقي</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {payments.length === 0 ? (
+            {visibleRows.length === 0 ? (
               <tr>
-                <td colSpan="9" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
-                  لا يوجد دفعات مسجلة بعد.
+                <td colSpan="8" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد أقساط مطابقة.
                 </td>
               </tr>
             ) : (
-              payments.map((payment) => (
-                <tr key={payment.id}>
+              visibleRows.map(row => (
+                <tr key={`${row.enrollment.id}-${row.number}`}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {getStudentName(payment.studentId)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {getCourseName(payment.courseId)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.amount.toLocaleString()} د.ل
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.discount.toLocaleString()} د.ل
+                    <a href={buildRoute('students', row.enrollment.studentId)} className="text-blue-600 hover:underline">
+                      {getStudentName(row.enrollment.studentId)}
+                    </a>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getCourseName(row.enrollment.courseId)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.number} / {row.total}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(payment.date)}
+                    {row.dueDate.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' })}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.amount, getCurrency(row.enrollment))}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.remaining, getCurrency(row.enrollment))}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm">
-                    <span
-                      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        payment.status === 'مدفوع' ? 'bg-green-100 text-green-800' :
-                        payment.status === 'معلق' ? 'bg-red-100 text-red-800' :
-                        'bg-yellow-100 text-yellow-800'
-                      } rounded-full`}
-                    >
-                      {payment.status}
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${INSTALLMENT_STATUSES[row.status].badge} rounded-full`}>
+                      {INSTALLMENT_STATUSES[row.status].label}
                     </span>
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.notes || 'لا يوجد'}
-                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEditClick(payment)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(payment.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
+                    {can('enrollments', 'plan') && (
+                      <button onClick={() => setPlanEnrollment(row.enrollment)} className="text-blue-600 hover:text-blue-900">
+                        تعديل الخطة
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
@@ -2140,61 +5201,682 @@ const PaymentsPage = ({ payments, addPayment, updatePayment, deletePayment, stud
         </table>
       </div>
 
-      {showAddPaymentModal && (
-        <AddPaymentModal onClose={() => setShowAddPaymentModal(false)} onAddPayment={addPayment} students={students} courses={courses} />
+      {enrollmentsWithoutPlan.length > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">تسجيلات بدون خطة أقساط</h3>
+          <ul className="divide-y divide-gray-200">
+            {enrollmentsWithoutPlan.map(en => (
+              <li key={en.id} className="py-2 flex justify-between items-center">
+                <span className="text-sm text-gray-700">
+                  {getStudentName(en.studentId)} - {getCourseName(en.courseId)} ({formatCurrency(getNetPrice(en), getCurrency(en))})
+                </span>
+                {can('enrollments', 'plan') && (
+                  <button onClick={() => setPlanEnrollment(en)} className="text-sm text-blue-600 hover:text-blue-900">
+                    إنشاء خطة
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
       )}
 
-      {showEditPaymentModal && currentPayment && (
-        <EditPaymentModal
-          payment={currentPayment}
-          onClose={() => setShowEditPaymentModal(false)}
-          onUpdatePayment={updatePayment}
-          students={students}
-          courses={courses}
+      {planEnrollment && (
+        <InstallmentPlanModal
+          enrollment={planEnrollment}
+          netPrice={getNetPrice(planEnrollment)}
+          studentName={getStudentName(planEnrollment.studentId)}
+          courseName={getCourseName(planEnrollment.courseId)}
+          onClose={() => setPlanEnrollment(null)}
+          onSavePlan={updateInstallmentPlan}
         />
       )}
     </div>
   );
 };
 
-// ReportsPage component: Displays various reports and charts.
-const ReportsPage = ({ students, classes, expenses, courses, payments, addToast }) => {
-  const [selectedClassIds, setSelectedClassIds] = useState([]);
-
-  const totalRevenue = payments.reduce((sum, payment) => sum + payment.amount, 0);
-  const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-  const netIncome = totalRevenue - totalExpenses;
+// PaymentsPage component: Manages payment records.
+const PaymentsPage = ({ payments, addPayment, updatePayment, deletePayment, reversePayment, updateInstallmentPlan, setExchangeRate, students, courses, enrollments, discountPolicies, exchangeRates, showConfirmModal, recordId, navigate, statusFilter, view, dueFilter }) => {
+  const { can } = usePermissions();
+  const { addToast } = useNotification();
+  const [showAddPaymentModal, setShowAddPaymentModal] = useState(false);
+  const [showEditPaymentModal, setShowEditPaymentModal] = useState(false);
+  const [currentPayment, setCurrentPayment] = useState(null);
+  const [reversingPayment, setReversingPayment] = useState(null);
 
-  const paidStudentsCount = students.filter(s => s.paid).length;
-  const unpaidStudentsCount = students.length - paidStudentsCount;
-  const studentStatusData = [
-    { name: 'طلاب مدفوعة', value: paidStudentsCount, color: '#4CAF50' },
-    { name: 'طلاب غير مدفوعة', value: unpaidStudentsCount, color: '#F44336' },
-  ];
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
 
-  const classEnrollmentData = classes.map(cls => ({
-    name: cls.name,
-    students: cls.students ? cls.students.length : 0
-  }));
+  const getStudentName = (studentId) => {
+    const student = students.find(s => s.id === studentId);
+    return student ? student.name : 'طالب غير معروف';
+  };
 
-  const expensesByCategory = expenses.reduce((acc, expense) => {
-    const category = expense.category || 'غير مصنف';
-    acc[category] = (acc[category] || 0) + expense.amount;
-    return acc;
-  }, {});
-  const expensesByCategoryData = Object.entries(expensesByCategory).map(([name, value]) => ({ name, value }));
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'لا توجد دورة محددة';
+  };
 
-  const revenueByCourse = payments.reduce((acc, payment) => {
+  const handleEditClick = (payment) => {
+    setCurrentPayment(payment);
+    setShowEditPaymentModal(true);
+  };
+
+  const handleDeleteClick = (paymentId) => {
+    showConfirmModal("هل أنت متأكد أنك تريد حذف هذه الدفعة؟", () => deletePayment(paymentId));
+  };
+
+  // Receipts are generated in the browser from the stored payment; nothing is sent to a server
+  const getReceiptHtml = (payment) => buildReceiptHtml({
+    payment,
+    studentName: getStudentName(payment.studentId),
+    courseName: payment.courseId ? getCourseName(payment.courseId) : '',
+  });
+
+  const handlePrintReceipt = (payment) => printDocument(getReceiptHtml(payment), addToast);
+
+  const handleDownloadReceipt = (payment) => {
+    downloadReceipt(getReceiptHtml(payment), `receipt-${formatReceiptNumber(payment.receiptNumber)}.html`);
+  };
+
+  // Narrow the table to the linked payment, or to the status given in the URL (e.g. #/payments?status=معلق)
+  const visiblePayments = payments.filter(payment =>
+    (!recordId || payment.id === recordId) && (!statusFilter || payment.status === statusFilter)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-700">إدارة المدفوعات</h2>
+        {can('payments', 'create') && (
+          <button
+            onClick={() => setShowAddPaymentModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة دفعة جديدة
+          </button>
+        )}
+      </div>
+
+      <div className="flex border-b border-gray-200">
+        <button
+          onClick={() => navigate('payments')}
+          className={`px-4 py-2 text-sm font-medium ${view !== 'schedule' && view !== 'rates' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          سجل الدفعات
+        </button>
+        <button
+          onClick={() => navigate('payments', null, { view: 'schedule' })}
+          className={`px-4 py-2 text-sm font-medium ${view === 'schedule' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          جدول الأقساط
+        </button>
+        {can('payments', 'rates') && (
+          <button
+            onClick={() => navigate('payments', null, { view: 'rates' })}
+            className={`px-4 py-2 text-sm font-medium ${view === 'rates' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+          >
+            أسعار الصرف
+          </button>
+        )}
+      </div>
+
+      {view === 'schedule' ? (
+        <InstallmentScheduleView
+          students={students}
+          courses={courses}
+          enrollments={enrollments}
+          discountPolicies={discountPolicies}
+          payments={payments}
+          dueFilter={dueFilter}
+          navigate={navigate}
+          updateInstallmentPlan={updateInstallmentPlan}
+        />
+      ) : view === 'rates' && can('payments', 'rates') ? (
+        <ExchangeRatesView exchangeRates={exchangeRates} onSave={setExchangeRate} />
+      ) : (
+        <>
+          <div className="flex items-center space-x-4">
+            <label htmlFor="paymentStatusFilter" className="text-sm font-medium text-gray-700 ml-2">
+              تصفية حسب الحالة:
+            </label>
+            <select
+              id="paymentStatusFilter"
+              value={statusFilter}
+              onChange={(e) => navigate('payments', null, { status: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">الكل</option>
+              <option value="مدفوع">مدفوع</option>
+              <option value="معلق">معلق</option>
+              <option value="جزئي">جزئي</option>
+            </select>
+          </div>
+
+          {recordId && <RecordFilterNotice found={visiblePayments.length > 0} onShowAll={() => navigate('payments')} />}
+
+          <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    رقم الإيصال
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    النوع
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    الطالب
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    الدورة
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    المبلغ
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    الخصم
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    التاريخ
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    الحالة
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    ملاحظات
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    الإجراءات
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visiblePayments.length === 0 ? (
+                  <tr>
+                    <td colSpan="11" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                      لا يوجد دفعات مسجلة بعد.
+                    </td>
+                  </tr>
+                ) : (
+                  visiblePayments.map((payment) => {
+                    const type = getPaymentType(payment);
+                    const { reversed, remaining, isVoided } = getPaymentReversalSummary(payment, payments);
+                    const canReverse = type === 'payment' && !isVoided && (remaining > 0 || (payment.discount || 0) > 0);
+                    return (
+                      <tr key={payment.id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                          {formatReceiptNumber(payment.receiptNumber)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${PAYMENT_TYPES[type].badge}`}>
+                            {PAYMENT_TYPES[type].label}
+                          </span>
+                          {type !== 'payment' && (
+                            <a href={buildRoute('payments', payment.originalPaymentId)} className="block text-xs text-blue-600 hover:underline mt-1">
+                              عن الإيصال {formatReceiptNumber(payment.originalReceiptNumber)}
+                            </a>
+                          )}
+                          {isVoided ? (
+                            <p className="text-xs text-gray-500 mt-1">ملغاة</p>
+                          ) : reversed > 0 && (
+                            <p className="text-xs text-orange-600 mt-1">مسترد: {formatCurrency(reversed, getCurrency(payment))}</p>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <a href={buildRoute('students', payment.studentId)} className="text-blue-600 hover:underline">
+                            {getStudentName(payment.studentId)}
+                          </a>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {getCourseName(payment.courseId)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatCurrency(payment.amount, getCurrency(payment))}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatCurrency(payment.discount, getCurrency(payment))}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(payment.date)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span
+                            className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                              payment.status === 'مدفوع' ? 'bg-green-100 text-green-800' :
+                              payment.status === 'معلق' ? 'bg-red-100 text-red-800' :
+                              'bg-yellow-100 text-yellow-800'
+                            } rounded-full`}
+                          >
+                            {payment.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {type === 'payment' ? (payment.notes || 'لا يوجد') : `${payment.reason} (اعتمد: ${payment.approvedBy})`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button
+                            onClick={() => handlePrintReceipt(payment)}
+                            className="text-green-600 hover:text-green-900 ml-4"
+                          >
+                            طباعة الإيصال
+                          </button>
+                          <button
+                            onClick={() => handleDownloadReceipt(payment)}
+                            className="text-gray-600 hover:text-gray-900 ml-4"
+                          >
+                            تنزيل
+                          </button>
+                          {can('payments', 'reverse') && canReverse && (
+                            <button
+                              onClick={() => setReversingPayment(payment)}
+                              className="text-orange-600 hover:text-orange-900 ml-4"
+                            >
+                              استرداد/إلغاء
+                            </button>
+                          )}
+                          {can('payments', 'edit') && !isPaymentLocked(payment, payments) && (
+                            <button
+                              onClick={() => handleEditClick(payment)}
+                              className="text-blue-600 hover:text-blue-900 ml-4"
+                            >
+                              تعديل
+                            </button>
+                          )}
+                          {can('payments', 'delete') && !isPaymentLocked(payment, payments) && (
+                            <button
+                              onClick={() => handleDeleteClick(payment.id)}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              حذف
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {showAddPaymentModal && (
+        <AddPaymentModal onClose={() => setShowAddPaymentModal(false)} onAddPayment={addPayment} students={students} courses={courses} enrollments={enrollments} />
+      )}
+
+      {reversingPayment && (
+        <ReversePaymentModal
+          payment={reversingPayment}
+          payments={payments}
+          studentName={getStudentName(reversingPayment.studentId)}
+          onClose={() => setReversingPayment(null)}
+          onReversePayment={reversePayment}
+        />
+      )}
+
+      {showEditPaymentModal && currentPayment && (
+        <EditPaymentModal
+          payment={currentPayment}
+          onClose={() => setShowEditPaymentModal(false)}
+          onUpdatePayment={updatePayment}
+          students={students}
+          courses={courses}
+          enrollments={enrollments}
+        />
+      )}
+    </div>
+  );
+};
+
+// OverduePaymentsReport component: Dunning list of students with overdue balances and a log of who was contacted.
+const OverduePaymentsReport = ({ students, classes, courses, payments, enrollments, discountPolicies, contactLogs, addContactLog, addToast }) => {
+  const { can } = usePermissions();
+  const [classFilter, setClassFilter] = useState('');
+  const [courseFilter, setCourseFilter] = useState('');
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const toMillis = (timestamp) => (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).getTime();
+
+  const getClassNames = (student) => getStudentClassIds(student)
+    .map(id => (classes.find(cls => cls.id === id) || {}).name)
+    .filter(Boolean)
+    .join('، ');
+
+  const getLastContact = (studentId) => contactLogs
+    .filter(log => log.studentId === studentId)
+    .sort((a, b) => toMillis(b.contactedAt) - toMillis(a.contactedAt))[0];
+
+  const takesCourse = (student, courseId) => student.courseId === courseId
+    || enrollments.some(en => en.studentId === student.id && en.courseId === courseId && en.status !== 'withdrawn');
+
+  const overdueRows = students
+    .filter(student => !classFilter || getStudentClassIds(student).includes(classFilter))
+    .filter(student => !courseFilter || takesCourse(student, courseFilter))
+    .map(student => ({ student, ...getStudentOverdue(student, payments, courses, enrollments, discountPolicies) }))
+    .filter(row => row.overdueAmount > 0)
+    .sort((a, b) => (b.daysOverdue || 0) - (a.daysOverdue || 0) || b.overdueAmount - a.overdueAmount);
+  const totalOverdue = overdueRows.reduce((sum, row) => sum + row.overdueAmount, 0);
+
+  const handleExport = () => {
+    exportToCsv('overdue_payments.csv', overdueRows.map(row => {
+      const lastContact = getLastContact(row.student.id);
+      return {
+        'اسم الطالب': row.student.name,
+        'رقم الهاتف': row.student.phone,
+        'الفصول': getClassNames(row.student),
+        'المبلغ المتأخر': row.overdueAmount,
+        'الرصيد المستحق': row.balance,
+        'أيام التأخير': row.daysOverdue === null ? '' : row.daysOverdue,
+        'آخر تواصل': lastContact ? formatDate(lastContact.contactedAt) : '',
+      };
+    }), addToast);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800">الدفعات المتأخرة</h3>
+        {can('reports', 'export') && (
+          <button
+            onClick={handleExport}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md rounded-md"
+          >
+            تصدير CSV
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={classFilter}
+          onChange={(e) => setClassFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+        >
+          <option value="">كل الفصول</option>
+          {classes.map(cls => (
+            <option key={cls.id} value={cls.id}>{cls.name}</option>
+          ))}
+        </select>
+        <select
+          value={courseFilter}
+          onChange={(e) => setCourseFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+        >
+          <option value="">كل الدورات</option>
+          {courses.map(course => (
+            <option key={course.id} value={course.id}>{course.name}</option>
+          ))}
+        </select>
+        <span className="self-center text-gray-700">
+          {overdueRows.length} طالب - إجمالي المتأخر: <span className="font-bold text-red-700">{formatCurrency(totalOverdue)}</span>
+        </span>
+      </div>
+
+      {overdueRows.length === 0 ? (
+        <p className="text-center text-gray-500">لا توجد دفعات متأخرة.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">رقم الهاتف</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفصول</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المبلغ المتأخر</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الرصيد المستحق</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">أيام التأخير</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">آخر تواصل</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {overdueRows.map(row => {
+                const lastContact = getLastContact(row.student.id);
+                return (
+                  <tr key={row.student.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                      <a href={buildRoute('students', row.student.id)} className="text-blue-600 hover:underline">
+                        {row.student.name}
+                      </a>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      <a href={`tel:${row.student.phone}`} className="hover:underline">{row.student.phone}</a>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{getClassNames(row.student) || 'غير منسّب'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-red-700">{formatCurrency(row.overdueAmount)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.balance)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.daysOverdue === null ? 'غير محدد' : row.daysOverdue}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {lastContact ? `${formatDate(lastContact.contactedAt)} (${lastContact.contactedBy})` : 'لم يتم التواصل'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                      {can('reports', 'contact') && (
+                        <button
+                          onClick={() => addContactLog(row.student.id)}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          تم التواصل
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// InstructorPerformanceReport component: Classes, sessions, attendance, revenue and cost per instructor.
+const InstructorPerformanceReport = ({ instructors, classes, classSessions, payments, attendances }) => {
+  // Cost uses the same session count and course rates as payroll, over all recorded attendance
+  const payrollLines = computePayroll(attendances, classSessions, classes, instructors, '0000-01-01', '9999-12-31');
+
+  const rows = instructors.map(instructor => {
+    const instructorClasses = classes.filter(cls => (cls.instructors || []).includes(instructor.id));
+    const courseIds = new Set(instructorClasses.map(cls => cls.courseId).filter(Boolean));
+    const lines = payrollLines.filter(line => line.instructorId === instructor.id);
+    return {
+      instructor,
+      classCount: instructorClasses.length,
+      courseCount: courseIds.size,
+      sessions: lines.reduce((sum, line) => sum + line.sessions, 0),
+      attendanceRate: getAttendanceRate(attendances.filter(att => getAttendanceInstructorId(att, classSessions, classes) === instructor.id)),
+      revenue: payments
+        .filter(payment => courseIds.has(payment.courseId))
+        .reduce((sum, payment) => sum + toBaseCurrency(payment.amount, payment), 0),
+      cost: lines.reduce((sum, line) => sum + line.amount, 0),
+    };
+  });
+  const chartData = rows.map(row => ({
+    name: row.instructor.name,
+    revenue: row.revenue,
+    cost: row.cost,
+    attendanceRate: row.attendanceRate || 0,
+  }));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md space-y-6">
+      <div>
+        <h3 className="text-2xl font-semibold text-gray-800 mb-2">أداء المدربين</h3>
+        <p className="text-sm text-gray-500">
+          الحصص ونسبة الحضور من سجلات الحضور التي أخذها المدرب. الإيرادات هي مدفوعات الدورات التي يدرس فصولها
+          (تُحتسب لكل مدرب يدرس الدورة)، والتكلفة هي الحصص مضروبة في أجره للدورة.
+        </p>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-center text-gray-500">لا يوجد مدربون لعرض أدائهم.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المدرب</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفصول</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورات</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحصص</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">نسبة الحضور</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإيرادات</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التكلفة</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map(row => (
+                  <tr key={row.instructor.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                      <a href={buildRoute('instructors', row.instructor.id)} className="text-blue-600 hover:underline">
+                        {row.instructor.name}
+                      </a>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.classCount}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.courseCount}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.sessions}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {row.attendanceRate === null ? '—' : `${row.attendanceRate}%`}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.revenue)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-lg font-semibold text-gray-700 mb-2">الإيرادات والتكلفة</h4>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  <Bar dataKey="revenue" fill="#00C49F" name="الإيرادات" />
+                  <Bar dataKey="cost" fill="#FF8042" name="التكلفة" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <h4 className="text-lg font-semibold text-gray-700 mb-2">نسبة حضور الطلاب</h4>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis domain={[0, 100]} unit="%" />
+                  <Tooltip formatter={(value) => `${value}%`} />
+                  <Bar dataKey="attendanceRate" fill="#8884d8" name="نسبة الحضور" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// AtRiskStudentsReport component: Students flagged by the absence alert rules.
+const AtRiskStudentsReport = ({ attendanceAlerts, classes, courses }) => {
+  const alertsByStudent = attendanceAlerts.reduce((acc, alert) => {
+    acc[alert.student.id] = { student: alert.student, alerts: [...(acc[alert.student.id]?.alerts || []), alert] };
+    return acc;
+  }, {});
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md border-r-4 border-red-500">
+      <h3 className="text-2xl font-semibold text-gray-800 mb-2">طلاب معرضون للخطر بسبب الغياب ({Object.keys(alertsByStudent).length})</h3>
+      <p className="text-sm text-gray-500 mb-4">حسب قواعد تنبيهات الغياب؛ تتم متابعتهم من صفحة تنبيهات الغياب.</p>
+      <ul className="divide-y divide-gray-200">
+        {Object.values(alertsByStudent).map(({ student, alerts }) => (
+          <li key={student.id} className="py-2 text-sm">
+            <a href={buildRoute('students', student.id)} className="font-medium text-blue-600 hover:underline">{student.name}</a>
+            <span className="text-gray-600"> — {alerts.map(alert => describeAttendanceAlert(alert, classes, courses)).join('، ')}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// ReportsPage component: Displays various reports and charts.
+const ReportsPage = ({ students, classes, classSessions, expenses, courses, payments, enrollments, discountPolicies, instructors, attendances, contactLogs, addContactLog, attendanceAlerts, addToast }) => {
+  const { can } = usePermissions();
+  const [selectedClassIds, setSelectedClassIds] = useState([]);
+
+  // Refunds and voids are stored with negative amounts, so revenue is already net of them.
+  // Every figure is converted to the base currency at the rate stored on each payment.
+  const totalRevenue = payments.reduce((sum, payment) => sum + toBaseCurrency(payment.amount, payment), 0);
+  const totalReversals = payments
+    .filter(payment => getPaymentType(payment) !== 'payment')
+    .reduce((sum, payment) => sum - toBaseCurrency(payment.amount, payment), 0);
+  const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+  const netIncome = totalRevenue - totalExpenses;
+  const paymentsMissingRate = findRecordsMissingRate(payments);
+  const enrollmentsMissingRate = findRecordsMissingRate(enrollments);
+
+  // Payment status is derived from the ledger, so the chart always agrees with the payments table
+  const studentStatusCounts = students.reduce((acc, student) => {
+    const { status } = getStudentBalance(student, payments, courses, enrollments, discountPolicies);
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+  const studentStatusData = Object.entries(STUDENT_PAYMENT_STATUSES)
+    .filter(([status]) => studentStatusCounts[status])
+    .map(([status, { label, color }]) => ({ name: label, value: studentStatusCounts[status], color }));
+
+  const classEnrollmentData = classes.map(cls => ({
+    name: cls.name,
+    students: cls.students ? cls.students.length : 0
+  }));
+
+  const expensesByCategory = expenses.reduce((acc, expense) => {
+    const category = expense.category || 'غير مصنف';
+    acc[category] = (acc[category] || 0) + expense.amount;
+    return acc;
+  }, {});
+  const expensesByCategoryData = Object.entries(expensesByCategory).map(([name, value]) => ({ name, value }));
+
+  const revenueByCourse = payments.reduce((acc, payment) => {
     if (payment.courseId) {
       const course = courses.find(c => c.id === payment.courseId);
       if (course) {
-        acc[course.name] = (acc[course.name] || 0) + payment.amount;
+        acc[course.name] = (acc[course.name] || 0) + toBaseCurrency(payment.amount, payment);
       }
     }
     return acc;
   }, {});
   const revenueByCourseData = Object.entries(revenueByCourse).map(([name, value]) => ({ name, value }));
 
+  // Discount given: what each policy took off students' dues, plus discounts typed directly on records
+  const discountsGiven = students.reduce((acc, student) => {
+    const { policyLines, manual } = getStudentCharges(student, payments, courses, enrollments, discountPolicies);
+    policyLines.filter(line => line.amount > 0).forEach(({ policy, amount }) => {
+      const entry = acc.byPolicy[policy.id] || { policy, amount: 0, studentIds: new Set() };
+      entry.amount += amount;
+      entry.studentIds.add(student.id);
+      acc.byPolicy[policy.id] = entry;
+    });
+    acc.manual += manual;
+    return acc;
+  }, { byPolicy: {}, manual: 0 });
+  const discountsByPolicy = Object.values(discountsGiven.byPolicy).sort((a, b) => b.amount - a.amount);
+  const totalDiscountGiven = discountsGiven.manual + discountsByPolicy.reduce((sum, entry) => sum + entry.amount, 0);
+
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d', '#ffc658'];
 
   const handleClassSelectionChange = (e) => {
@@ -2210,28 +5892,24 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
       return;
     }
 
-    const exportedStudents = new Set();
+    // One row per student and class, so a student taking several of the selected classes appears under each
     const dataToExport = [];
 
     selectedClassIds.forEach(classId => {
       const selectedClass = classes.find(cls => cls.id === classId);
-      if (selectedClass && selectedClass.students) {
-        selectedClass.students.forEach(studentId => {
-          if (!exportedStudents.has(studentId)) {
-            const student = students.find(s => s.id === studentId);
-            if (student) {
-              dataToExport.push({
-                'اسم الطالب': student.name,
-                'رقم الهاتف': student.phone,
-                'البريد الإلكتروني': student.email || '',
-                'حالة الدفع': student.paid ? 'مدفوع' : 'غير مدفوع',
-                'الفصل': selectedClass.name
-              });
-              exportedStudents.add(studentId);
-            }
-          }
+      if (!selectedClass) return;
+      students
+        .filter(student => getStudentClassIds(student).includes(classId))
+        .forEach(student => {
+          dataToExport.push({
+            'اسم الطالب': student.name,
+            'رقم الهاتف': student.phone,
+            'البريد الإلكتروني': student.email || '',
+            'حالة الدفع': STUDENT_PAYMENT_STATUSES[getStudentBalance(student, payments, courses, enrollments, discountPolicies).status].label,
+            'الفصل': selectedClass.name,
+            'عدد فصول الطالب': getStudentClassIds(student).length,
+          });
         });
-      }
     });
 
     if (dataToExport.length > 0) {
@@ -2246,21 +5924,32 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
     <div className="space-y-8">
       <h2 className="text-3xl font-semibold text-gray-700 mb-6">التقارير الشاملة</h2>
 
+      {attendanceAlerts.length > 0 && <AtRiskStudentsReport attendanceAlerts={attendanceAlerts} classes={classes} courses={courses} />}
+
       <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
-        <h3 className="text-2xl font-semibold text-gray-800 mb-4">نظرة عامة مالية</h3>
+        <h3 className="text-2xl font-semibold text-gray-800 mb-2">نظرة عامة مالية</h3>
+        <p className="text-sm text-gray-500 mb-4">جميع المبالغ بالعملة الأساسية ({CURRENCIES[BASE_CURRENCY].label}) حسب سعر الصرف المسجل مع كل دفعة.</p>
+        {(paymentsMissingRate.length > 0 || enrollmentsMissingRate.length > 0) && (
+          <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-md mb-4">
+            {paymentsMissingRate.length} دفعة و{enrollmentsMissingRate.length} تسجيل بعملة أجنبية دون سعر صرف مسجل، ولم تُحتسب في المبالغ بالعملة الأساسية.
+          </p>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
           <div className="p-4 bg-blue-50 rounded-lg rounded-md">
             <p className="text-lg text-gray-600">إجمالي الإيرادات</p>
-            <p className="text-3xl font-bold text-blue-800">{totalRevenue.toLocaleString()} د.ل</p>
+            <p className="text-3xl font-bold text-blue-800">{formatCurrency(totalRevenue)}</p>
+            {totalReversals > 0 && (
+              <p className="text-sm text-gray-500 mt-1">بعد خصم مستردات وإلغاءات بقيمة {formatCurrency(totalReversals)}</p>
+            )}
           </div>
           <div className="p-4 bg-red-50 rounded-lg rounded-md">
             <p className="text-lg text-gray-600">إجمالي المصاريف</p>
-            <p className="text-3xl font-bold text-red-800">{totalExpenses.toLocaleString()} د.ل</p>
+            <p className="text-3xl font-bold text-red-800">{formatCurrency(totalExpenses)}</p>
           </div>
           <div className="p-4 bg-green-50 rounded-lg rounded-md">
             <p className="text-lg text-gray-600">صافي الدخل</p>
             <p className={`text-3xl font-bold ${netIncome >= 0 ? 'text-green-800' : 'text-red-800'}`}>
-              {netIncome.toLocaleString()} د.ل
+              {formatCurrency(netIncome)}
             </p>
           </div>
         </div>
@@ -2343,12 +6032,14 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
                 ))}
               </div>
             </div>
-            <button
-              onClick={handleExportStudentsByClass}
-              className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-            >
-              تصدير الطلاب في الفصول المختارة (CSV)
-            </button>
+            {can('reports', 'export') && (
+              <button
+                onClick={handleExportStudentsByClass}
+                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+              >
+                تصدير الطلاب في الفصول المختارة (CSV)
+              </button>
+            )}
           </>
         )}
       </div>
@@ -2374,7 +6065,7 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
                   <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
                 ))}
               </Pie>
-              <Tooltip formatter={(value) => `${value.toLocaleString()} د.ل`} />
+              <Tooltip formatter={(value) => formatCurrency(value)} />
               <Legend />
             </PieChart>
           </ResponsiveContainer>
@@ -2393,8 +6084,8 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
             >
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="name" />
-              <YAxis formatter={(value) => `${value.toLocaleString()} د.ل`} />
-              <Tooltip formatter={(value) => `${value.toLocaleString()} د.ل`} />
+              <YAxis formatter={(value) => formatCurrency(value)} />
+              <Tooltip formatter={(value) => formatCurrency(value)} />
               <Legend />
               <Bar dataKey="value" fill="#00C49F" name="الإيرادات" />
             </BarChart>
@@ -2402,280 +6093,1815 @@ const ReportsPage = ({ students, classes, expenses, courses, payments, addToast
         )}
       </div>
 
-      <div className="bg-white p-6 rounded-lg shadow-md text-center text-gray-500 rounded-md">
-        <h3 className="text-2xl font-semibold text-gray-700 mb-4">تقارير إضافية قريباً...</h3>
-        <p>مثل: تقارير حضور الطلاب، تقارير أداء المدربين، تقارير الدفعات المتأخرة.</p>
-        <div className="mt-8">
-          <img
-            src="https://placehold.co/400x200/E0F2F7/0288D1?text=Reports+Coming+Soon"
-            alt="[Image of Reports Coming Soon]"
-            className="mx-auto rounded-lg shadow-md rounded-md"
-          />
+      <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-2xl font-semibold text-gray-800">الخصومات الممنوحة</h3>
+          <span className="text-lg font-bold text-gray-700">{formatCurrency(totalDiscountGiven)}</span>
         </div>
+        {totalDiscountGiven === 0 ? (
+          <p className="text-center text-gray-500">لم تُمنح أي خصومات بعد.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الخصم</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">النوع</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">القيمة</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">عدد الطلاب</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">إجمالي الخصم</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {discountsByPolicy.map(({ policy, amount, studentIds }) => (
+                <tr key={policy.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <a href={buildRoute('discounts', policy.id)} className="text-blue-600 hover:underline">{policy.name}</a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{DISCOUNT_POLICY_KINDS[policy.kind]}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDiscountPolicyValue(policy)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{studentIds.size}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(amount)}</td>
+                </tr>
+              ))}
+              {discountsGiven.manual !== 0 && (
+                <tr>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">خصومات مسجلة يدوياً</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" colSpan="3">سجلات أقدم من سياسات الخصم</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(discountsGiven.manual)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        )}
       </div>
+
+      <InstructorPerformanceReport
+        instructors={instructors}
+        classes={classes}
+        classSessions={classSessions}
+        payments={payments}
+        attendances={attendances}
+      />
+
+      <OverduePaymentsReport
+        students={students}
+        classes={classes}
+        courses={courses}
+        payments={payments}
+        enrollments={enrollments}
+        discountPolicies={discountPolicies}
+        contactLogs={contactLogs}
+        addContactLog={addContactLog}
+        addToast={addToast}
+      />
     </div>
   );
 };
 
 
-// AttendancePage component: Manages student attendance records.
-const AttendancePage = ({ students, classes, instructors, addAttendance, attendances, addToast }) => {
-  const [selectedClassId, setSelectedClassId] = useState('');
-  const [selectedInstructorId, setSelectedInstructorId] = useState('');
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
-  const [classStudents, setClassStudents] = useState([]);
-  const [attendanceStatuses, setAttendanceStatuses] = useState({});
-
-  useEffect(() => {
-    if (selectedClassId) {
-      const currentClass = classes.find(cls => cls.id === selectedClassId);
-      if (currentClass && currentClass.students) {
-        const studentsInClass = students.filter(s => currentClass.students.includes(s.id));
-        setClassStudents(studentsInClass);
+// WeeklyTimetable component: One week of planned class sessions, Saturday to Friday.
+const WeeklyTimetable = ({ classSessions, classes, instructors, weekStart, selectedSessionId, onWeekChange, onSelectSession, onSetSessionStatus }) => {
+  const { can } = usePermissions();
+  const days = WEEK_ORDER.map((weekday, index) => ({ weekday, date: addDaysToKey(weekStart, index) }));
+  const weekEnd = days[days.length - 1].date;
+  const weekSessions = classSessions
+    .filter(session => session.date >= weekStart && session.date <= weekEnd)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
 
-        const existingAttendanceMap = {};
-        attendances.forEach(att => {
-          const attDate = att.date.toDate().toISOString().split('T')[0];
-          if (att.classId === selectedClassId && attDate === selectedDate) {
-            existingAttendanceMap[att.studentId] = att.status;
-          }
-        });
-        setAttendanceStatuses(existingAttendanceMap);
-      } else {
-        setClassStudents([]);
-        setAttendanceStatuses({});
-      }
-    } else {
-      setClassStudents([]);
-      setAttendanceStatuses({});
-    }
-  }, [selectedClassId, students, classes, selectedDate, attendances]);
+  const getClassName = (classId) => {
+    const cls = classes.find(c => c.id === classId);
+    return cls ? cls.name : 'فصل محذوف';
+  };
 
-  const handleAttendanceChange = (studentId, status) => {
-    setAttendanceStatuses(prev => ({
-      ...prev,
-      [studentId]: status
-    }));
+  const getInstructorName = (instructorId) => {
+    const instructor = instructors.find(inst => inst.id === instructorId);
+    return instructor ? instructor.name : '';
   };
 
-  const handleSubmitAttendance = async () => {
-    if (!selectedClassId || !selectedInstructorId || !selectedDate) {
-      addToast("الرجاء اختيار الفصل، المدرب، والتاريخ أولاً.", "error");
-      return;
-    }
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+      <div className="flex justify-between items-center mb-4">
+        <button onClick={() => onWeekChange(addDaysToKey(weekStart, -7))} className="text-sm text-blue-600 hover:text-blue-900">
+          → الأسبوع السابق
+        </button>
+        <h3 className="text-lg font-semibold text-gray-800">الجدول الأسبوعي: {weekStart} - {weekEnd}</h3>
+        <button onClick={() => onWeekChange(addDaysToKey(weekStart, 7))} className="text-sm text-blue-600 hover:text-blue-900">
+          الأسبوع التالي ←
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+        {days.map(({ weekday, date }) => (
+          <div key={date} className="border border-gray-200 rounded-md p-2 min-h-[120px]">
+            <p className="text-sm font-semibold text-gray-700">{WEEKDAYS[weekday]}</p>
+            <p className="text-xs text-gray-400 mb-2">{date}</p>
+            {weekSessions.filter(session => session.date === date).map(session => (
+              <div
+                key={session.id}
+                className={`mb-2 p-2 rounded-md text-xs ${session.status === 'cancelled' ? 'bg-gray-100 text-gray-400 line-through' : session.id === selectedSessionId ? 'bg-blue-600 text-white' : 'bg-blue-50 text-blue-900'}`}
+              >
+                <button
+                  onClick={() => onSelectSession(session)}
+                  disabled={session.status === 'cancelled'}
+                  className="block w-full text-right"
+                >
+                  <span className="block font-semibold">{session.startTime} - {session.endTime}</span>
+                  <span className="block">{getClassName(session.classId)}</span>
+                  {session.room && <span className="block">القاعة: {session.room}</span>}
+                  {session.instructorId && <span className="block">{getInstructorName(session.instructorId)}</span>}
+                </button>
+                {can('classes', 'edit') && (
+                  <button
+                    onClick={() => onSetSessionStatus(session.id, session.status === 'cancelled' ? 'scheduled' : 'cancelled')}
+                    className="mt-1 underline"
+                  >
+                    {session.status === 'cancelled' ? 'استعادة' : 'إلغاء الحصة'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 
-    if (Object.keys(attendanceStatuses).length === 0) {
-      addToast("الرجاء تسجيل حضور الطلاب قبل الحفظ.", "info");
-      return;
-    }
+// AttendanceHistoryView component: Students × sessions grid of a class with rates, trend charts and CSV export.
+const AttendanceHistoryView = ({ students, classes, classSessions, attendances, addToast }) => {
+  const [classId, setClassId] = useState(classes[0]?.id || '');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const todayKey = getLocalDateKey(new Date());
 
-    const attendanceRecordsToSave = [];
-    for (const studentId in attendanceStatuses) {
-      attendanceRecordsToSave.push({
-        studentId,
-        classId: selectedClassId,
-        instructorId: selectedInstructorId,
-        date: new Date(selectedDate),
-        status: attendanceStatuses[studentId],
-      });
-    }
+  const grid = classId ? buildAttendanceGrid(classId, students, attendances, classSessions, fromDate, toDate, todayKey) : null;
+  // Classes without counted records have no rate (null): no bar, and "—" rather than 0%
+  const classRates = classes.map(cls => ({
+    name: cls.name,
+    rate: getAttendanceRate(attendances.filter(att => att.classId === cls.id)),
+  }));
+
+  const getColumnLabel = (column) => (column.startTime ? `${column.date} ${column.startTime}` : column.date);
+
+  const handleExport = () => {
+    const className = classes.find(cls => cls.id === classId)?.name || classId;
+    exportToCsv(`attendance_${className}.csv`, grid.rows.map(row => ({
+      'اسم الطالب': row.student.name,
+      ...Object.fromEntries(grid.columns.map(column => {
+        const att = row.cells[column.key];
+        return [getColumnLabel(column), att ? ATTENDANCE_STATUS_LABELS[att.status] || att.status : ''];
+      })),
+      'نسبة الحضور': row.rate === null ? '' : `${row.rate}%`,
+    })), addToast);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow-md flex flex-wrap gap-4 items-end rounded-md">
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="historyClassSelect" className="block text-sm font-medium text-gray-700 mb-1">الفصل:</label>
+          <select
+            id="historyClassSelect"
+            value={classId}
+            onChange={(e) => setClassId(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+          >
+            <option value="">اختر فصل...</option>
+            {classes.map(cls => (
+              <option key={cls.id} value={cls.id}>{cls.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="historyFrom" className="block text-sm font-medium text-gray-700 mb-1">من:</label>
+          <input
+            type="date"
+            id="historyFrom"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="historyTo" className="block text-sm font-medium text-gray-700 mb-1">إلى:</label>
+          <input
+            type="date"
+            id="historyTo"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+          />
+        </div>
+        {grid && (
+          <button
+            onClick={handleExport}
+            className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md shadow-md"
+          >
+            تصدير CSV
+          </button>
+        )}
+      </div>
+
+      {grid && (
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-xl font-semibold text-gray-800">سجل الحضور</h3>
+            <span className="text-sm text-gray-700">
+              نسبة حضور الفصل: <span className="font-bold">{grid.rate === null ? 'لا يوجد' : `${grid.rate}%`}</span>
+            </span>
+          </div>
+          {grid.columns.length === 0 || grid.rows.length === 0 ? (
+            <p className="text-center text-gray-500">لا توجد سجلات حضور لهذا الفصل في الفترة المحددة.</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 sticky right-0 bg-gray-50">الطالب</th>
+                      {grid.columns.map(column => (
+                        <th key={column.key} className="px-2 py-2 text-center text-xs font-medium text-gray-500 whitespace-nowrap">
+                          {column.date}
+                          {column.startTime && <span className="block">{column.startTime}</span>}
+                        </th>
+                      ))}
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500">النسبة</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {grid.rows.map(row => (
+                      <tr key={row.student.id}>
+                        <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900 sticky right-0 bg-white">
+                          <a href={buildRoute('students', row.student.id)} className="text-blue-600 hover:underline">{row.student.name}</a>
+                        </td>
+                        {grid.columns.map(column => {
+                          const att = row.cells[column.key];
+                          return (
+                            <td
+                              key={column.key}
+                              title={att ? [ATTENDANCE_STATUS_LABELS[att.status], describeAttendanceDetails(att)].filter(Boolean).join(' - ') : 'لم يُسجل'}
+                              className={`px-2 py-2 text-center ${att?.status === 'absent' ? 'text-red-600 font-bold' : att?.status === 'late' ? 'text-yellow-600' : att?.status === 'excused' ? 'text-blue-600' : 'text-gray-500'}`}
+                            >
+                              {att ? ATTENDANCE_STATUS_MARKS[att.status] || att.status : '—'}
+                            </td>
+                          );
+                        })}
+                        <td className="px-3 py-2 whitespace-nowrap text-gray-700">{row.rate === null ? '—' : `${row.rate}%`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">ح: حاضر، غ: غائب، ت: متأخر، ع: غياب بعذر، —: لم يُسجل.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {grid && grid.trend.length > 0 && (
+          <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">نسبة الحضور عبر الحصص</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={grid.trend} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip formatter={(value) => `${value}%`} />
+                <Line type="monotone" dataKey="rate" stroke="#8884d8" name="نسبة الحضور" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+        {classRates.length > 0 && (
+          <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">نسبة الحضور لكل فصل</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={classRates} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip formatter={(value) => (value === null ? '—' : `${value}%`)} />
+                <Bar dataKey="rate" fill="#00C49F" name="نسبة الحضور" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// AttendancePage component: Manages student attendance records.
+const AttendancePage = ({ students, classes, instructors, classSessions, setClassSessionStatus, saveAttendance, attendances, enrollments, addToast, view, navigate }) => {
+  const { can } = usePermissions();
+  const [selectedClassId, setSelectedClassId] = useState('');
+  const [selectedInstructorId, setSelectedInstructorId] = useState('');
+  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [selectedSessionId, setSelectedSessionId] = useState('');
+  const [weekStart, setWeekStart] = useState(() => getWeekStartKey(new Date().toISOString().split('T')[0]));
+  const [classStudents, setClassStudents] = useState([]);
+  const [attendanceStatuses, setAttendanceStatuses] = useState({});
+  // Minutes late, excuse reason and note per student, e.g. { [studentId]: { lateMinutes, excuseReason, note } }
+  const [attendanceDetails, setAttendanceDetails] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveFailed, setSaveFailed] = useState(false);
+  // The roster currently on screen and the students whose entries were changed on it and not saved yet
+  const rosterKeyRef = useRef(null);
+  const editedStudentsRef = useRef(new Set());
+
+  useEffect(() => {
+    // A different class, session or day starts from what is stored; otherwise stored records (e.g. kiosk
+    // check-ins) are merged in without overwriting unsaved entries
+    const rosterKey = `${selectedClassId}|${selectedSessionId}|${selectedDate}`;
+    const isNewRoster = rosterKeyRef.current !== rosterKey;
+    rosterKeyRef.current = rosterKey;
+    if (isNewRoster) editedStudentsRef.current = new Set();
+    const keepEdited = (prev, stored) => {
+      const merged = { ...stored };
+      editedStudentsRef.current.forEach(studentId => {
+        if (prev[studentId] !== undefined) merged[studentId] = prev[studentId];
+        else delete merged[studentId];
+      });
+      return merged;
+    };
+
+    if (selectedClassId) {
+      const currentClass = classes.find(cls => cls.id === selectedClassId);
+      if (currentClass) {
+        // Students can belong to several classes, so the roster is every student listing this one
+        const studentsInClass = students.filter(s => getStudentClassIds(s).includes(selectedClassId));
+        setClassStudents(studentsInClass);
+
+        // Attendance taken against the selected session, or on the selected day for classes without a timetable
+        const existingAttendanceMap = {};
+        const existingDetailsMap = {};
+        attendances.forEach(att => {
+          const isSameSession = selectedSessionId
+            ? att.sessionId === selectedSessionId
+            : att.classId === selectedClassId && getDateKey(att.date) === selectedDate;
+          if (isSameSession) {
+            existingAttendanceMap[att.studentId] = att.status;
+            existingDetailsMap[att.studentId] = { lateMinutes: att.lateMinutes || '', excuseReason: att.excuseReason || '', note: att.note || '' };
+          }
+        });
+        setAttendanceStatuses(prev => keepEdited(prev, existingAttendanceMap));
+        setAttendanceDetails(prev => keepEdited(prev, existingDetailsMap));
+      } else {
+        setClassStudents([]);
+        setAttendanceStatuses({});
+        setAttendanceDetails({});
+      }
+    } else {
+      setClassStudents([]);
+      setAttendanceStatuses({});
+      setAttendanceDetails({});
+    }
+    if (isNewRoster) {
+      setErrors({});
+      setSaveFailed(false);
+    }
+  }, [selectedClassId, students, classes, selectedDate, selectedSessionId, attendances]);
+
+  // Classes with a timetable take attendance against one of their planned sessions
+  const selectedClassSessions = classSessions
+    .filter(session => session.classId === selectedClassId && session.status !== 'cancelled')
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+
+  const selectSession = (session) => {
+    const cls = classes.find(c => c.id === session.classId);
+    setSelectedClassId(session.classId);
+    setSelectedSessionId(session.id);
+    setSelectedDate(session.date);
+    setSelectedInstructorId(cls && (cls.instructors || []).includes(session.instructorId) ? session.instructorId : '');
+  };
+
+  const handleClassChange = (classId) => {
+    setSelectedClassId(classId);
+    setSelectedInstructorId('');
+    // Default to the class's session today, or its next one
+    const today = new Date().toISOString().split('T')[0];
+    const nextSession = classSessions
+      .filter(session => session.classId === classId && session.status !== 'cancelled' && session.date >= today)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime))[0];
+    if (nextSession) {
+      selectSession(nextSession);
+    } else {
+      setSelectedSessionId('');
+    }
+  };
+
+  const handleAttendanceChange = (studentId, status) => {
+    editedStudentsRef.current.add(studentId);
+    setAttendanceStatuses(prev => ({
+      ...prev,
+      [studentId]: status
+    }));
+    setErrors(prev => ({ ...prev, [studentId]: '' }));
+  };
+
+  const handleDetailChange = (studentId, field, value) => {
+    editedStudentsRef.current.add(studentId);
+    setAttendanceDetails(prev => ({
+      ...prev,
+      [studentId]: { ...prev[studentId], [field]: value }
+    }));
+    setErrors(prev => ({ ...prev, [studentId]: '' }));
+  };
+
+  const getDetails = (studentId) => attendanceDetails[studentId] || {};
+
+  // Late needs the minutes and an excused absence its reason
+  const validateDetails = () => {
+    const newErrors = {};
+    Object.entries(attendanceStatuses).forEach(([studentId, status]) => {
+      const details = getDetails(studentId);
+      if (status === 'late' && !(parseInt(details.lateMinutes, 10) > 0)) newErrors[studentId] = 'أدخل عدد دقائق التأخير.';
+      if (status === 'excused' && !(details.excuseReason || '').trim()) newErrors[studentId] = 'أدخل سبب الغياب.';
+    });
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmitAttendance = async () => {
+    if (!selectedClassId || !selectedInstructorId || !selectedDate) {
+      addToast("الرجاء اختيار الفصل، المدرب، والتاريخ أولاً.", "error");
+      return;
+    }
+    if (selectedClassSessions.length > 0 && !selectedSessionId) {
+      addToast("الرجاء اختيار الحصة المجدولة التي يُسجل لها الحضور.", "error");
+      return;
+    }
+
+    if (Object.keys(attendanceStatuses).length === 0) {
+      addToast("الرجاء تسجيل حضور الطلاب قبل الحفظ.", "info");
+      return;
+    }
+    if (!validateDetails()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+
+    const attendanceRecordsToSave = [];
+    for (const studentId in attendanceStatuses) {
+      // Attendance is tied to the enrollment that places the student in this class, when there is one
+      const enrollment = enrollments.find(en => en.studentId === studentId && en.classId === selectedClassId && en.status === 'active');
+      attendanceRecordsToSave.push({
+        studentId,
+        enrollmentId: enrollment ? enrollment.id : null,
+        classId: selectedClassId,
+        sessionId: selectedSessionId || null,
+        instructorId: selectedInstructorId,
+        date: new Date(selectedDate),
+        status: attendanceStatuses[studentId],
+        lateMinutes: attendanceStatuses[studentId] === 'late' ? parseInt(getDetails(studentId).lateMinutes, 10) : null,
+        excuseReason: attendanceStatuses[studentId] === 'excused' ? getDetails(studentId).excuseReason.trim() : '',
+        note: (getDetails(studentId).note || '').trim(),
+      });
+    }
+
+    // The roster is written in one batch; on failure nothing is stored and the entries stay on screen to retry
+    setIsSaving(true);
+    const saved = await saveAttendance(attendanceRecordsToSave);
+    setIsSaving(false);
+    setSaveFailed(saved === false);
+    if (saved) editedStudentsRef.current = new Set();
+  };
+
+  const getInstructorName = (id) => {
+    const instructor = instructors.find(inst => inst.id === id);
+    return instructor ? instructor.name : 'غير معروف';
+  };
+
+  const getClassInstructors = (classId) => {
+    const cls = classes.find(c => c.id === classId);
+    if (!cls || !cls.instructors) return [];
+    return instructors.filter(inst => cls.instructors.includes(inst.id));
+  };
+
+
+  const tabs = (
+    <div className="flex border-b border-gray-200">
+      <button
+        onClick={() => navigate('attendance')}
+        className={`px-4 py-2 text-sm font-medium ${view !== 'history' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+      >
+        تسجيل الحضور
+      </button>
+      <button
+        onClick={() => navigate('attendance', null, { view: 'history' })}
+        className={`px-4 py-2 text-sm font-medium ${view === 'history' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+      >
+        سجل الحضور والإحصائيات
+      </button>
+    </div>
+  );
+
+  if (view === 'history') {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-2xl font-semibold text-gray-700">إدارة الحضور والغياب</h2>
+        {tabs}
+        <AttendanceHistoryView
+          students={students}
+          classes={classes}
+          classSessions={classSessions}
+          attendances={attendances}
+          addToast={addToast}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-semibold text-gray-700">إدارة الحضور والغياب</h2>
+      {tabs}
+
+      <WeeklyTimetable
+        classSessions={classSessions}
+        classes={classes}
+        instructors={instructors}
+        weekStart={weekStart}
+        selectedSessionId={selectedSessionId}
+        onWeekChange={setWeekStart}
+        onSelectSession={selectSession}
+        onSetSessionStatus={setClassSessionStatus}
+      />
+
+      <div className="bg-white p-6 rounded-lg shadow-md flex flex-wrap gap-4 items-end rounded-md">
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="classSelect" className="block text-sm font-medium text-gray-700 mb-1">
+            اختر الفصل:
+          </label>
+          <select
+            id="classSelect"
+            value={selectedClassId}
+            onChange={(e) => handleClassChange(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+          >
+            <option value="">اختر فصل...</option>
+            {classes.map(cls => (
+              <option key={cls.id} value={cls.id}>{cls.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="instructorSelect" className="block text-sm font-medium text-gray-700 mb-1">
+            اختر المدرب:
+          </label>
+          <select
+            id="instructorSelect"
+            value={selectedInstructorId}
+            onChange={(e) => setSelectedInstructorId(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            disabled={!selectedClassId || getClassInstructors(selectedClassId).length === 0}
+          >
+            <option value="">اختر مدرباً...</option>
+            {selectedClassId && getClassInstructors(selectedClassId).map(inst => (
+              <option key={inst.id} value={inst.id}>{inst.name}</option>
+            ))}
+          </select>
+          {selectedClassId && getClassInstructors(selectedClassId).length === 0 && (
+            <p className="text-red-500 text-xs mt-1">لا يوجد مدربون منسوبون لهذا الفصل.</p>
+          )}
+        </div>
+
+        {selectedClassSessions.length > 0 ? (
+          <div className="flex-1 min-w-[200px]">
+            <label htmlFor="attendanceSession" className="block text-sm font-medium text-gray-700 mb-1">
+              الحصة:
+            </label>
+            <select
+              id="attendanceSession"
+              value={selectedSessionId}
+              onChange={(e) => {
+                const session = selectedClassSessions.find(item => item.id === e.target.value);
+                if (session) selectSession(session);
+                else setSelectedSessionId('');
+              }}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">اختر حصة...</option>
+              {selectedClassSessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {WEEKDAYS[new Date(`${session.date}T00:00:00Z`).getUTCDay()]} {session.date} ({session.startTime} - {session.endTime}){session.room ? ` - ${session.room}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div className="flex-1 min-w-[200px]">
+            <label htmlFor="attendanceDate" className="block text-sm font-medium text-gray-700 mb-1">
+              التاريخ:
+            </label>
+            <input
+              type="date"
+              id="attendanceDate"
+              value={selectedDate}
+              onChange={(e) => setSelectedDate(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            />
+            {selectedClassId && (
+              <p className="text-xs text-gray-500 mt-1">لا يوجد جدول حصص لهذا الفصل؛ أضف مواعيده من صفحة الفصول.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {selectedClassId && selectedInstructorId && classStudents.length > 0 &&
+        <div className="bg-white rounded-lg shadow-md overflow-hidden mt-6 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  اسم الطالب
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  الحالة
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  التفاصيل
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {classStudents.map(student => (
+                <tr key={student.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <a href={buildRoute('students', student.id)} className="text-blue-600 hover:underline">
+                      {student.name}
+                    </a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div className="flex items-center space-x-4">
+                      <label className="inline-flex items-center">
+                        <input
+                          type="radio"
+                          name={`attendance-${student.id}`}
+                          value="present"
+                          checked={attendanceStatuses[student.id] === 'present'}
+                          onChange={() => handleAttendanceChange(student.id, 'present')}
+                          className="form-radio text-green-600 h-4 w-4 rounded-md"
+                        />
+                        <span className="ml-2 text-green-700">حاضر</span>
+                      </label>
+                      <label className="inline-flex items-center">
+                        <input
+                          type="radio"
+                          name={`attendance-${student.id}`}
+                          value="absent"
+                          checked={attendanceStatuses[student.id] === 'absent'}
+                          onChange={() => handleAttendanceChange(student.id, 'absent')}
+                          className="form-radio text-red-600 h-4 w-4 rounded-md"
+                        />
+                        <span className="ml-2 text-red-700">غائب</span>
+                      </label>
+                      <label className="inline-flex items-center">
+                        <input
+                          type="radio"
+                          name={`attendance-${student.id}`}
+                          value="late"
+                          checked={attendanceStatuses[student.id] === 'late'}
+                          onChange={() => handleAttendanceChange(student.id, 'late')}
+                          className="form-radio text-yellow-600 h-4 w-4 rounded-md"
+                        />
+                        <span className="ml-2 text-yellow-700">متأخر</span>
+                      </label>
+                      <label className="inline-flex items-center">
+                        <input
+                          type="radio"
+                          name={`attendance-${student.id}`}
+                          value="excused"
+                          checked={attendanceStatuses[student.id] === 'excused'}
+                          onChange={() => handleAttendanceChange(student.id, 'excused')}
+                          className="form-radio text-gray-600 h-4 w-4 rounded-md"
+                        />
+                        <span className="ml-2 text-gray-700">بعذر</span>
+                      </label>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    <div className="flex flex-wrap items-center gap-2">
+                      {attendanceStatuses[student.id] === 'late' && (
+                        <input
+                          type="number"
+                          min="1"
+                          aria-label={`دقائق تأخير ${student.name}`}
+                          value={getDetails(student.id).lateMinutes || ''}
+                          onChange={(e) => handleDetailChange(student.id, 'lateMinutes', e.target.value)}
+                          className={`w-24 px-2 py-1 border ${errors[student.id] ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm sm:text-sm`}
+                          placeholder="الدقائق"
+                        />
+                      )}
+                      {attendanceStatuses[student.id] === 'excused' && (
+                        <input
+                          type="text"
+                          aria-label={`سبب غياب ${student.name}`}
+                          value={getDetails(student.id).excuseReason || ''}
+                          onChange={(e) => handleDetailChange(student.id, 'excuseReason', e.target.value)}
+                          className={`w-40 px-2 py-1 border ${errors[student.id] ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm sm:text-sm`}
+                          placeholder="سبب الغياب"
+                        />
+                      )}
+                      <input
+                        type="text"
+                        aria-label={`ملاحظة ${student.name}`}
+                        value={getDetails(student.id).note || ''}
+                        onChange={(e) => handleDetailChange(student.id, 'note', e.target.value)}
+                        className="flex-1 min-w-[120px] px-2 py-1 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+                        placeholder="ملاحظة (اختياري)"
+                      />
+                    </div>
+                    {errors[student.id] && <p className="text-red-500 text-xs mt-1">{errors[student.id]}</p>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {saveFailed && (
+            <div className="flex justify-between items-center p-3 bg-red-50 text-red-800 text-sm">
+              <span>لم يُحفظ حضور أي طالب بسبب خطأ. البيانات المدخلة ما زالت هنا، يمكنك إعادة المحاولة.</span>
+              <button onClick={handleSubmitAttendance} disabled={isSaving} className="font-semibold hover:underline">
+                إعادة المحاولة
+              </button>
+            </div>
+          )}
+          <div className="p-4 bg-gray-50 flex justify-end">
+            {can('attendance', 'create') && (
+              <button
+                onClick={handleSubmitAttendance}
+                disabled={isSaving}
+                className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+              >
+                {isSaving ? 'جاري الحفظ...' : 'حفظ الحضور'}
+              </button>
+            )}
+          </div>
+        </div>
+      }
+
+      {selectedClassId && selectedInstructorId && classStudents.length === 0 &&
+        <div className="text-center text-gray-500 p-6 bg-white rounded-lg shadow-md rounded-md">
+          <p>لا يوجد طلاب منسوبون لهذا الفصل.</p>
+        </div>
+      }
+
+      {!selectedClassId || !selectedInstructorId ? (
+        <div className="text-center text-gray-500 p-6 bg-white rounded-lg shadow-md rounded-md">
+          <p>الرجاء اختيار **الفصل** و**المدرب** لعرض قائمة الطلاب وتسجيل الحضور.</p>
+        </div>
+      ) : null}
+
+    </div>
+  );
+};
+
+// AttendanceRuleModal component: Modal for adding an absence alert rule.
+const AttendanceRuleModal = ({ onClose, onSave }) => {
+  const [type, setType] = useState('consecutive');
+  const [threshold, setThreshold] = useState('3');
+  const [minSessions, setMinSessions] = useState('4');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  // A run of absences is a count, a rate a percentage
+  const handleTypeChange = (newType) => {
+    setType(newType);
+    setThreshold(newType === 'rate' ? '75' : '3');
+    setErrors({});
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    const numericThreshold = parseInt(threshold, 10);
+    if (isNaN(numericThreshold) || numericThreshold <= 0) newErrors.threshold = 'الحد مطلوب ويجب أن يكون رقماً موجباً.';
+    else if (type === 'rate' && numericThreshold > 100) newErrors.threshold = 'النسبة لا يمكن أن تتجاوز 100%.';
+    if (type === 'rate' && !(parseInt(minSessions, 10) > 0)) newErrors.minSessions = 'عدد الحصص مطلوب ويجب أن يكون رقماً موجباً.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onSave({
+      type,
+      threshold: parseInt(threshold, 10),
+      ...(type === 'rate' ? { minSessions: parseInt(minSessions, 10) } : {}),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">إضافة قاعدة تنبيه</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="attendanceRuleType" className="block text-sm font-medium text-gray-700 mb-1">
+              النوع:
+            </label>
+            <select
+              id="attendanceRuleType"
+              value={type}
+              onChange={(e) => handleTypeChange(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              {Object.entries(ATTENDANCE_RULE_TYPES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="attendanceRuleThreshold" className="block text-sm font-medium text-gray-700 mb-1">
+              {type === 'rate' ? 'التنبيه عندما تقل نسبة الحضور عن (%):' : 'التنبيه عند عدد الغيابات المتتالية:'}
+            </label>
+            <input
+              type="number"
+              id="attendanceRuleThreshold"
+              value={threshold}
+              onChange={(e) => { setThreshold(e.target.value); setErrors(prev => ({ ...prev, threshold: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.threshold ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.threshold && <p className="text-red-500 text-xs mt-1">{errors.threshold}</p>}
+          </div>
+          {type === 'rate' && (
+            <div>
+              <label htmlFor="attendanceRuleMinSessions" className="block text-sm font-medium text-gray-700 mb-1">
+                بعد عدد حصص مسجلة لا يقل عن:
+              </label>
+              <input
+                type="number"
+                id="attendanceRuleMinSessions"
+                value={minSessions}
+                onChange={(e) => { setMinSessions(e.target.value); setErrors(prev => ({ ...prev, minSessions: '' })); }}
+                className={`mt-1 block w-full px-4 py-2 border ${errors.minSessions ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+              />
+              {errors.minSessions && <p className="text-red-500 text-xs mt-1">{errors.minSessions}</p>}
+              <p className="text-xs text-gray-500 mt-1">حتى لا يُنبَّه على طالب بعد غياب واحد في بداية الدورة. الغياب بعذر لا يُحتسب.</p>
+            </div>
+          )}
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              حفظ
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// AttendanceAlertsPage component: Follow-up list of students flagged by the absence rules, and the rules themselves.
+const AttendanceAlertsPage = ({ attendanceAlerts, attendanceRules, attendanceFollowUps, classes, courses, addAttendanceRule, updateAttendanceRule, deleteAttendanceRule, addAttendanceFollowUp, showConfirmModal }) => {
+  const { can } = usePermissions();
+  const [showAddRuleModal, setShowAddRuleModal] = useState(false);
+  const [showFollowedUp, setShowFollowedUp] = useState(false);
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const alertRows = attendanceAlerts.map(alert => ({ alert, followUp: getAlertFollowUp(alert, attendanceFollowUps) }));
+  const openCount = alertRows.filter(row => !row.followUp).length;
+  const visibleRows = showFollowedUp ? alertRows : alertRows.filter(row => !row.followUp);
+
+  const handleDeleteRule = (ruleId) => {
+    showConfirmModal("هل أنت متأكد أنك تريد حذف هذه القاعدة؟ ستختفي التنبيهات التي تثيرها.", () => deleteAttendanceRule(ruleId));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-700">تنبيهات الغياب ({openCount})</h2>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showFollowedUp}
+            onChange={(e) => setShowFollowedUp(e.target.checked)}
+            className="form-checkbox h-4 w-4 text-blue-600"
+          />
+          <span className="mr-2">عرض التنبيهات التي تمت متابعتها</span>
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        يظهر الطالب هنا عندما ينطبق عليه أحد القواعد أدناه. بعد المتابعة يختفي التنبيه حتى يُسجل حضور جديد يبقيه ضمن القاعدة.
+      </p>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الهاتف</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التنبيه</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المتابعة</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleRows.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد تنبيهات تحتاج إلى متابعة.
+                </td>
+              </tr>
+            ) : (
+              visibleRows.map(({ alert, followUp }) => (
+                <tr key={alert.key} className={followUp ? 'bg-gray-50' : ''}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <a href={buildRoute('students', alert.student.id)} className="text-blue-600 hover:underline">{alert.student.name}</a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{alert.student.phone}</td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{describeAttendanceAlert(alert, classes, courses)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {followUp ? (
+                      `${followUp.followedUpBy} - ${formatDate(followUp.followedUpAt)}`
+                    ) : can('alerts', 'followUp') && (
+                      <button
+                        onClick={() => addAttendanceFollowUp(alert)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        تمت المتابعة
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-semibold text-gray-800">قواعد التنبيه</h3>
+        {can('alerts', 'rules') && (
+          <button
+            onClick={() => setShowAddRuleModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md rounded-md"
+          >
+            + إضافة قاعدة
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">القاعدة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التنبيهات</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {attendanceRules.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد قواعد تنبيه بعد.
+                </td>
+              </tr>
+            ) : (
+              attendanceRules.map(rule => (
+                <tr key={rule.id} className={rule.active === false ? 'bg-gray-50' : ''}>
+                  <td className="px-6 py-4 text-sm text-gray-900">{describeAttendanceRule(rule)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {attendanceAlerts.filter(alert => alert.rule.id === rule.id).length}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${rule.active === false ? 'bg-gray-200 text-gray-800' : 'bg-green-100 text-green-800'}`}>
+                      {rule.active === false ? 'موقوفة' : 'نشطة'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {can('alerts', 'rules') && (
+                      <>
+                        <button
+                          onClick={() => updateAttendanceRule(rule.id, { active: rule.active === false })}
+                          className="text-gray-600 hover:text-gray-900 ml-4"
+                        >
+                          {rule.active === false ? 'تفعيل' : 'إيقاف'}
+                        </button>
+                        <button
+                          onClick={() => handleDeleteRule(rule.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          حذف
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showAddRuleModal && (
+        <AttendanceRuleModal onClose={() => setShowAddRuleModal(false)} onSave={addAttendanceRule} />
+      )}
+    </div>
+  );
+};
+
+// QrScanner component: Reads QR codes from the webcam and passes each decoded text to onScan.
+const QrScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [cameraError, setCameraError] = useState('');
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    let stream = null;
+    let timerId = null;
+    let stopped = false;
+
+    // A few frames a second are enough to catch a card held up to the camera
+    const scanFrame = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const result = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (result && result.data) onScanRef.current(result.data);
+      }
+      timerId = setTimeout(scanFrame, 250);
+    };
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setCameraError('الكاميرا غير متاحة في هذا المتصفح. استخدم إدخال الرمز.');
+      return undefined;
+    }
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(mediaStream => {
+        if (stopped) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        scanFrame();
+      })
+      .catch(e => {
+        console.error("Error starting camera: ", e);
+        setCameraError('تعذر تشغيل الكاميرا. تحقق من صلاحية الوصول إليها أو استخدم إدخال الرمز.');
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(timerId);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  if (cameraError) {
+    return <p className="text-yellow-300 text-center">{cameraError}</p>;
+  }
+  return (
+    <>
+      <video ref={videoRef} className="w-full max-w-md mx-auto rounded-lg" muted playsInline />
+      <canvas ref={canvasRef} className="hidden" />
+    </>
+  );
+};
+
+// Key under which a browser left in kiosk mode remembers the account that opened it
+const KIOSK_LOCK_KEY = 'my-dashboard-app:kiosk';
+
+// KioskPage component: Full-screen self check-in where students scan their card or type their code.
+// Leaving it takes the password of the staff account it runs under.
+const KioskPage = ({ students, classes, classSessions, checkInStudent, onExit }) => {
+  const [code, setCode] = useState('');
+  const [useCamera, setUseCamera] = useState(true);
+  const [result, setResult] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  // The camera sees a card for many frames in a row; the same code is ignored for a few seconds
+  const lastScanRef = useRef({ code: '', at: 0 });
+  const inputRef = useRef(null);
+  const [isExiting, setIsExiting] = useState(false);
+  const [exitPassword, setExitPassword] = useState('');
+  const [exitError, setExitError] = useState('');
+
+  // Each result stays on screen for a few seconds, then the kiosk is ready for the next student
+  useEffect(() => {
+    if (!result) return undefined;
+    const timerId = setTimeout(() => setResult(null), 5000);
+    return () => clearTimeout(timerId);
+  }, [result]);
+
+  const getClassName = (classId) => {
+    const cls = classes.find(c => c.id === classId);
+    return cls ? cls.name : '';
+  };
+
+  const handleCode = async (rawCode) => {
+    const normalizedCode = rawCode.trim().toUpperCase();
+    if (!normalizedCode || isChecking) return;
+    const now = Date.now();
+    if (lastScanRef.current.code === normalizedCode && now - lastScanRef.current.at < 5000) return;
+    lastScanRef.current = { code: normalizedCode, at: now };
+
+    const student = students.find(s => s.checkInCode === normalizedCode);
+    if (!student) {
+      setResult({ type: 'error', message: 'الرمز غير معروف. الرجاء مراجعة الإدارة.' });
+      return;
+    }
+    const session = findCheckInSession(student, classSessions, new Date());
+    if (!session) {
+      setResult({ type: 'error', message: `${student.name}: لا توجد لك حصة مفتوحة للتسجيل الآن.` });
+      return;
+    }
+    setIsChecking(true);
+    const status = await checkInStudent(student, session);
+    setIsChecking(false);
+    if (status === 'saved') {
+      setResult({ type: 'success', message: `مرحباً ${student.name}! تم تسجيل حضورك في ${getClassName(session.classId)} (${session.startTime}).` });
+    } else if (status === 'already') {
+      setResult({ type: 'info', message: `${student.name}: حضورك في ${getClassName(session.classId)} مسجل مسبقاً.` });
+    } else if (status === 'noInstructor') {
+      setResult({ type: 'error', message: `${student.name}: لم يُحدد مدرب حصة ${getClassName(session.classId)}، لذا يُسجل حضورها مع المدرب. الرجاء مراجعة الإدارة.` });
+    } else {
+      setResult({ type: 'error', message: 'تعذر تسجيل الحضور. الرجاء المحاولة مرة أخرى.' });
+      lastScanRef.current = { code: '', at: 0 };
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleCode(code);
+    setCode('');
+    if (inputRef.current) inputRef.current.focus();
+  };
+
+  const handleExitSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await onExit(exitPassword);
+    } catch (error) {
+      setExitError(getAuthErrorMessage(error));
+      setExitPassword('');
+    }
+  };
+
+  const cancelExit = () => {
+    setIsExiting(false);
+    setExitPassword('');
+    setExitError('');
+  };
+
+  const resultStyles = {
+    success: 'bg-green-600',
+    info: 'bg-blue-600',
+    error: 'bg-red-600',
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-900 text-white flex flex-col items-center justify-center p-6 space-y-6">
+      {isExiting ? (
+        <form onSubmit={handleExitSubmit} className="absolute top-4 left-4 bg-gray-800 p-4 rounded-md space-y-2 w-72">
+          <label htmlFor="kioskExitPassword" className="block text-sm text-gray-300">كلمة مرور الموظف للخروج</label>
+          <input
+            id="kioskExitPassword"
+            type="password"
+            value={exitPassword}
+            onChange={(e) => { setExitPassword(e.target.value); setExitError(''); }}
+            autoFocus
+            className="w-full px-3 py-2 rounded-md text-gray-900"
+          />
+          {exitError && <p className="text-red-400 text-xs">{exitError}</p>}
+          <div className="flex gap-2">
+            <button type="submit" className="flex-1 bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-md text-sm font-bold">خروج</button>
+            <button type="button" onClick={cancelExit} className="flex-1 border border-gray-500 px-3 py-2 rounded-md text-sm text-gray-300 hover:bg-gray-700">إلغاء</button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsExiting(true)}
+          className="absolute top-4 left-4 px-4 py-2 border border-gray-500 rounded-md text-sm text-gray-300 hover:bg-gray-800"
+        >
+          الخروج من وضع الحضور الذاتي
+        </button>
+      )}
+      <h2 className="text-4xl font-semibold">{CENTER_NAME}</h2>
+      <p className="text-xl text-gray-300">امسح بطاقتك أو اكتب رمز الحضور لتسجيل حضورك</p>
+
+      {useCamera && <QrScanner onScan={handleCode} />}
+
+      <form onSubmit={handleSubmit} className="flex gap-2 w-full max-w-md">
+        <input
+          ref={inputRef}
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          autoFocus
+          dir="ltr"
+          aria-label="رمز الحضور"
+          className="flex-1 px-4 py-3 rounded-md text-gray-900 text-xl font-mono tracking-widest text-center"
+          placeholder="ABCD2345"
+        />
+        <button type="submit" disabled={isChecking} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-6 py-3 rounded-md font-bold">
+          تسجيل
+        </button>
+      </form>
+      <label className="inline-flex items-center text-sm text-gray-400">
+        <input
+          type="checkbox"
+          checked={useCamera}
+          onChange={(e) => setUseCamera(e.target.checked)}
+          className="form-checkbox h-4 w-4"
+        />
+        <span className="mr-2">استخدام الكاميرا</span>
+      </label>
+
+      {result && (
+        <div className={`${resultStyles[result.type]} w-full max-w-xl p-6 rounded-lg text-2xl text-center`}>
+          {result.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// CertificateTemplateModal component: Modal for creating a certificate template or editing an existing one.
+const CertificateTemplateModal = ({ template, onClose, onSave }) => {
+  const initial = template || DEFAULT_CERTIFICATE_TEMPLATE;
+  const [name, setName] = useState(template ? template.name : '');
+  const [title, setTitle] = useState(initial.title);
+  const [introText, setIntroText] = useState(initial.introText);
+  const [completionText, setCompletionText] = useState(initial.completionText);
+  const [logoUrl, setLogoUrl] = useState(initial.logoUrl || '');
+  const [accentColor, setAccentColor] = useState(initial.accentColor || DEFAULT_CERTIFICATE_TEMPLATE.accentColor);
+  const [signatures, setSignatures] = useState(initial.signatures || DEFAULT_CERTIFICATE_TEMPLATE.signatures);
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  const handleSignatureChange = (index, field, value) => {
+    setSignatures(prev => prev.map((signature, i) => (i === index ? { ...signature, [field]: value } : signature)));
+    setErrors(prev => ({ ...prev, signatures: '' }));
+  };
+
+  const getTemplateData = () => ({
+    name: name.trim(),
+    title: title.trim(),
+    introText: introText.trim(),
+    completionText: completionText.trim(),
+    logoUrl: logoUrl.trim(),
+    accentColor,
+    signatures: signatures.filter(signature => signature.label.trim() || signature.name.trim())
+      .map(signature => ({ label: signature.label.trim(), name: signature.name.trim() })),
+  });
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!name.trim()) newErrors.name = 'اسم القالب مطلوب.';
+    if (!title.trim()) newErrors.title = 'عنوان الشهادة مطلوب.';
+    if (!completionText.trim()) newErrors.completionText = 'نص الإتمام مطلوب.';
+    if (signatures.some(signature => signature.name.trim() && !signature.label.trim())) newErrors.signatures = 'أدخل صفة كل موقّع.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handlePreview = () => {
+    printDocument(buildCertificateHtml({
+      template: getTemplateData(),
+      studentName: 'اسم الطالب',
+      courseName: 'اسم الدورة',
+      startDate: new Date(),
+      completionDate: new Date(),
+      grade: 'ممتاز',
+      issuedAt: new Date(),
+    }), addToast);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    await onSave(getTemplateData());
+    onClose();
+  };
+
+  const inputClass = (field) => `mt-1 block w-full px-4 py-2 border ${errors[field] ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-md">
+        <h3 className="text-2xl font-semibold mb-6 text-gray-800">{template ? 'تعديل قالب الشهادة' : 'إضافة قالب شهادة'}</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="certificateTemplateName" className="block text-sm font-medium text-gray-700 mb-1">اسم القالب:</label>
+              <input
+                type="text"
+                id="certificateTemplateName"
+                value={name}
+                onChange={(e) => { setName(e.target.value); setErrors(prev => ({ ...prev, name: '' })); }}
+                className={inputClass('name')}
+                placeholder="مثال: شهادة الدورات القصيرة"
+              />
+              {errors.name && <p className="text-red-500 text-xs mt-1">{errors.name}</p>}
+            </div>
+            <div>
+              <label htmlFor="certificateTemplateTitle" className="block text-sm font-medium text-gray-700 mb-1">عنوان الشهادة:</label>
+              <input
+                type="text"
+                id="certificateTemplateTitle"
+                value={title}
+                onChange={(e) => { setTitle(e.target.value); setErrors(prev => ({ ...prev, title: '' })); }}
+                className={inputClass('title')}
+              />
+              {errors.title && <p className="text-red-500 text-xs mt-1">{errors.title}</p>}
+            </div>
+          </div>
+          <div>
+            <label htmlFor="certificateTemplateIntro" className="block text-sm font-medium text-gray-700 mb-1">النص قبل اسم الطالب:</label>
+            <input
+              type="text"
+              id="certificateTemplateIntro"
+              value={introText}
+              onChange={(e) => setIntroText(e.target.value)}
+              className={inputClass('introText')}
+            />
+          </div>
+          <div>
+            <label htmlFor="certificateTemplateCompletion" className="block text-sm font-medium text-gray-700 mb-1">النص قبل اسم الدورة:</label>
+            <input
+              type="text"
+              id="certificateTemplateCompletion"
+              value={completionText}
+              onChange={(e) => { setCompletionText(e.target.value); setErrors(prev => ({ ...prev, completionText: '' })); }}
+              className={inputClass('completionText')}
+            />
+            {errors.completionText && <p className="text-red-500 text-xs mt-1">{errors.completionText}</p>}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label htmlFor="certificateTemplateLogo" className="block text-sm font-medium text-gray-700 mb-1">رابط الشعار (اختياري):</label>
+              <input
+                type="url"
+                id="certificateTemplateLogo"
+                value={logoUrl}
+                onChange={(e) => setLogoUrl(e.target.value)}
+                className={inputClass('logoUrl')}
+                placeholder="يُستخدم شعار المركز إذا تُرك فارغاً"
+                dir="ltr"
+              />
+            </div>
+            <div>
+              <label htmlFor="certificateTemplateColor" className="block text-sm font-medium text-gray-700 mb-1">اللون:</label>
+              <input
+                type="color"
+                id="certificateTemplateColor"
+                value={accentColor}
+                onChange={(e) => setAccentColor(e.target.value)}
+                className="mt-1 block w-full h-10 border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">التوقيعات:</p>
+            {signatures.map((signature, index) => (
+              <div key={index} className="grid grid-cols-2 gap-2 mb-2">
+                <input
+                  type="text"
+                  aria-label={`صفة الموقّع ${index + 1}`}
+                  value={signature.label}
+                  onChange={(e) => handleSignatureChange(index, 'label', e.target.value)}
+                  className={inputClass('signatures')}
+                  placeholder="الصفة، مثال: مدير المركز"
+                />
+                <input
+                  type="text"
+                  aria-label={`اسم الموقّع ${index + 1}`}
+                  value={signature.name}
+                  onChange={(e) => handleSignatureChange(index, 'name', e.target.value)}
+                  className={inputClass('signatures')}
+                  placeholder="الاسم (اختياري)"
+                />
+              </div>
+            ))}
+            {errors.signatures && <p className="text-red-500 text-xs mt-1">{errors.signatures}</p>}
+            {signatures.length < 3 && (
+              <button
+                type="button"
+                onClick={() => setSignatures(prev => [...prev, { label: '', name: '' }])}
+                className="text-blue-600 hover:text-blue-900 text-sm"
+              >
+                + إضافة توقيع
+              </button>
+            )}
+          </div>
+          {template && (
+            <p className="text-xs text-gray-500">التعديل يطبق على الشهادات التي تصدر بعده فقط؛ الشهادات الصادرة تحتفظ بنسخة من القالب.</p>
+          )}
+          <div className="flex justify-between mt-6">
+            <button
+              type="button"
+              onClick={handlePreview}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 rounded-md"
+            >
+              معاينة
+            </button>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+              >
+                إلغاء
+              </button>
+              <button
+                type="submit"
+                className="px-5 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+              >
+                حفظ
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// IssueCertificateModal component: Modal for issuing a certificate for a completed enrollment.
+const IssueCertificateModal = ({ enrollment, studentName, courseName, templates, onClose, onIssue }) => {
+  const toDateKey = (value) => (value ? getDateKey(value) : getLocalDateKey(new Date()));
+  const [templateId, setTemplateId] = useState(templates.length === 1 ? templates[0].id : '');
+  const [completionDate, setCompletionDate] = useState(toDateKey(enrollment.endDate));
+  const [grade, setGrade] = useState('');
+  const [errors, setErrors] = useState({});
+  const { addToast } = useNotification();
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!templateId) newErrors.templateId = 'اختر قالب الشهادة.';
+    if (!completionDate) newErrors.completionDate = 'تاريخ الإتمام مطلوب.';
+    else if (enrollment.startDate && completionDate < getDateKey(enrollment.startDate)) newErrors.completionDate = 'تاريخ الإتمام قبل تاريخ بدء التسجيل.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    const issued = await onIssue({ templateId, grade: grade.trim(), completionDate: new Date(completionDate) });
+    if (issued) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md rounded-md">
+        <h3 className="text-2xl font-semibold mb-2 text-gray-800">إصدار شهادة</h3>
+        <p className="text-sm text-gray-600 mb-6">{studentName} - {courseName}</p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="issueCertificateTemplate" className="block text-sm font-medium text-gray-700 mb-1">القالب:</label>
+            <select
+              id="issueCertificateTemplate"
+              value={templateId}
+              onChange={(e) => { setTemplateId(e.target.value); setErrors(prev => ({ ...prev, templateId: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.templateId ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            >
+              <option value="">اختر قالباً...</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+            {errors.templateId && <p className="text-red-500 text-xs mt-1">{errors.templateId}</p>}
+          </div>
+          <div>
+            <label htmlFor="issueCertificateDate" className="block text-sm font-medium text-gray-700 mb-1">تاريخ الإتمام:</label>
+            <input
+              type="date"
+              id="issueCertificateDate"
+              value={completionDate}
+              onChange={(e) => { setCompletionDate(e.target.value); setErrors(prev => ({ ...prev, completionDate: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.completionDate ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.completionDate && <p className="text-red-500 text-xs mt-1">{errors.completionDate}</p>}
+          </div>
+          <div>
+            <label htmlFor="issueCertificateGrade" className="block text-sm font-medium text-gray-700 mb-1">التقدير (اختياري):</label>
+            <input
+              type="text"
+              id="issueCertificateGrade"
+              value={grade}
+              onChange={(e) => setGrade(e.target.value)}
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              placeholder="مثال: ممتاز"
+            />
+          </div>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إلغاء
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+            >
+              إصدار
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
 
-    try {
-      // Use Promise.all to add/update all attendance records concurrently
-      await Promise.all(attendanceRecordsToSave.map(record => addAttendance(record)));
-      addToast("تم حفظ سجل الحضور بنجاح!", "success");
-    } catch (error) {
-      console.error("Error saving attendance:", error);
-      addToast("حدث خطأ أثناء حفظ سجل الحضور.", "error");
-    }
+// CertificatesPage component: Issued certificates, completed enrollments awaiting one, and certificate templates.
+const CertificatesPage = ({ certificates, certificateTemplates, enrollments, students, courses, issueCertificate, addCertificateTemplate, updateCertificateTemplate, revokeCertificate, showConfirmModal, view, recordId, navigate }) => {
+  const { can } = usePermissions();
+  const { addToast } = useNotification();
+  const [issueEnrollment, setIssueEnrollment] = useState(null);
+  const [showAddTemplateModal, setShowAddTemplateModal] = useState(false);
+  const [currentTemplate, setCurrentTemplate] = useState(null);
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
   };
 
-  const getInstructorName = (id) => {
-    const instructor = instructors.find(inst => inst.id === id);
-    return instructor ? instructor.name : 'غير معروف';
+  const getStudentName = (studentId) => {
+    const student = students.find(s => s.id === studentId);
+    return student ? student.name : 'طالب محذوف';
   };
 
-  const getClassInstructors = (classId) => {
-    const cls = classes.find(c => c.id === classId);
-    if (!cls || !cls.instructors) return [];
-    return instructors.filter(inst => cls.instructors.includes(inst.id));
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'دورة محذوفة';
   };
 
+  const sortedCertificates = [...certificates].sort((a, b) => (b.certificateNumber || 0) - (a.certificateNumber || 0));
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleCertificates = recordId ? sortedCertificates.filter(cert => cert.id === recordId) : sortedCertificates;
+  const pendingEnrollments = enrollments.filter(en => en.status === 'completed'
+    && !certificates.some(cert => cert.enrollmentId === en.id && cert.status !== 'revoked'));
+  const activeTemplates = certificateTemplates.filter(template => !template.archived);
+
+  const handleIssue = async (issueData) => {
+    const certificateId = await issueCertificate(issueEnrollment.id, issueData);
+    if (certificateId) navigate('certificates', certificateId);
+    return Boolean(certificateId);
+  };
 
-  return (
-    <div className="space-y-6">
-      <h2 className="text-2xl font-semibold text-gray-700">إدارة الحضور والغياب</h2>
+  const handleRevokeClick = (certificate) => {
+    showConfirmModal(`هل أنت متأكد أنك تريد إلغاء الشهادة رقم ${formatCertificateNumber(certificate.certificateNumber)}؟ يمكن بعدها إصدار شهادة جديدة للتسجيل.`, () => revokeCertificate(certificate.id));
+  };
 
-      <div className="bg-white p-6 rounded-lg shadow-md flex flex-wrap gap-4 items-end rounded-md">
-        <div className="flex-1 min-w-[200px]">
-          <label htmlFor="classSelect" className="block text-sm font-medium text-gray-700 mb-1">
-            اختر الفصل:
-          </label>
-          <select
-            id="classSelect"
-            value={selectedClassId}
-            onChange={(e) => {
-              setSelectedClassId(e.target.value);
-              setSelectedInstructorId('');
-            }}
-            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-          >
-            <option value="">اختر فصل...</option>
-            {classes.map(cls => (
-              <option key={cls.id} value={cls.id}>{cls.name}</option>
-            ))}
-          </select>
-        </div>
+  const tabClass = (isActive) => `px-4 py-2 text-sm font-medium ${isActive ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`;
 
-        <div className="flex-1 min-w-[200px]">
-          <label htmlFor="instructorSelect" className="block text-sm font-medium text-gray-700 mb-1">
-            اختر المدرب:
-          </label>
-          <select
-            id="instructorSelect"
-            value={selectedInstructorId}
-            onChange={(e) => setSelectedInstructorId(e.target.value)}
-            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-            disabled={!selectedClassId || getClassInstructors(selectedClassId).length === 0}
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-700">إدارة الشهادات</h2>
+        {view === 'templates' && can('certificates', 'templates') && (
+          <button
+            onClick={() => setShowAddTemplateModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
           >
-            <option value="">اختر مدرباً...</option>
-            {selectedClassId && getClassInstructors(selectedClassId).map(inst => (
-              <option key={inst.id} value={inst.id}>{inst.name}</option>
-            ))}
-          </select>
-          {selectedClassId && getClassInstructors(selectedClassId).length === 0 && (
-            <p className="text-red-500 text-xs mt-1">لا يوجد مدربون منسوبون لهذا الفصل.</p>
-          )}
-        </div>
+            + إضافة قالب
+          </button>
+        )}
+      </div>
 
-        <div className="flex-1 min-w-[200px]">
-          <label htmlFor="attendanceDate" className="block text-sm font-medium text-gray-700 mb-1">
-            التاريخ:
-          </label>
-          <input
-            type="date"
-            id="attendanceDate"
-            value={selectedDate}
-            onChange={(e) => setSelectedDate(e.target.value)}
-            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-          />
-        </div>
+      <div className="flex border-b border-gray-200">
+        <button onClick={() => navigate('certificates')} className={tabClass(view !== 'pending' && view !== 'templates')}>
+          الشهادات الصادرة
+        </button>
+        <button onClick={() => navigate('certificates', null, { view: 'pending' })} className={tabClass(view === 'pending')}>
+          بانتظار الإصدار ({pendingEnrollments.length})
+        </button>
+        <button onClick={() => navigate('certificates', null, { view: 'templates' })} className={tabClass(view === 'templates')}>
+          القوالب
+        </button>
       </div>
 
-      {selectedClassId && selectedInstructorId && classStudents.length > 0 &&
-        <div className="bg-white rounded-lg shadow-md overflow-hidden mt-6 rounded-md">
+      {view === 'pending' ? (
+        <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+          {activeTemplates.length === 0 && (
+            <p className="p-3 bg-yellow-50 text-yellow-800 text-sm">أضف قالب شهادة من تبويب القوالب قبل إصدار الشهادات.</p>
+          )}
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  اسم الطالب
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  الحالة
-                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ البدء</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ الإتمام</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {classStudents.map(student => (
-                <tr key={student.id}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {student.name}
+              {pendingEnrollments.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                    لا توجد تسجيلات مكتملة بانتظار شهادة.
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <div className="flex items-center space-x-4">
-                      <label className="inline-flex items-center">
-                        <input
-                          type="radio"
-                          name={`attendance-${student.id}`}
-                          value="present"
-                          checked={attendanceStatuses[student.id] === 'present'}
-                          onChange={() => handleAttendanceChange(student.id, 'present')}
-                          className="form-radio text-green-600 h-4 w-4 rounded-md"
-                        />
-                        <span className="ml-2 text-green-700">حاضر</span>
-                      </label>
-                      <label className="inline-flex items-center">
-                        <input
-                          type="radio"
-                          name={`attendance-${student.id}`}
-                          value="absent"
-                          checked={attendanceStatuses[student.id] === 'absent'}
-                          onChange={() => handleAttendanceChange(student.id, 'absent')}
-                          className="form-radio text-red-600 h-4 w-4 rounded-md"
-                        />
-                        <span className="ml-2 text-red-700">غائب</span>
-                      </label>
-                      <label className="inline-flex items-center">
-                        <input
-                          type="radio"
-                          name={`attendance-${student.id}`}
-                          value="late"
-                          checked={attendanceStatuses[student.id] === 'late'}
-                          onChange={() => handleAttendanceChange(student.id, 'late')}
-                          className="form-radio text-yellow-600 h-4 w-4 rounded-md"
-                        />
-                        <span className="ml-2 text-yellow-700">متأخر</span>
-                      </label>
-                      <label className="inline-flex items-center">
-                        <input
-                          type="radio"
-                          name={`attendance-${student.id}`}
-                          value="excused"
-                          checked={attendanceStatuses[student.id] === 'excused'}
-                          onChange={() => handleAttendanceChange(student.id, 'excused')}
-                          className="form-radio text-gray-600 h-4 w-4 rounded-md"
-                        />
-                        <span className="ml-2 text-gray-700">بعذر</span>
-                      </label>
-                    </div>
+                </tr>
+              ) : (
+                pendingEnrollments.map(en => (
+                  <tr key={en.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      <a href={buildRoute('students', en.studentId)} className="text-blue-600 hover:underline">{getStudentName(en.studentId)}</a>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getCourseName(en.courseId)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(en.startDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(en.endDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {can('certificates', 'create') && activeTemplates.length > 0 && (
+                        <button onClick={() => setIssueEnrollment(en)} className="text-blue-600 hover:text-blue-900">
+                          إصدار شهادة
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : view === 'templates' ? (
+        <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الاسم</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">العنوان</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الشهادات</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {certificateTemplates.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                    لا توجد قوالب شهادات بعد.
                   </td>
                 </tr>
-              ))}
+              ) : (
+                certificateTemplates.map(template => (
+                  <tr key={template.id} className={template.archived ? 'bg-gray-50' : ''}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{template.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{template.title}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {certificates.filter(cert => cert.templateId === template.id).length}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${template.archived ? 'bg-gray-200 text-gray-800' : 'bg-green-100 text-green-800'}`}>
+                        {template.archived ? 'مؤرشف' : 'نشط'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {can('certificates', 'templates') && (
+                        <>
+                          <button onClick={() => setCurrentTemplate(template)} className="text-blue-600 hover:text-blue-900 ml-4">
+                            تعديل
+                          </button>
+                          <button
+                            onClick={() => updateCertificateTemplate(template.id, { archived: !template.archived })}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            {template.archived ? 'استعادة' : 'أرشفة'}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
             </tbody>
           </table>
-          <div className="p-4 bg-gray-50 flex justify-end">
-            <button
-              onClick={handleSubmitAttendance}
-              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-            >
-              حفظ الحضور
-            </button>
-          </div>
         </div>
-      }
+      ) : (
+        <>
+          {recordId && <RecordFilterNotice found={visibleCertificates.length > 0} onShowAll={() => navigate('certificates')} />}
+          <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الرقم</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطالب</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ الإتمام</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التقدير</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleCertificates.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                      لم تصدر أي شهادات بعد.
+                    </td>
+                  </tr>
+                ) : (
+                  visibleCertificates.map(cert => (
+                    <tr key={cert.id} className={cert.status === 'revoked' ? 'bg-gray-50' : ''}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{formatCertificateNumber(cert.certificateNumber)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <a href={buildRoute('students', cert.studentId)} className="text-blue-600 hover:underline">{cert.studentName}</a>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cert.courseName}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(cert.completionDate)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cert.grade || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${CERTIFICATE_STATUSES[cert.status].badge}`}>
+                          {CERTIFICATE_STATUSES[cert.status].label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {cert.status === 'issued' && (
+                          <>
+                            <button
+                              onClick={() => printDocument(buildCertificateHtml(cert), addToast)}
+                              className="text-blue-600 hover:text-blue-900 ml-4"
+                            >
+                              طباعة / PDF
+                            </button>
+                            {can('certificates', 'revoke') && (
+                              <button onClick={() => handleRevokeClick(cert)} className="text-red-600 hover:text-red-900">
+                                إلغاء
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
 
-      {selectedClassId && selectedInstructorId && classStudents.length === 0 &&
-        <div className="text-center text-gray-500 p-6 bg-white rounded-lg shadow-md rounded-md">
-          <p>لا يوجد طلاب منسوبون لهذا الفصل.</p>
-        </div>
-      }
+      {issueEnrollment && (
+        <IssueCertificateModal
+          enrollment={issueEnrollment}
+          studentName={getStudentName(issueEnrollment.studentId)}
+          courseName={getCourseName(issueEnrollment.courseId)}
+          templates={activeTemplates}
+          onClose={() => setIssueEnrollment(null)}
+          onIssue={handleIssue}
+        />
+      )}
 
-      {!selectedClassId || !selectedInstructorId ? (
-        <div className="text-center text-gray-500 p-6 bg-white rounded-lg shadow-md rounded-md">
-          <p>الرجاء اختيار **الفصل** و**المدرب** لعرض قائمة الطلاب وتسجيل الحضور.</p>
-        </div>
-      ) : null}
+      {showAddTemplateModal && (
+        <CertificateTemplateModal onClose={() => setShowAddTemplateModal(false)} onSave={addCertificateTemplate} />
+      )}
 
+      {currentTemplate && (
+        <CertificateTemplateModal
+          template={currentTemplate}
+          onClose={() => setCurrentTemplate(null)}
+          onSave={(updatedData) => updateCertificateTemplate(currentTemplate.id, updatedData)}
+        />
+      )}
     </div>
   );
 };
 
-
-// CertificatesPage component: Placeholder for certificates management.
-const CertificatesPage = () => (
-  <div className="text-center text-gray-600 text-2xl p-10">
-    <h2 className="text-3xl font-semibold text-gray-700 mb-4">إدارة الشهادات</h2>
-    <p>هذه الصفحة مخصصة لإنشاء وإدارة الشهادات للطلاب. (قريباً...)</p>
-    <div className="mt-8">
-      <img
-        src="https://placehold.co/400x200/E0F2F7/0288D1?text=Certificates+Coming+Soon"
-        alt="[Image of Certificates Coming Soon]"
-        className="mx-auto rounded-lg shadow-md rounded-md"
-      />
-    </div>
-  </div>
-);
-
 // PlaceholderPage component: A generic component for pages that are not yet implemented.
 const PlaceholderPage = ({ title }) => (
   <div className="text-center text-gray-600 text-2xl p-10">
@@ -2683,13 +7909,49 @@ const PlaceholderPage = ({ title }) => (
   </div>
 );
 
+// ForbiddenPage component: Shown instead of a section the user's role is not allowed to view (403).
+const ForbiddenPage = () => (
+  <div className="text-center text-gray-600 p-10">
+    <p className="text-6xl font-bold text-red-500 mb-4">403</p>
+    <h2 className="text-3xl font-semibold text-gray-700 mb-4">غير مصرح بالدخول</h2>
+    <p className="text-xl">ليس لديك صلاحية لعرض هذه الصفحة. الرجاء التواصل مع مدير النظام إذا كنت تحتاج إليها.</p>
+  </div>
+);
+
 // ==================================================================================================
 // --- MAIN APP CONTENT COMPONENT ---
 // This component now contains all the logic that depends on Firebase and Notification Context.
 // ==================================================================================================
-const AppContent = ({ db, auth, userId, isAuthReady }) => {
-  const [activeSection, setActiveSection] = useState('dashboard');
-  const [userRole, setUserRole] = useState('admin'); // Moved here from App
+const AppContent = ({ storage, authAdapter, currentUser, onSignOut, isAuthReady }) => {
+  const userRole = currentUser.role;
+  const { route, navigate } = useHashRoute();
+  // Unknown or empty routes land on the first section the user's role can open
+  const firstItem = SIDEBAR_ITEMS.find(item => hasPermission(userRole, item.section, 'view'));
+  const defaultSection = firstItem ? firstItem.section : 'dashboard';
+  const isKnownSection = SIDEBAR_ITEMS.some(item => item.section === route.section);
+  const activeSection = isKnownSection ? route.section : defaultSection;
+
+  useEffect(() => {
+    if (!isKnownSection) navigate(defaultSection, null, {}, { replace: true });
+  }, [isKnownSection, defaultSection, navigate]);
+
+  // Opening the kiosk locks this browser into it, across reloads and whatever the address says, until the
+  // staff member who opened it enters their password, so students at the kiosk cannot reach the dashboard
+  const [isKioskLocked, setIsKioskLocked] = useState(() => localStorage.getItem(KIOSK_LOCK_KEY) === currentUser.uid);
+  useEffect(() => {
+    if (activeSection === 'kiosk' && hasPermission(userRole, 'kiosk', 'view') && !isKioskLocked) {
+      localStorage.setItem(KIOSK_LOCK_KEY, currentUser.uid);
+      setIsKioskLocked(true);
+    }
+  }, [activeSection, userRole, isKioskLocked, currentUser.uid]);
+
+  const exitKiosk = async (password) => {
+    await authAdapter.verifyPassword(password);
+    localStorage.removeItem(KIOSK_LOCK_KEY);
+    // Replacing the route in the same update keeps the kiosk route from locking the browser again
+    navigate('attendance', null, {}, { replace: true });
+    setIsKioskLocked(false);
+  };
   const [showConfirm, setShowConfirm] = useState(false);
   const [confirmMessage, setConfirmMessage] = useState('');
   const [confirmAction, setConfirmAction] = useState(null);
@@ -2697,14 +7959,38 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
   // Use useNotification hook after NotificationContext is provided
   const { addToast } = useNotification();
 
+  // Permission checks for the signed-in user, shared with every page through PermissionContext
+  const permissions = { can: (section, action) => hasPermission(userRole, section, action) };
+
+  // Wraps a CRUD operation so it refuses to run when the user's role lacks the permission
+  const withPermission = (section, action, operation) => async (...args) => {
+    if (!permissions.can(section, action)) {
+      addToast("ليس لديك صلاحية لتنفيذ هذا الإجراء.", "error");
+      return;
+    }
+    return operation(...args);
+  };
+
   // Use custom hook for each collection
-  const { data: students, loading: studentsLoading, error: studentsError, addDocument: addStudentDoc, updateDocument: updateStudentDoc, deleteDocument: deleteStudentDoc } = useFirestore(db, isAuthReady, 'students', addToast);
-  const { data: classes, loading: classesLoading, error: classesError, addDocument: addClassDoc, updateDocument: updateClassDoc, deleteDocument: deleteClassDoc } = useFirestore(db, isAuthReady, 'classes', addToast);
-  const { data: expenses, loading: expensesLoading, error: expensesError, addDocument: addExpenseDoc, updateDocument: updateExpenseDoc, deleteDocument: deleteExpenseDoc } = useFirestore(db, isAuthReady, 'expenses', addToast);
-  const { data: courses, loading: coursesLoading, error: coursesError, addDocument: addCourseDoc, updateDocument: updateCourseDoc, deleteDocument: deleteCourseDoc } = useFirestore(db, isAuthReady, 'courses', addToast);
-  const { data: instructors, loading: instructorsLoading, error: instructorsError, addDocument: addInstructorDoc, updateDocument: updateInstructorDoc, deleteDocument: deleteInstructorDoc } = useFirestore(db, isAuthReady, 'instructors', addToast);
-  const { data: payments, loading: paymentsLoading, error: paymentsError, addDocument: addPaymentDoc, updateDocument: updatePaymentDoc, deleteDocument: deletePaymentDoc } = useFirestore(db, isAuthReady, 'payments', addToast);
-  const { data: attendances, loading: attendancesLoading, error: attendancesError, addDocument: addAttendanceDoc } = useFirestore(db, isAuthReady, 'attendance', addToast);
+  const { data: students, loading: studentsLoading, error: studentsError } = useCollection(storage, isAuthReady, 'students', addToast);
+  const { data: classes, loading: classesLoading, error: classesError, updateDocument: updateClassDoc } = useCollection(storage, isAuthReady, 'classes', addToast);
+  const { data: expenses, loading: expensesLoading, error: expensesError, addDocument: addExpenseDoc, updateDocument: updateExpenseDoc, deleteDocument: deleteExpenseDoc } = useCollection(storage, isAuthReady, 'expenses', addToast);
+  const { data: courses, loading: coursesLoading, error: coursesError, addDocument: addCourseDoc, updateDocument: updateCourseDoc, deleteDocument: deleteCourseDoc } = useCollection(storage, isAuthReady, 'courses', addToast);
+  const { data: instructors, loading: instructorsLoading, error: instructorsError, addDocument: addInstructorDoc, updateDocument: updateInstructorDoc, deleteDocument: deleteInstructorDoc } = useCollection(storage, isAuthReady, 'instructors', addToast);
+  const { data: payments, loading: paymentsLoading, error: paymentsError, updateDocument: updatePaymentDoc, deleteDocument: deletePaymentDoc } = useCollection(storage, isAuthReady, 'payments', addToast);
+  const { data: attendances, loading: attendancesLoading, error: attendancesError, addDocument: addAttendanceDoc } = useCollection(storage, isAuthReady, 'attendance', addToast);
+  const { data: enrollments, loading: enrollmentsLoading, updateDocument: updateEnrollmentDoc } = useCollection(storage, isAuthReady, 'enrollments', addToast);
+  const { data: exchangeRates } = useCollection(storage, isAuthReady, 'exchangeRates', addToast);
+  const { data: classSessions, updateDocument: updateClassSessionDoc } = useCollection(storage, isAuthReady, 'classSessions', addToast);
+  const { data: discountPolicies, loading: discountPoliciesLoading, addDocument: addDiscountPolicyDoc, updateDocument: updateDiscountPolicyDoc } = useCollection(storage, isAuthReady, 'discountPolicies', addToast);
+  const { data: payrollRuns, updateDocument: updatePayrollRunDoc } = useCollection(storage, isAuthReady && hasPermission(userRole, 'payroll', 'view'), 'payrollRuns', addToast);
+  const { data: contactLogs, addDocument: addContactLogDoc } = useCollection(storage, isAuthReady && hasPermission(userRole, 'reports', 'view'), 'contactLogs', addToast);
+  const { data: attendanceRules, addDocument: addAttendanceRuleDoc, updateDocument: updateAttendanceRuleDoc, deleteDocument: deleteAttendanceRuleDoc } = useCollection(storage, isAuthReady, 'attendanceRules', addToast);
+  const { data: attendanceFollowUps, addDocument: addAttendanceFollowUpDoc } = useCollection(storage, isAuthReady && hasPermission(userRole, 'alerts', 'view'), 'attendanceFollowUps', addToast);
+  const { data: certificateTemplates, addDocument: addCertificateTemplateDoc, updateDocument: updateCertificateTemplateDoc } = useCollection(storage, isAuthReady && hasPermission(userRole, 'certificates', 'view'), 'certificateTemplates', addToast);
+  const { data: certificates } = useCollection(storage, isAuthReady && hasPermission(userRole, 'certificates', 'view'), 'certificates', addToast);
+  // Only roles allowed to manage user accounts read the users collection
+  const { data: users, updateDocument: updateUserDoc } = useCollection(storage, isAuthReady && hasPermission(userRole, 'users', 'view'), 'users', addToast);
 
 
   // Function to show the custom confirmation modal
@@ -2732,167 +8018,795 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
   };
 
   // Combined loading state for all data
-  const overallLoading = studentsLoading || classesLoading || expensesLoading || coursesLoading || instructorsLoading || paymentsLoading || attendancesLoading;
+  const overallLoading = studentsLoading || classesLoading || expensesLoading || coursesLoading || instructorsLoading || paymentsLoading || attendancesLoading || enrollmentsLoading || discountPoliciesLoading;
 
 
-  // Firestore operations for Students (using the custom hook)
-  const addStudent = async (newStudent) => {
-    const studentId = await addStudentDoc(newStudent);
-    if (studentId && newStudent.classId) {
-      const currentClass = classes.find(cls => cls.id === newStudent.classId);
-      if (currentClass) {
-        const updatedStudentsInClass = [...(currentClass.students || []), studentId];
-        await updateClassDoc(newStudent.classId, { students: updatedStudentsInClass });
-      }
-    }
+  // Rate to snapshot on a new enrollment or payment; warns and returns undefined when none is set
+  const requireExchangeRate = (currency) => {
+    const rate = getExchangeRate(exchangeRates, currency);
+    if (!rate) addToast(`لا يوجد سعر صرف مسجل لعملة ${CURRENCIES[currency] ? CURRENCIES[currency].label : currency}. أضفه من صفحة المدفوعات أولاً.`, "error");
+    return rate;
   };
 
-  const updateStudent = async (studentId, updatedData) => {
-    const oldStudent = students.find(s => s.id === studentId);
-    const oldClassId = oldStudent ? oldStudent.classId : null;
-    const newClassId = updatedData.classId;
-
-    await updateStudentDoc(studentId, updatedData);
+  // Adds createdAt/updatedAt to the writes of a batch, as useCollection does for single writes
+  const stampOperations = (operations) => {
+    const now = Timestamp.now();
+    return operations.map(op => {
+      if (op.type === 'set') return { ...op, data: { createdAt: now, ...op.data, updatedAt: now } };
+      if (op.type === 'update') return { ...op, data: { ...op.data, updatedAt: now } };
+      return op;
+    });
+  };
 
-    if (oldClassId !== newClassId) {
-      // Remove from old class
-      if (oldClassId) {
-        const oldClass = classes.find(cls => cls.id === oldClassId);
-        if (oldClass) {
-          const updatedStudentsInOldClass = (oldClass.students || []).filter(id => id !== studentId);
-          await updateClassDoc(oldClassId, { students: updatedStudentsInOldClass });
-        }
-      }
-      // Add to new class
-      if (newClassId) {
-        const newClass = classes.find(cls => cls.id === newClassId);
-        if (newClass) {
-          const updatedStudentsInNewClass = [...(newClass.students || []), studentId];
-          await updateClassDoc(newClassId, { students: updatedStudentsInNewClass });
-        }
-      }
+  // Commits several writes as one storage batch: either all of them are stored or none is.
+  // Used wherever one user action touches more than one document. The success toast is skipped when no message is given.
+  const commitBatch = async (operations, successMessage) => {
+    try {
+      await storage.batch(stampOperations(operations));
+      if (successMessage) addToast(successMessage, "success");
+      return true;
+    } catch (e) {
+      console.error("Error committing batch: ", e);
+      addToast(`خطأ في حفظ التغييرات: ${e.message}`, "error");
+      return false;
     }
   };
 
-  const deleteStudent = async (studentId) => {
-    const studentToDelete = students.find(s => s.id === studentId);
-    const classIdOfStudent = studentToDelete ? studentToDelete.classId : null;
+  // A Firestore batch takes at most MAX_BATCH_OPERATIONS writes, so larger changes are committed in chunks, in
+  // order. Each chunk is atomic on its own: callers put their writes in an order that lets repeating the action
+  // after a failed chunk finish it. Returns whether every chunk was stored.
+  const commitInChunks = async (operations, successMessage) => {
+    for (let start = 0; start < operations.length; start += MAX_BATCH_OPERATIONS) {
+      const isLast = start + MAX_BATCH_OPERATIONS >= operations.length;
+      const saved = await commitBatch(operations.slice(start, start + MAX_BATCH_OPERATIONS), isLast ? successMessage : null);
+      if (!saved) return false;
+    }
+    return true;
+  };
 
-    await deleteStudentDoc(studentId);
+  // Firestore operations for Students (using the custom hook)
+  const addStudent = withPermission('students', 'create', async ({ courseId, enrollmentClassId, ...newStudent }) => {
+    const studentId = generateDocumentId();
+    const student = { ...newStudent, classIds: newStudent.classIds || [], checkInCode: generateCheckInCode(students) };
+    const operations = [
+      { type: 'set', collection: 'students', id: studentId, data: student },
+      ...planClassMembership([{ id: studentId, ...student }], classes, { [studentId]: student.classIds }),
+    ];
+    // The course picked on the form becomes the student's first enrollment at the course price;
+    // the student's discount policies apply to it automatically
+    const course = courses.find(c => c.id === courseId);
+    if (course) {
+      const exchangeRate = requireExchangeRate(getCurrency(course));
+      if (!exchangeRate) return;
+      operations.push({
+        type: 'set',
+        collection: 'enrollments',
+        id: generateDocumentId(),
+        data: {
+          studentId,
+          courseId,
+          classId: enrollmentClassId || null,
+          startDate: Timestamp.now(),
+          agreedPrice: course.price,
+          currency: getCurrency(course),
+          exchangeRate,
+          discountPolicyIds: [],
+          status: 'active',
+        },
+      });
+    }
+    await commitBatch(operations, "تمت الإضافة بنجاح!");
+  });
 
-    if (classIdOfStudent) {
-      const currentClass = classes.find(cls => cls.id === classIdOfStudent);
-      if (currentClass) {
-        const updatedStudentsInClass = (currentClass.students || []).filter(id => id !== studentId);
-        await updateClassDoc(classIdOfStudent, { students: updatedStudentsInClass });
+  const updateStudent = withPermission('students', 'edit', async (studentId, { classIds, ...updatedData }) => {
+    const operations = [{ type: 'update', collection: 'students', id: studentId, data: updatedData }];
+    if (classIds !== undefined) {
+      operations.push(...planClassMembership(students, classes, { [studentId]: classIds }));
+    }
+    await commitBatch(operations, "تم التحديث بنجاح!");
+  });
+
+  // The student's class memberships and enrollments go with them; payments are kept as financial history
+  const deleteStudent = withPermission('students', 'delete', async (studentId) => {
+    const enrollmentOperations = enrollments
+      .filter(enrollment => enrollment.studentId === studentId)
+      .map(enrollment => ({ type: 'remove', collection: 'enrollments', id: enrollment.id }));
+    await commitBatch([
+      ...planClassMembership(students, classes, { [studentId]: [] }),
+      ...enrollmentOperations,
+      { type: 'remove', collection: 'students', id: studentId },
+    ], "تم الحذف بنجاح!");
+  });
+
+  // Firestore operations for Enrollments (using the custom hook)
+  // The enrollment is priced in its course's currency, at the exchange rate of the day
+  const addEnrollment = withPermission('enrollments', 'create', async (newEnrollment) => {
+    const currency = getCurrency(courses.find(c => c.id === newEnrollment.courseId));
+    const exchangeRate = requireExchangeRate(currency);
+    if (!exchangeRate) return null;
+    const enrollmentId = generateDocumentId();
+    const operations = [{
+      type: 'set',
+      collection: 'enrollments',
+      id: enrollmentId,
+      data: { ...newEnrollment, currency, exchangeRate, startDate: Timestamp.fromDate(newEnrollment.startDate), status: 'active' },
+    }];
+    const student = students.find(s => s.id === newEnrollment.studentId);
+    if (newEnrollment.classId && student && !getStudentClassIds(student).includes(newEnrollment.classId)) {
+      operations.push(...planClassMembership(students, classes, { [student.id]: [...getStudentClassIds(student), newEnrollment.classId] }));
+    }
+    const saved = await commitBatch(operations, "تمت الإضافة بنجاح!");
+    return saved ? enrollmentId : null;
+  });
+
+  const updateEnrollmentStatus = withPermission('enrollments', 'edit', async (enrollmentId, status) => {
+    const enrollment = enrollments.find(en => en.id === enrollmentId);
+    if (!enrollment) return;
+    const operations = [{
+      type: 'update',
+      collection: 'enrollments',
+      id: enrollmentId,
+      data: { status, endDate: status === 'active' ? null : Timestamp.now() },
+    }];
+
+    // A withdrawn student leaves the class unless another active enrollment still places them there
+    if (status === 'withdrawn' && enrollment.classId) {
+      const stillEnrolled = enrollments.some(en => en.id !== enrollmentId && en.studentId === enrollment.studentId && en.classId === enrollment.classId && en.status === 'active');
+      const student = students.find(s => s.id === enrollment.studentId);
+      if (!stillEnrolled && student) {
+        operations.push(...planClassMembership(students, classes, { [student.id]: getStudentClassIds(student).filter(id => id !== enrollment.classId) }));
       }
     }
-  };
+    await commitBatch(operations, "تم التحديث بنجاح!");
+  });
+
+  // Installment plans are stored on the enrollment; what is settled is derived from payments
+  const updateInstallmentPlan = withPermission('enrollments', 'plan', async (enrollmentId, installments) => {
+    await updateEnrollmentDoc(enrollmentId, {
+      installments: installments.map(({ dueDate, amount }) => ({ dueDate: Timestamp.fromDate(dueDate), amount })),
+    });
+  });
+
+  // Exchange rates are stored one document per currency; enrollments and payments copy the rate when created
+  const setExchangeRate = withPermission('payments', 'rates', async (currency, rate) => {
+    try {
+      await storage.set('exchangeRates', currency, { rate, updatedAt: Timestamp.now(), updatedBy: currentUser.name || currentUser.email });
+      addToast("تم تحديث سعر الصرف.", "success");
+    } catch (e) {
+      console.error("Error saving exchange rate: ", e);
+      addToast(`خطأ في حفظ سعر الصرف: ${e.message}`, "error");
+    }
+  });
+
+  const updateEnrollmentDiscounts = withPermission('enrollments', 'edit', async (enrollmentId, discountPolicyIds) => {
+    await updateEnrollmentDoc(enrollmentId, { discountPolicyIds });
+  });
+
+  // Firestore operations for Discount Policies (using the custom hook). Policies are archived rather
+  // than deleted, so dues that already depend on them never change silently.
+  const addDiscountPolicy = withPermission('discounts', 'create', async (newPolicy) => {
+    await addDiscountPolicyDoc({ ...newPolicy, archived: false });
+  });
+
+  const updateDiscountPolicy = withPermission('discounts', 'edit', async (policyId, updatedData) => {
+    const policy = discountPolicies.find(p => p.id === policyId);
+    const changesAmount = policy && ['kind', 'method', 'value'].some(field => field in updatedData && updatedData[field] !== policy[field]);
+    if (changesAmount && isDiscountPolicyInUse(policyId, students, enrollments)) {
+      addToast("هذا الخصم مطبق على طلاب أو تسجيلات ولا يمكن تغيير قيمته. أرشفه وأنشئ سياسة خصم جديدة.", "error");
+      return;
+    }
+    await updateDiscountPolicyDoc(policyId, updatedData);
+  });
 
   // Firestore operations for Classes (using the custom hook)
-  const addClass = async (newClass) => {
-    await addClassDoc({ ...newClass, students: [], instructors: [] });
+  // A class is saved first and its planned sessions after it, in chunks, as a term of sessions can exceed one
+  // batch; saving the class again fills in upcoming sessions a failed chunk left out. Instructors given a
+  // timetable slot are assigned to the class as well, so they can take its attendance.
+  const getScheduleInstructorIds = (schedule) => schedule.map(slot => slot.instructorId).filter(Boolean);
+
+  // A class's first timetable generates its whole term; later changes only touch upcoming sessions
+  const planSessionsForClass = (cls) => {
+    const hasSessions = classSessions.some(session => session.classId === cls.id);
+    return planClassSessions(cls, classSessions, attendances, hasSessions ? new Date().toISOString().split('T')[0] : '');
   };
 
-  const updateClass = async (classId, updatedData) => {
-    await updateClassDoc(classId, updatedData);
-  };
+  const addClass = withPermission('classes', 'create', async (newClass) => {
+    const cls = { ...newClass, id: generateDocumentId(), students: [], instructors: [...new Set(getScheduleInstructorIds(newClass.schedule || []))] };
+    const { id: classId, ...classData } = cls;
+    await commitInChunks([
+      { type: 'set', collection: 'classes', id: classId, data: classData },
+      ...planSessionsForClass(cls),
+    ], "تمت الإضافة بنجاح!");
+  });
+
+  const updateClass = withPermission('classes', 'edit', async (classId, updatedData) => {
+    if (!updatedData.schedule) {
+      await updateClassDoc(classId, updatedData);
+      return;
+    }
+    const existing = classes.find(cls => cls.id === classId);
+    const data = {
+      ...updatedData,
+      instructors: [...new Set([...(existing.instructors || []), ...getScheduleInstructorIds(updatedData.schedule)])],
+    };
+    await commitInChunks([
+      { type: 'update', collection: 'classes', id: classId, data },
+      ...planSessionsForClass({ ...existing, ...data }),
+    ], "تم التحديث بنجاح!");
+  });
+
+  // Cancels a planned session (e.g. a holiday) or restores it
+  const setClassSessionStatus = withPermission('classes', 'edit', async (sessionId, status) => {
+    await updateClassSessionDoc(sessionId, { status });
+  });
+
+  // Replaces the students of a class; the students' other classes are left as they are
+  const setClassStudents = withPermission('classes', 'edit', async (classId, studentIds) => {
+    const assignments = {};
+    students.forEach(student => {
+      const studentClassIds = getStudentClassIds(student).filter(id => id !== classId);
+      const isSelected = studentIds.includes(student.id);
+      if (isSelected !== getStudentClassIds(student).includes(classId)) {
+        assignments[student.id] = isSelected ? [...studentClassIds, classId] : studentClassIds;
+      }
+    });
+    await commitBatch(planClassMembership(students, classes, assignments), "تم التحديث بنجاح!");
+  });
 
-  const deleteClass = async (classId) => {
+  const deleteClass = withPermission('classes', 'delete', async (classId) => {
     // Before deleting a class, remove it from any students assigned to it
-    const studentsInClass = students.filter(s => s.classId === classId);
-    for (const student of studentsInClass) {
-      await updateStudentDoc(student.id, { ...student, classId: null }); // Unassign student from this class
+    const assignments = {};
+    students
+      .filter(s => getStudentClassIds(s).includes(classId))
+      .forEach(s => { assignments[s.id] = getStudentClassIds(s).filter(id => id !== classId); });
+    // Its planned sessions go too, except those attendance was already taken against. The class itself is
+    // removed in the last chunk, so after a failure deleting it again removes what is left.
+    const sessionOperations = classSessions
+      .filter(session => session.classId === classId && !attendances.some(att => att.sessionId === session.id))
+      .map(session => ({ type: 'remove', collection: 'classSessions', id: session.id }));
+    await commitInChunks([
+      ...planClassMembership(students, classes, assignments),
+      ...sessionOperations,
+      { type: 'remove', collection: 'classes', id: classId },
+    ], "تم الحذف بنجاح!");
+  });
+
+  // Rewrites class membership so that student.classIds and class.students agree again
+  const repairClassMembership = withPermission('classes', 'edit', async () => {
+    const operations = planMembershipRepair(students, classes);
+    if (operations.length === 0) {
+      addToast("بيانات الفصول متسقة، لا حاجة للإصلاح.", "info");
+      return;
+    }
+    // Running the repair again after a failed chunk plans only what is still inconsistent
+    await commitInChunks(operations, `تم إصلاح ${operations.length} سجل.`);
+  });
+
+  // Firestore operations for Expenses (using the custom hook)
+  const addExpense = withPermission('expenses', 'create', async (newExpense) => {
+    await addExpenseDoc({ ...newExpense, date: Timestamp.fromDate(newExpense.date) });
+  });
+
+  const updateExpense = withPermission('expenses', 'edit', async (expenseId, updatedData) => {
+    await updateExpenseDoc(expenseId, { ...updatedData, date: Timestamp.fromDate(updatedData.date) });
+  });
+
+  const deleteExpense = withPermission('expenses', 'delete', async (expenseId) => {
+    await deleteExpenseDoc(expenseId);
+  });
+
+  // Payroll runs: computed from attendance and saved as a draft for review. Periods of different runs
+  // never overlap, so a session can only be paid once.
+  const getPayrollTotal = (lines) => Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+  const addPayrollRun = withPermission('payroll', 'create', async ({ periodStart, periodEnd }) => {
+    const overlapping = payrollRuns.find(run => run.periodStart <= periodEnd && run.periodEnd >= periodStart);
+    if (overlapping) {
+      addToast(`الفترة تتداخل مع مسير رواتب آخر (${overlapping.periodStart} - ${overlapping.periodEnd}).`, "error");
+      return null;
+    }
+    const lines = computePayroll(attendances, classSessions, classes, instructors, periodStart, periodEnd);
+    if (lines.length === 0) {
+      addToast("لا توجد حصص مسجلة في الحضور خلال هذه الفترة.", "info");
+      return null;
+    }
+    // The periods of all runs are kept in a registry document, so two runs saved at the same time cannot
+    // both pass the overlap check; the check above still covers runs saved before the registry existed
+    const now = Timestamp.now();
+    try {
+      const runId = await storage.addReserved('payrollRuns', {
+        periodStart,
+        periodEnd,
+        lines,
+        total: getPayrollTotal(lines),
+        status: 'draft',
+        createdBy: currentUser.name || currentUser.email,
+        createdAt: now,
+        updatedAt: now,
+      }, {
+        registry: 'payrollPeriods',
+        entry: { periodStart, periodEnd },
+        conflicts: (periods) => periods.find(period => period.periodStart <= periodEnd && period.periodEnd >= periodStart),
+      });
+      addToast("تمت الإضافة بنجاح!", "success");
+      return runId;
+    } catch (e) {
+      if (e.code === 'reservation-conflict') {
+        addToast(`الفترة تتداخل مع مسير رواتب آخر (${e.conflict.periodStart} - ${e.conflict.periodEnd}).`, "error");
+      } else {
+        console.error("Error adding payroll run: ", e);
+        addToast(`خطأ في إضافة مسير الرواتب: ${e.message}`, "error");
+      }
+      return null;
+    }
+  });
+
+  // Recomputes a draft, e.g. after attendance was taken late or a course rate was corrected
+  const recalculatePayrollRun = withPermission('payroll', 'create', async (run) => {
+    if (run.status !== 'draft') return;
+    const lines = computePayroll(attendances, classSessions, classes, instructors, run.periodStart, run.periodEnd);
+    await updatePayrollRunDoc(run.id, { lines, total: getPayrollTotal(lines) });
+  });
+
+  // Approval posts one salaries expense per instructor in the same transaction that marks the run approved.
+  // The run is read again in that transaction, so a run approved meanwhile is never posted twice.
+  const approvePayrollRun = withPermission('payroll', 'approve', async (run) => {
+    if (run.status !== 'draft') return;
+    try {
+      await storage.transact([['payrollRuns', run.id]], ([storedRun]) => {
+        if (!storedRun || storedRun.status !== 'draft') throw createPreconditionFailure('payroll-not-draft');
+        const amountByInstructor = storedRun.lines.reduce((acc, line) => {
+          acc[line.instructorId] = (acc[line.instructorId] || 0) + line.amount;
+          return acc;
+        }, {});
+        const expenseOperations = Object.entries(amountByInstructor)
+          .filter(([, amount]) => amount > 0)
+          .map(([instructorId, amount]) => {
+            const instructor = instructors.find(inst => inst.id === instructorId);
+            return {
+              type: 'set',
+              collection: 'expenses',
+              id: generateDocumentId(),
+              data: {
+                description: `راتب ${instructor ? instructor.name : 'مدرب محذوف'} (${storedRun.periodStart} - ${storedRun.periodEnd})`,
+                amount: Math.round(amount * 100) / 100,
+                category: PAYROLL_EXPENSE_CATEGORY,
+                date: Timestamp.fromDate(new Date(storedRun.periodEnd)),
+                instructorId,
+                payrollRunId: storedRun.id,
+              },
+            };
+          });
+        return stampOperations([
+          ...expenseOperations,
+          {
+            type: 'update',
+            collection: 'payrollRuns',
+            id: storedRun.id,
+            data: {
+              status: 'approved',
+              approvedBy: currentUser.name || currentUser.email,
+              approvedAt: Timestamp.now(),
+              expenseIds: expenseOperations.map(op => op.id),
+            },
+          },
+        ]);
+      });
+      addToast("تم اعتماد مسير الرواتب وترحيله إلى المصاريف.", "success");
+    } catch (e) {
+      if (e.code === 'precondition-failed') {
+        addToast("تم اعتماد مسير الرواتب هذا أو حذفه من قبل.", "error");
+      } else {
+        console.error("Error approving payroll run: ", e);
+        addToast(`خطأ في حفظ التغييرات: ${e.message}`, "error");
+      }
     }
-    await deleteClassDoc(classId);
-  };
-
-  // Firestore operations for Expenses (using the custom hook)
-  const addExpense = async (newExpense) => {
-    await addExpenseDoc({ ...newExpense, date: Timestamp.fromDate(newExpense.date) });
-  };
-
-  const updateExpense = async (expenseId, updatedData) => {
-    await updateExpenseDoc(expenseId, { ...updatedData, date: Timestamp.fromDate(updatedData.date) });
-  };
+  });
 
-  const deleteExpense = async (expenseId) => {
-    await deleteExpenseDoc(expenseId);
-  };
+  // Approved runs are part of the books; only drafts can be discarded
+  const deletePayrollRun = withPermission('payroll', 'delete', async (run) => {
+    if (run.status !== 'draft') return;
+    try {
+      await storage.removeReserved('payrollRuns', run.id, { registry: 'payrollPeriods' });
+      addToast("تم الحذف بنجاح!", "success");
+    } catch (e) {
+      console.error("Error deleting payroll run: ", e);
+      addToast(`خطأ في حذف مسير الرواتب: ${e.message}`, "error");
+    }
+  });
 
   // Firestore operations for Courses (using the custom hook)
-  const addCourse = async (newCourse) => {
+  const addCourse = withPermission('courses', 'create', async (newCourse) => {
     await addCourseDoc(newCourse);
-  };
+  });
 
-  const updateCourse = async (courseId, updatedData) => {
+  const updateCourse = withPermission('courses', 'edit', async (courseId, updatedData) => {
     await updateCourseDoc(courseId, updatedData);
-  };
+  });
 
-  const deleteCourse = async (courseId) => {
+  const deleteCourse = withPermission('courses', 'delete', async (courseId) => {
     await deleteCourseDoc(courseId);
-  };
+  });
 
   // Firestore operations for Instructors (using the custom hook)
-  const addInstructor = async (newInstructor) => {
+  const addInstructor = withPermission('instructors', 'create', async (newInstructor) => {
     await addInstructorDoc(newInstructor);
-  };
+  });
 
-  const updateInstructor = async (instructorId, updatedData) => {
+  const updateInstructor = withPermission('instructors', 'edit', async (instructorId, updatedData) => {
     await updateInstructorDoc(instructorId, updatedData);
-  };
+  });
 
-  const deleteInstructor = async (instructorId) => {
+  const deleteInstructor = withPermission('instructors', 'delete', async (instructorId) => {
     await deleteInstructorDoc(instructorId);
-  };
+  });
 
   // Firestore operations for Payments (using the custom hook)
-  const addPayment = async (newPayment) => {
-    await addPaymentDoc({ ...newPayment, date: Timestamp.fromDate(newPayment.date) });
+  // Payments take the next receipt number in the same write as the payment itself, so receipt numbers stay gap-free.
+  // A payment towards an enrollment is always in the enrollment's currency.
+  const addPayment = withPermission('payments', 'create', async (newPayment) => {
+    const enrollment = enrollments.find(en => en.id === newPayment.enrollmentId);
+    const currency = enrollment ? getCurrency(enrollment) : (newPayment.currency || BASE_CURRENCY);
+    const exchangeRate = requireExchangeRate(currency);
+    if (!exchangeRate) return;
+    const now = Timestamp.now();
+    try {
+      const { number } = await storage.addSequenced('payments', {
+        ...newPayment,
+        currency,
+        exchangeRate,
+        date: Timestamp.fromDate(newPayment.date),
+        cashier: currentUser.name || currentUser.email,
+        createdAt: now,
+        updatedAt: now,
+      }, { counter: 'receipts', field: 'receiptNumber' });
+      addToast(`تمت إضافة الدفعة بإيصال رقم ${formatReceiptNumber(number)}.`, "success");
+    } catch (e) {
+      console.error("Error adding payment: ", e);
+      addToast(`خطأ في إضافة الدفعة: ${e.message}`, "error");
+    }
+  });
+
+  // Only payments recorded before receipts existed can still be edited or deleted
+  const rejectLockedPayment = (paymentId) => {
+    const payment = payments.find(p => p.id === paymentId);
+    if (payment && isPaymentLocked(payment, payments)) {
+      addToast("لا يمكن تعديل أو حذف دفعة صدر لها إيصال أو سُجل عليها استرداد أو إلغاء. استخدم الاسترداد أو الإلغاء بدلاً من ذلك.", "error");
+      return true;
+    }
+    return false;
   };
 
-  const updatePayment = async (paymentId, updatedData) => {
+  const updatePayment = withPermission('payments', 'edit', async (paymentId, updatedData) => {
+    if (rejectLockedPayment(paymentId)) return;
     await updatePaymentDoc(paymentId, { ...updatedData, date: Timestamp.fromDate(updatedData.date) });
-  };
+  });
 
-  const deletePayment = async (paymentId) => {
+  const deletePayment = withPermission('payments', 'delete', async (paymentId) => {
+    if (rejectLockedPayment(paymentId)) return;
     await deletePaymentDoc(paymentId);
-  };
+  });
+
+  // Refunds and voids leave the original payment untouched: they are added as new receipted
+  // transactions linked to it, approved by the signed-in admin. The reversals of a payment are listed in a
+  // registry document read in the same transaction that takes the receipt number, so concurrent refunds can
+  // never exceed the payment nor void it twice. Reversals recorded before that registry existed seed it.
+  const reversePayment = withPermission('payments', 'reverse', async (paymentId, { type, amount, reason }) => {
+    const original = payments.find(p => p.id === paymentId);
+    if (!original || getPaymentType(original) !== 'payment') return;
+    const { reversals: recordedReversals } = getPaymentReversalSummary(original, payments);
+
+    const now = Timestamp.now();
+    const approvedBy = currentUser.name || currentUser.email;
+    const reversalId = generateDocumentId();
+    const registryId = `reversals-${original.id}`;
+    let number;
+    try {
+      await storage.transact([['counters', 'receipts'], ['registries', registryId]], ([counter, registryDoc]) => {
+        const entries = registryDoc
+          ? registryDoc.entries
+          : Object.fromEntries(recordedReversals.map(p => [p.id, { type: getPaymentType(p), amount: -p.amount }]));
+        const reversed = Object.values(entries).reduce((sum, entry) => sum + entry.amount, 0);
+        const remaining = Math.round((original.amount - reversed) * 100) / 100;
+        if (Object.values(entries).some(entry => entry.type === 'void')) throw createPreconditionFailure('payment-voided');
+        if (type === 'refund' && (amount <= 0 || amount > remaining)) {
+          throw Object.assign(createPreconditionFailure('refund-exceeds-remaining'), { remaining });
+        }
+        const reversalAmount = type === 'void' ? remaining : amount;
+        number = (counter ? counter.value : 0) + 1;
+        return [
+          { type: 'set', collection: 'counters', id: 'receipts', data: { value: number } },
+          { type: 'set', collection: 'registries', id: registryId, data: { entries: { ...entries, [reversalId]: { type, amount: reversalAmount } } } },
+          {
+            type: 'set',
+            collection: 'payments',
+            id: reversalId,
+            data: {
+              type,
+              originalPaymentId: original.id,
+              originalReceiptNumber: original.receiptNumber || null,
+              studentId: original.studentId,
+              courseId: original.courseId || null,
+              enrollmentId: original.enrollmentId || null,
+              amount: -reversalAmount,
+              discount: type === 'void' ? -(original.discount || 0) : 0,
+              currency: getCurrency(original),
+              exchangeRate: getRecordExchangeRate(original),
+              status: original.status,
+              date: now,
+              notes: '',
+              reason,
+              approvedBy,
+              cashier: approvedBy,
+              receiptNumber: number,
+              createdAt: now,
+              updatedAt: now,
+            },
+          },
+        ];
+      });
+      addToast(`تم تسجيل ${PAYMENT_TYPES[type].label} بإيصال رقم ${formatReceiptNumber(number)}.`, "success");
+    } catch (e) {
+      if (e.reason === 'payment-voided') {
+        addToast("تم إلغاء هذه الدفعة مسبقاً.", "error");
+      } else if (e.reason === 'refund-exceeds-remaining') {
+        addToast(`مبلغ الاسترداد يجب أن يكون بين 0 و ${formatCurrency(e.remaining, getCurrency(original))}.`, "error");
+      } else {
+        console.error("Error reversing payment: ", e);
+        addToast(`خطأ في تسجيل العملية: ${e.message}`, "error");
+      }
+    }
+  });
 
   // Firestore operations for Attendance (using the custom hook)
-  const addAttendance = async (newAttendanceRecord) => {
-    // For attendance, we use setDoc with merge to either create or update a record
-    // The ID is composed of studentId, classId, instructorId, and date for uniqueness per day per student per class per instructor
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const attendanceCollectionRef = collection(db, `artifacts/${appId}/public/data/attendance`);
-    const attendanceDocId = `${newAttendanceRecord.studentId}-${newAttendanceRecord.classId}-${newAttendanceRecord.instructorId}-${newAttendanceRecord.date.toISOString().split('T')[0]}`;
-    const attendanceDocRef = doc(attendanceCollectionRef, attendanceDocId);
+  // Saves the attendance of a roster as one batch, so a failure leaves none of it written, and returns
+  // whether it was stored. The ID is one record per student per planned session; attendance for classes
+  // without a timetable is keyed by studentId, classId, instructorId, and date for uniqueness per day per
+  // student per class per instructor. Records taken before are updated in place and keep their creation time.
+  const saveAttendance = withPermission('attendance', 'create', async (attendanceRecords) => {
+    const operations = attendanceRecords.map(record => {
+      const attendanceDocId = record.sessionId
+        ? `${record.studentId}-${record.sessionId}`
+        : `${record.studentId}-${record.classId}-${record.instructorId}-${record.date.toISOString().split('T')[0]}`;
+      const data = { ...record, date: Timestamp.fromDate(record.date) };
+      return attendances.some(att => att.id === attendanceDocId)
+        ? { type: 'update', collection: 'attendance', id: attendanceDocId, data }
+        : { type: 'set', collection: 'attendance', id: attendanceDocId, data };
+    });
+    return commitBatch(operations, `تم حفظ حضور ${attendanceRecords.length} من الطلاب بنجاح!`);
+  });
+
+  // Kiosk self check-in: marks the student present for the session unless attendance was already taken for
+  // them, and returns 'saved', 'already', 'noInstructor' or 'failed' for the kiosk screen. The record is only created when it
+  // does not exist yet, checked in the same transaction, so a record a supervisor saved is never overwritten.
+  // No instructor is recorded: payroll counts the record for the session's instructor, so it never adds a
+  // session for another one. Sessions whose instructor is unclear are left to the attendance page.
+  const checkInStudent = withPermission('attendance', 'create', async (student, session) => {
+    if (attendances.some(att => att.studentId === student.id && att.sessionId === session.id)) return 'already';
+    if (!getSessionInstructorId(session, classes)) return 'noInstructor';
+    const enrollment = enrollments.find(en => en.studentId === student.id && en.classId === session.classId && en.status === 'active');
+    const attendanceDocId = `${student.id}-${session.id}`;
+    let created = false;
+    try {
+      await storage.transact([['attendance', attendanceDocId]], ([existing]) => {
+        created = !existing;
+        if (existing) return [];
+        return stampOperations([{
+          type: 'set',
+          collection: 'attendance',
+          id: attendanceDocId,
+          data: {
+            studentId: student.id,
+            enrollmentId: enrollment ? enrollment.id : null,
+            classId: session.classId,
+            sessionId: session.id,
+            instructorId: null,
+            date: Timestamp.fromDate(new Date(session.date)),
+            status: 'present',
+            lateMinutes: null,
+            excuseReason: '',
+            note: '',
+            checkedInAt: Timestamp.now(),
+          },
+        }]);
+      });
+      return created ? 'saved' : 'already';
+    } catch (e) {
+      console.error("Error checking in student: ", e);
+      return 'failed';
+    }
+  });
+
+  // Dunning log: records that a student with an overdue balance was contacted, and by whom
+  const addContactLog = withPermission('reports', 'contact', async (studentId) => {
+    await addContactLogDoc({ studentId, contactedAt: Timestamp.now(), contactedBy: currentUser.name || currentUser.email });
+  });
+
+  // Absence alert rules and the follow-up log of the alerts they raise
+  const addAttendanceRule = withPermission('alerts', 'rules', async (newRule) => {
+    await addAttendanceRuleDoc({ ...newRule, active: true });
+  });
+
+  const updateAttendanceRule = withPermission('alerts', 'rules', async (ruleId, updatedData) => {
+    await updateAttendanceRuleDoc(ruleId, updatedData);
+  });
+
+  const deleteAttendanceRule = withPermission('alerts', 'rules', async (ruleId) => {
+    await deleteAttendanceRuleDoc(ruleId);
+  });
+
+  const addAttendanceFollowUp = withPermission('alerts', 'followUp', async (alert) => {
+    await addAttendanceFollowUpDoc({
+      alertKey: alert.key,
+      studentId: alert.student.id,
+      lastRecordId: alert.lastRecordId,
+      followedUpAt: Timestamp.now(),
+      followedUpBy: currentUser.name || currentUser.email,
+    });
+  });
+
+  // Certificate templates and issued certificates
+  const addCertificateTemplate = withPermission('certificates', 'templates', async (newTemplate) => {
+    await addCertificateTemplateDoc({ ...newTemplate, archived: false });
+  });
+
+  const updateCertificateTemplate = withPermission('certificates', 'templates', async (templateId, updatedData) => {
+    await updateCertificateTemplateDoc(templateId, updatedData);
+  });
+
+  // Issues a numbered certificate for a completed enrollment, with a copy of the template and of the student
+  // and course names as they are today. An enrollment gets one certificate unless it was revoked: the issued
+  // certificate is recorded in a registry document per enrollment, checked in the same transaction that takes
+  // the number, so two admins cannot both issue one. Returns the new certificate's id.
+  const issueCertificate = withPermission('certificates', 'create', async (enrollmentId, { templateId, grade, completionDate }) => {
+    const enrollment = enrollments.find(en => en.id === enrollmentId);
+    const template = certificateTemplates.find(t => t.id === templateId);
+    if (!enrollment || enrollment.status !== 'completed' || !template) {
+      addToast("لا يمكن إصدار شهادة إلا لتسجيل مكتمل وبقالب موجود.", "error");
+      return null;
+    }
+    if (certificates.some(cert => cert.enrollmentId === enrollmentId && cert.status !== 'revoked')) {
+      addToast("صدرت شهادة لهذا التسجيل من قبل.", "error");
+      return null;
+    }
+    const student = students.find(st => st.id === enrollment.studentId);
+    const course = courses.find(c => c.id === enrollment.courseId);
+    const now = Timestamp.now();
+    const certificateId = generateDocumentId();
+    const registryId = `certificate-${enrollmentId}`;
+    let number;
+    try {
+      await storage.transact([['counters', 'certificates'], ['registries', registryId]], ([counter, registryDoc]) => {
+        if (registryDoc && registryDoc.certificateId) throw createPreconditionFailure('certificate-exists');
+        number = (counter ? counter.value : 0) + 1;
+        return [
+          { type: 'set', collection: 'counters', id: 'certificates', data: { value: number } },
+          { type: 'set', collection: 'registries', id: registryId, data: { certificateId } },
+          {
+            type: 'set',
+            collection: 'certificates',
+            id: certificateId,
+            data: {
+              studentId: enrollment.studentId,
+              enrollmentId,
+              courseId: enrollment.courseId,
+              templateId,
+              studentName: student ? student.name : '',
+              courseName: course ? course.name : '',
+              startDate: enrollment.startDate || null,
+              completionDate: Timestamp.fromDate(completionDate),
+              grade,
+              template: {
+                title: template.title,
+                introText: template.introText,
+                completionText: template.completionText,
+                logoUrl: template.logoUrl,
+                accentColor: template.accentColor,
+                signatures: template.signatures,
+              },
+              status: 'issued',
+              certificateNumber: number,
+              issuedAt: now,
+              issuedBy: currentUser.name || currentUser.email,
+              createdAt: now,
+              updatedAt: now,
+            },
+          },
+        ];
+      });
+      addToast(`تم إصدار الشهادة رقم ${formatCertificateNumber(number)}.`, "success");
+      return certificateId;
+    } catch (e) {
+      if (e.reason === 'certificate-exists') {
+        addToast("صدرت شهادة لهذا التسجيل من قبل.", "error");
+      } else {
+        console.error("Error issuing certificate: ", e);
+        addToast(`خطأ في إصدار الشهادة: ${e.message}`, "error");
+      }
+      return null;
+    }
+  });
+
+  // Certificates keep their number, so a mistaken one is revoked rather than deleted; revoking frees the
+  // enrollment's registry entry so a new certificate can be issued
+  const revokeCertificate = withPermission('certificates', 'revoke', async (certificateId) => {
+    const certificate = certificates.find(cert => cert.id === certificateId);
+    if (!certificate) return;
+    await commitBatch([
+      { type: 'update', collection: 'certificates', id: certificateId, data: { status: 'revoked', revokedAt: Timestamp.now(), revokedBy: currentUser.name || currentUser.email } },
+      { type: 'remove', collection: 'registries', id: `certificate-${certificate.enrollmentId}` },
+    ], "تم التحديث بنجاح!");
+  });
+
+  // Evaluated only when its inputs change, not on every render of the app (e.g. typing in a form)
+  const attendanceAlerts = useMemo(
+    () => evaluateAttendanceRules(attendanceRules, students, classes, attendances),
+    [attendanceRules, students, classes, attendances],
+  );
+
 
+  // Operations for user accounts: the login account is created through the auth adapter,
+  // the profile holding name and role is stored in the users collection under the same uid
+  const addUser = withPermission('users', 'create', async ({ email, password, name, role }) => {
     try {
-      await setDoc(attendanceDocRef, {
-        ...newAttendanceRecord,
-        date: Timestamp.fromDate(newAttendanceRecord.date),
-        createdAt: Timestamp.now(),
-        updatedAt: Timestamp.now(),
-      }, { merge: true });
-      addToast("تم حفظ سجل الحضور بنجاح!", "success");
+      const uid = await authAdapter.createUser(email, password);
+      await storage.set('users', uid, { email: email.trim().toLowerCase(), name, role, createdAt: Timestamp.now() });
+      addToast("تم إنشاء حساب المستخدم بنجاح!", "success");
+      return true;
     } catch (e) {
-      console.error("Error adding/updating attendance record: ", e);
-      addToast(`خطأ في حفظ سجل الحضور: ${e.message}`, "error");
+      console.error("Error creating user account: ", e);
+      addToast(getAuthErrorMessage(e), "error");
+      return false;
     }
-  };
+  });
+
+  const updateUser = withPermission('users', 'edit', async (uid, updatedData) => {
+    await updateUserDoc(uid, updatedData);
+  });
 
 
   // Main render logic based on activeSection
   const renderContent = () => {
+    if (!permissions.can(activeSection, 'view')) {
+      return <ForbiddenPage />;
+    }
     switch (activeSection) {
       case 'dashboard':
-        return <ReportsPage students={students} classes={classes} expenses={expenses} courses={courses} payments={payments} addToast={addToast} />;
+        return <ReportsPage students={students} classes={classes} classSessions={classSessions} expenses={expenses} courses={courses} payments={payments} enrollments={enrollments} discountPolicies={discountPolicies} instructors={instructors} attendances={attendances} contactLogs={contactLogs} addContactLog={addContactLog} attendanceAlerts={attendanceAlerts} addToast={addToast} />;
       case 'students':
+        if (route.id) {
+          return (
+            <StudentProfilePage
+              studentId={route.id}
+              students={students}
+              classes={classes}
+              classSessions={classSessions}
+              courses={courses}
+              instructors={instructors}
+              payments={payments}
+              attendances={attendances}
+              attendanceAlerts={attendanceAlerts}
+              enrollments={enrollments}
+              discountPolicies={discountPolicies}
+              exchangeRates={exchangeRates}
+              updateStudent={updateStudent}
+              addEnrollment={addEnrollment}
+              updateEnrollmentStatus={updateEnrollmentStatus}
+              updateEnrollmentDiscounts={updateEnrollmentDiscounts}
+              updateInstallmentPlan={updateInstallmentPlan}
+              showConfirmModal={showConfirmModal}
+              navigate={navigate}
+            />
+          );
+        }
         return (
           <StudentsPage
             students={students}
             classes={classes}
+            courses={courses}
+            payments={payments}
+            enrollments={enrollments}
+            discountPolicies={discountPolicies}
             addStudent={addStudent}
             updateStudent={updateStudent}
             deleteStudent={deleteStudent}
@@ -2905,10 +8819,20 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             classes={classes}
             students={students}
             instructors={instructors}
+            courses={courses}
+            enrollments={enrollments}
+            discountPolicies={discountPolicies}
+            exchangeRates={exchangeRates}
             addClass={addClass}
             updateClass={updateClass}
             deleteClass={deleteClass}
+            setClassStudents={setClassStudents}
+            repairClassMembership={repairClassMembership}
+            addEnrollment={addEnrollment}
+            updateEnrollmentStatus={updateEnrollmentStatus}
             showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
           />
         );
       case 'courses':
@@ -2919,6 +8843,20 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             updateCourse={updateCourse}
             deleteCourse={deleteCourse}
             showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
+          />
+        );
+      case 'discounts':
+        return (
+          <DiscountPoliciesPage
+            discountPolicies={discountPolicies}
+            students={students}
+            enrollments={enrollments}
+            addDiscountPolicy={addDiscountPolicy}
+            updateDiscountPolicy={updateDiscountPolicy}
+            recordId={route.id}
+            navigate={navigate}
           />
         );
       case 'payments':
@@ -2928,9 +8866,20 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             addPayment={addPayment}
             updatePayment={updatePayment}
             deletePayment={deletePayment}
+            reversePayment={reversePayment}
             students={students}
             courses={courses}
+            enrollments={enrollments}
+            discountPolicies={discountPolicies}
+            exchangeRates={exchangeRates}
             showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
+            statusFilter={route.params.status || ''}
+            view={route.params.view || ''}
+            dueFilter={route.params.due || ''}
+            updateInstallmentPlan={updateInstallmentPlan}
+            setExchangeRate={setExchangeRate}
           />
         );
       case 'expenses':
@@ -2941,10 +8890,27 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             updateExpense={updateExpense}
             deleteExpense={deleteExpense}
             showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
+          />
+        );
+      case 'payroll':
+        return (
+          <PayrollPage
+            payrollRuns={payrollRuns}
+            instructors={instructors}
+            courses={courses}
+            addPayrollRun={addPayrollRun}
+            recalculatePayrollRun={recalculatePayrollRun}
+            approvePayrollRun={approvePayrollRun}
+            deletePayrollRun={deletePayrollRun}
+            showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
           />
         );
       case 'reports':
-        return <ReportsPage students={students} classes={classes} expenses={expenses} courses={courses} payments={payments} addToast={addToast} />;
+        return <ReportsPage students={students} classes={classes} classSessions={classSessions} expenses={expenses} courses={courses} payments={payments} enrollments={enrollments} discountPolicies={discountPolicies} instructors={instructors} attendances={attendances} contactLogs={contactLogs} addContactLog={addContactLog} attendanceAlerts={attendanceAlerts} addToast={addToast} />;
       case 'instructors':
         return (
           <InstructorsPage
@@ -2954,6 +8920,8 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             updateInstructor={updateInstructor}
             deleteInstructor={deleteInstructor}
             showConfirmModal={showConfirmModal}
+            recordId={route.id}
+            navigate={navigate}
           />
         );
       case 'attendance':
@@ -2963,102 +8931,180 @@ const AppContent = ({ db, auth, userId, isAuthReady }) => {
             classes={classes}
             instructors={instructors}
             attendances={attendances}
-            addAttendance={addAttendance}
+            enrollments={enrollments}
+            classSessions={classSessions}
+            setClassSessionStatus={setClassSessionStatus}
+            saveAttendance={saveAttendance}
             addToast={addToast}
+            view={route.params.view || ''}
+            navigate={navigate}
+          />
+        );
+      case 'alerts':
+        return (
+          <AttendanceAlertsPage
+            attendanceAlerts={attendanceAlerts}
+            attendanceRules={attendanceRules}
+            attendanceFollowUps={attendanceFollowUps}
+            classes={classes}
+            courses={courses}
+            addAttendanceRule={addAttendanceRule}
+            updateAttendanceRule={updateAttendanceRule}
+            deleteAttendanceRule={deleteAttendanceRule}
+            addAttendanceFollowUp={addAttendanceFollowUp}
+            showConfirmModal={showConfirmModal}
           />
         );
       case 'certificates':
-        return <CertificatesPage />;
+        return (
+          <CertificatesPage
+            certificates={certificates}
+            certificateTemplates={certificateTemplates}
+            enrollments={enrollments}
+            students={students}
+            courses={courses}
+            issueCertificate={issueCertificate}
+            addCertificateTemplate={addCertificateTemplate}
+            updateCertificateTemplate={updateCertificateTemplate}
+            revokeCertificate={revokeCertificate}
+            showConfirmModal={showConfirmModal}
+            view={route.params.view || ''}
+            recordId={route.id}
+            navigate={navigate}
+          />
+        );
+      case 'users':
+        return (
+          <UsersPage
+            users={users}
+            currentUserId={currentUser.uid}
+            addUser={addUser}
+            updateUser={updateUser}
+            recordId={route.id}
+            navigate={navigate}
+          />
+        );
       default:
-        return <ReportsPage students={students} classes={classes} expenses={expenses} courses={courses} payments={payments} addToast={addToast} />;
+        return <ReportsPage students={students} classes={classes} classSessions={classSessions} expenses={expenses} courses={courses} payments={payments} enrollments={enrollments} discountPolicies={discountPolicies} instructors={instructors} attendances={attendances} contactLogs={contactLogs} addContactLog={addContactLog} attendanceAlerts={attendanceAlerts} addToast={addToast} />;
     }
   };
 
-  return (
-    <DashboardLayout
-      activeSection={activeSection}
-      setActiveSection={setActiveSection}
-      userId={userId}
-      userRole={userRole}
-      setUserRole={setUserRole}
-    >
-      {overallLoading && <LoadingSpinner />} {/* Show loading spinner when isLoading is true */}
-      {renderContent()}
-      {showConfirm && (
-        <ConfirmModal
-          message={confirmMessage}
-          onConfirm={handleConfirm}
-          onCancel={handleCancel}
+  if (isKioskLocked || (activeSection === 'kiosk' && permissions.can('kiosk', 'view'))) {
+    return (
+      <PermissionContext.Provider value={permissions}>
+        <KioskPage
+          students={students}
+          classes={classes}
+          classSessions={classSessions}
+          checkInStudent={checkInStudent}
+          onExit={exitKiosk}
         />
-      )}
-    </DashboardLayout>
+      </PermissionContext.Provider>
+    );
+  }
+
+  return (
+    <PermissionContext.Provider value={permissions}>
+      <DashboardLayout
+        activeSection={activeSection}
+        navigate={navigate}
+        currentUser={currentUser}
+        onSignOut={onSignOut}
+      >
+        {overallLoading && <LoadingSpinner />} {/* Show loading spinner when isLoading is true */}
+        {renderContent()}
+        {showConfirm && (
+          <ConfirmModal
+            message={confirmMessage}
+            onConfirm={handleConfirm}
+            onCancel={handleCancel}
+          />
+        )}
+      </DashboardLayout>
+    </PermissionContext.Provider>
   );
 };
 
 // ==================================================================================================
 // --- MAIN APP COMPONENT (Entry Point) ---
-// This component now handles Firebase initialization and passes props to AppContent.
+// This component now handles storage initialization and passes props to AppContent.
 // ==================================================================================================
 const App = () => {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [authAdapter, setAuthAdapter] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null); // Signed-in account merged with its users profile
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [isLoadingApp, setIsLoadingApp] = useState(true); // Overall app loading state
 
-  // Firebase Initialization
+  // Storage and auth initialization: Firebase by default, or a local adapter when VITE_STORAGE_BACKEND is 'indexeddb' or 'memory'
   useEffect(() => {
-    const initFirebase = async () => {
-      try {
+    try {
+      let storageAdapter;
+      let auth;
+      if (STORAGE_BACKEND === 'firestore') {
         const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
         const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const firebaseAuth = getAuth(app);
-
-        setDb(firestore);
-        setAuth(firebaseAuth);
-
-        const unsubscribeAuth = onAuthStateChanged(firebaseAuth, async (user) => {
-          if (user) {
-            setUserId(user.uid);
-          } else {
-            // Sign in anonymously if no user is authenticated
-            if (typeof __initial_auth_token !== 'undefined') {
-              await signInWithCustomToken(firebaseAuth, __initial_auth_token);
-            } else {
-              await signInAnonymously(firebaseAuth);
-            }
-            // After anonymous sign-in, onAuthStateChanged will fire again with a user
-            // So we don't need to set userId here immediately for anonymous.
-            // Let the next onAuthStateChanged trigger handle it.
-          }
-          setIsAuthReady(true);
-          setIsLoadingApp(false); // App is ready after auth state is determined
-        });
-        return () => unsubscribeAuth(); // Cleanup function for onAuthStateChanged
-      } catch (error) {
-        console.error("Error initializing Firebase:", error);
-        setIsLoadingApp(false); // Ensure loading is false even on error
+        storageAdapter = createFirestoreAdapter(getFirestore(app));
+        auth = createFirebaseAuthAdapter(app, getAuth(app));
+      } else {
+        storageAdapter = createLocalAdapter({ persistence: STORAGE_BACKEND });
+        auth = createLocalAuthAdapter(storageAdapter);
       }
-    };
 
-    initFirebase();
+      setStorage(storageAdapter);
+      setAuthAdapter(auth);
+
+      const unsubscribeAuth = auth.onAuthChange(async (user) => {
+        try {
+          // The role comes from the users collection, never from the client
+          setCurrentUser(user ? await loadUserProfile(storageAdapter, user) : null);
+        } catch (error) {
+          console.error("Error loading user profile:", error);
+          setCurrentUser(null);
+        }
+        setIsAuthReady(true);
+        setIsLoadingApp(false); // App is ready after auth state is determined
+      });
+      return () => unsubscribeAuth(); // Cleanup function for onAuthChange
+    } catch (error) {
+      console.error("Error initializing storage:", error);
+      setIsLoadingApp(false); // Ensure loading is false even on error
+    }
   }, []);
 
+  const handleSignIn = async (email, password) => {
+    await authAdapter.signIn(email, password);
+  };
+
+  const handleSignOut = async () => {
+    await authAdapter.signOut();
+  };
+
+  const renderApp = () => {
+    if (!isAuthReady) {
+      return <LoadingSpinner />; // Show a global loading spinner while storage and auth are initializing
+    }
+    if (!currentUser) {
+      return <LoginPage onSignIn={handleSignIn} />;
+    }
+    if (!ROLE_LABELS[currentUser.role]) {
+      return <PendingAccessPage currentUser={currentUser} onSignOut={handleSignOut} />;
+    }
+    return (
+      <AppContent
+        key={currentUser.uid} // Reset navigation and data when another user signs in
+        storage={storage}
+        authAdapter={authAdapter}
+        currentUser={currentUser}
+        onSignOut={handleSignOut}
+        isAuthReady={isAuthReady}
+      />
+    );
+  };
 
   return (
     <ToastContainer>
-      {/* Pass Firebase instances and auth status to AppContent */}
-      {isAuthReady ? (
-        <AppContent
-          db={db}
-          auth={auth}
-          userId={userId}
-          isAuthReady={isAuthReady}
-        />
-      ) : (
-        <LoadingSpinner /> // Show a global loading spinner while Firebase is initializing
-      )}
+      {renderApp()}
     </ToastContainer>
   );
 };
@@ -3071,7 +9117,8 @@ export default App;
 // ==================================================================================================
 
 // StudentsPage component: Manages student records.
-const StudentsPage = ({ students, classes, addStudent, updateStudent, deleteStudent, showConfirmModal }) => {
+const StudentsPage = ({ students, classes, courses, payments, enrollments, discountPolicies, addStudent, updateStudent, deleteStudent, showConfirmModal }) => {
+  const { can } = usePermissions();
   const [showAddStudentModal, setShowAddStudentModal] = useState(false);
   const [showEditStudentModal, setShowEditStudentModal] = useState(false);
   const [currentStudent, setCurrentStudent] = useState(null);
@@ -3105,111 +9152,602 @@ const StudentsPage = ({ students, classes, addStudent, updateStudent, deleteStud
             onChange={(e) => setSearchTerm(e.target.value)}
             className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm w-80 rounded-md"
           />
-          <button
-            onClick={() => setShowAddStudentModal(true)}
-            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-          >
-            + إضافة طالب جديد
-          </button>
+          {can('students', 'create') && (
+            <button
+              onClick={() => setShowAddStudentModal(true)}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+            >
+              + إضافة طالب جديد
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الاسم
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الهاتف
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                البريد الإلكتروني
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                حالة الدفع
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الفصول
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                النوع
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الإجراءات
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {filteredStudents.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا يوجد طلاب مسجلون أو مطابقون لبحثك.
+                </td>
+              </tr>
+            ) : (
+              filteredStudents.map((student) => {
+                const { status, balance } = getStudentBalance(student, payments, courses, enrollments, discountPolicies);
+                return (
+                  <tr key={student.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      <a href={buildRoute('students', student.id)} className="text-blue-600 hover:underline">
+                        {student.name}
+                      </a>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {student.phone}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {student.email || 'لا يوجد'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span
+                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          STUDENT_PAYMENT_STATUSES[status].badge
+                        } rounded-full`}
+                      >
+                        {STUDENT_PAYMENT_STATUSES[status].label}
+                      </span>
+                      {balance > 0 && (
+                        <span className="block text-xs text-gray-500 mt-1">المتبقي: {formatCurrency(balance)}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {getStudentClassIds(student).length > 0 ? (
+                        getStudentClassIds(student).map((classId, index) => (
+                          <span key={classId}>
+                            {index > 0 && '، '}
+                            <a href={buildRoute('classes', classId)} className="text-blue-600 hover:underline">
+                              {classes.find(cls => cls.id === classId)?.name || 'غير معروف'}
+                            </a>
+                          </span>
+                        ))
+                      ) : 'غير منسّب'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {student.studentType === 'local' ? 'محلي' : 'دولي'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {can('students', 'edit') && (
+                        <button
+                          onClick={() => handleEditClick(student)}
+                          className="text-blue-600 hover:text-blue-900 ml-4"
+                        >
+                          تعديل
+                        </button>
+                      )}
+                      {can('students', 'delete') && (
+                        <button
+                          onClick={() => handleDeleteClick(student.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          حذف
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showAddStudentModal && (
+        <AddStudentModal
+          onClose={() => setShowAddStudentModal(false)}
+          onAddStudent={addStudent}
+          classes={classes}
+          courses={courses}
+          discountPolicies={discountPolicies}
+        />
+      )}
+
+      {showEditStudentModal && currentStudent && (
+        <EditStudentModal
+          student={currentStudent}
+          onClose={() => setShowEditStudentModal(false)}
+          onUpdateStudent={updateStudent}
+          classes={classes}
+          discountPolicies={discountPolicies}
+        />
+      )}
+    </div>
+  );
+};
+
+// StudentCheckInCard component: The student's check-in QR code, with printing and reissuing of the card.
+const StudentCheckInCard = ({ student, students, updateStudent }) => {
+  const { can } = usePermissions();
+  const { addToast } = useNotification();
+  const [qrDataUrl, setQrDataUrl] = useState('');
+
+  useEffect(() => {
+    if (!student.checkInCode) {
+      setQrDataUrl('');
+      return;
+    }
+    QRCode.toDataURL(student.checkInCode, { width: 256, margin: 1 })
+      .then(setQrDataUrl)
+      .catch(e => console.error("Error generating QR code: ", e));
+  }, [student.checkInCode]);
+
+  // Issuing a new code invalidates the old card
+  const handleIssueCode = async () => {
+    await updateStudent(student.id, { checkInCode: generateCheckInCode(students) });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">بطاقة الحضور</h3>
+      {student.checkInCode ? (
+        <div className="flex items-center gap-4">
+          {qrDataUrl && <img src={qrDataUrl} alt={`رمز حضور ${student.name}`} className="w-32 h-32" />}
+          <div>
+            <p className="text-sm text-gray-500">رمز الحضور:</p>
+            <p className="font-mono text-lg tracking-widest" dir="ltr">{student.checkInCode}</p>
+            <div className="mt-3 space-x-4">
+              <button
+                onClick={() => printDocument(buildStudentCardHtml({ student, qrDataUrl }), addToast)}
+                disabled={!qrDataUrl}
+                className="text-blue-600 hover:text-blue-900 text-sm ml-4"
+              >
+                طباعة البطاقة
+              </button>
+              {can('students', 'edit') && (
+                <button onClick={handleIssueCode} className="text-gray-600 hover:text-gray-900 text-sm">
+                  إصدار رمز جديد
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div>
+          <p className="text-gray-500">لا يوجد رمز حضور لهذا الطالب بعد.</p>
+          {can('students', 'edit') && (
+            <button
+              onClick={handleIssueCode}
+              className="mt-3 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-md"
+            >
+              إنشاء رمز الحضور
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// StudentProfilePage component: Everything about one student on a single screen — class, payments, attendance and notes.
+const StudentProfilePage = ({ studentId, students, classes, classSessions, courses, instructors, payments, attendances, attendanceAlerts, enrollments, discountPolicies, exchangeRates, updateStudent, addEnrollment, updateEnrollmentStatus, updateEnrollmentDiscounts, updateInstallmentPlan, showConfirmModal, navigate }) => {
+  const { can } = usePermissions();
+  const student = students.find(s => s.id === studentId);
+  const storedNotes = student ? student.notes || '' : '';
+  const [notes, setNotes] = useState(storedNotes);
+  // The student and notes last loaded into the notes box, to tell unsaved edits apart
+  const loadedNotesRef = useRef({ studentId, notes: storedNotes });
+  const [showEnrollModal, setShowEnrollModal] = useState(false);
+  const [planEnrollment, setPlanEnrollment] = useState(null);
+  const [discountEnrollment, setDiscountEnrollment] = useState(null);
+
+  // Keep the notes box in sync when another student is opened, or when the stored notes change (or finish
+  // loading) while the box holds no unsaved edits
+  useEffect(() => {
+    const loaded = loadedNotesRef.current;
+    setNotes(prev => (loaded.studentId !== studentId || prev === loaded.notes ? storedNotes : prev));
+    loadedNotesRef.current = { studentId, notes: storedNotes };
+  }, [studentId, storedNotes]);
+
+  if (!student) {
+    return (
+      <div className="space-y-6">
+        <RecordFilterNotice found={false} onShowAll={() => navigate('students')} />
+      </div>
+    );
+  }
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('ar-EG', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const toMillis = (timestamp) => (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).getTime();
+
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'لا توجد دورة محددة';
+  };
+
+  const getClassName = (classId) => {
+    const cls = classes.find(c => c.id === classId);
+    return cls ? cls.name : 'فصل غير معروف';
+  };
+
+  const getInstructorName = (instructorId) => {
+    const instructor = instructors.find(i => i.id === instructorId);
+    return instructor ? instructor.name : 'غير معروف';
+  };
+
+  const studentClasses = classes.filter(cls => getStudentClassIds(student).includes(cls.id));
+
+  const studentEnrollments = enrollments
+    .filter(en => en.studentId === student.id)
+    .sort((a, b) => toMillis(b.startDate) - toMillis(a.startDate));
+
+  const studentPayments = payments
+    .filter(p => p.studentId === student.id)
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date));
+  const balance = getStudentBalance(student, payments, courses, enrollments, discountPolicies);
+  const studentPolicies = discountPolicies.filter(policy => (student.discountPolicyIds || []).includes(policy.id));
+
+  const studentAttendance = attendances
+    .filter(att => att.studentId === student.id)
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date));
+  const attendanceRate = getAttendanceRate(studentAttendance);
+  const attendanceSummary = getAttendanceSummary(studentAttendance);
+  const studentAlerts = attendanceAlerts.filter(alert => alert.student.id === studentId);
+
+  // Short installment summary for an enrollment, e.g. "1/3 مسدد، 1 متأخر"
+  const getInstallmentSummary = (enrollment) => {
+    const schedule = getInstallmentSchedule(enrollment, payments);
+    if (schedule.length === 0) return 'بدون خطة';
+    const settled = schedule.filter(item => item.status === 'settled').length;
+    const overdue = schedule.filter(item => item.status === 'overdue').length;
+    return `${settled}/${schedule.length} مسدد${overdue > 0 ? `، ${overdue} متأخر` : ''}`;
+  };
+
+  const handleWithdrawClick = (enrollment) => {
+    showConfirmModal("هل أنت متأكد أنك تريد سحب الطالب من هذه الدورة؟ لن تُحتسب رسومها بعد الآن.", () => updateEnrollmentStatus(enrollment.id, 'withdrawn'));
+  };
+
+  const handleSaveNotes = async () => {
+    await updateStudent(student.id, { notes });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <a href={buildRoute('students')} className="text-sm text-blue-600 hover:underline">
+            → العودة إلى قائمة الطلاب
+          </a>
+          <h2 className="text-2xl font-semibold text-gray-700 mt-2">{student.name}</h2>
+        </div>
+        <div className="flex items-center space-x-4">
+          <span className="text-sm text-gray-500 ml-4">
+            {student.studentType === 'local' ? 'طالب محلي' : 'طالب دولي'}
+          </span>
+          {can('payments', 'view') && (
+            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STUDENT_PAYMENT_STATUSES[balance.status].badge} rounded-full`}>
+              {STUDENT_PAYMENT_STATUSES[balance.status].label}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">بيانات التواصل</h3>
+          <p className="text-gray-700"><span className="font-medium">الهاتف:</span> {student.phone}</p>
+          <p className="text-gray-700 mt-2"><span className="font-medium">البريد الإلكتروني:</span> {student.email || 'لا يوجد'}</p>
+          <p className="text-gray-700 mt-2">
+            <span className="font-medium">الخصومات:</span>{' '}
+            {studentPolicies.length === 0 ? 'لا يوجد' : studentPolicies.map(policy => `${policy.name} (${formatDiscountPolicyValue(policy)})`).join('، ')}
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">الفصول</h3>
+          {studentClasses.length === 0 ? (
+            <p className="text-gray-500">غير منسّب لأي فصل.</p>
+          ) : (
+            studentClasses.map(cls => (
+              <div key={cls.id} className="mb-2">
+                <a href={buildRoute('classes', cls.id)} className="text-blue-600 hover:underline font-medium">
+                  {cls.name}
+                </a>
+                <p className="text-sm text-gray-500">
+                  المدربون: {(cls.instructors || []).map(getInstructorName).join(', ') || 'لا يوجد'}
+                </p>
+              </div>
+            ))
+          )}
         </div>
+        <StudentCheckInCard student={student} students={students} updateStudent={updateStudent} />
       </div>
 
-      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الاسم
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الهاتف
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                البريد الإلكتروني
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                حالة الدفع
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الفصل
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                النوع
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                الإجراءات
-              </th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {filteredStudents.length === 0 ? (
+      <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800">التسجيلات</h3>
+          {can('enrollments', 'create') && (
+            <button
+              onClick={() => setShowEnrollModal(true)}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-md"
+            >
+              + تسجيل في دورة
+            </button>
+          )}
+        </div>
+        {studentEnrollments.length === 0 ? (
+          <p className="text-center text-gray-500">الطالب غير مسجل في أي دورة.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
               <tr>
-                <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
-                  لا يوجد طلاب مسجلون أو مطابقون لبحثك.
-                </td>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفصل</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">تاريخ البدء</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">السعر المتفق عليه</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الخصم</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الأقساط</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
               </tr>
-            ) : (
-              filteredStudents.map((student) => (
-                <tr key={student.id}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {student.name}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {student.phone}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {student.email || 'لا يوجد'}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm">
-                    <span
-                      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        student.paid ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                      } rounded-full`}
-                    >
-                      {student.paid ? 'مدفوع' : 'غير مدفوع'}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {student.classId ? classes.find(cls => cls.id === student.classId)?.name || 'غير معروف' : 'غير منسّب'}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {student.studentType === 'local' ? 'محلي' : 'دولي'}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEditClick(student)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(student.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
-                  </td>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {studentEnrollments.map(en => {
+                const enrollmentDiscounts = getEnrollmentDiscounts(en, student, discountPolicies);
+                return (
+                  <tr key={en.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{getCourseName(en.courseId)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {en.classId ? (
+                        <a href={buildRoute('classes', en.classId)} className="text-blue-600 hover:underline">
+                          {getClassName(en.classId)}
+                        </a>
+                      ) : 'بدون فصل'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(en.startDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(en.agreedPrice, getCurrency(en))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatCurrency(enrollmentDiscounts.total, getCurrency(en))}
+                      {enrollmentDiscounts.lines.length > 0 && (
+                        <p className="text-xs text-gray-400">{enrollmentDiscounts.lines.map(line => line.policy.name).join('، ')}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getInstallmentSummary(en)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{ENROLLMENT_STATUSES[en.status]}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {en.status !== 'withdrawn' && can('enrollments', 'plan') && (
+                        <button
+                          onClick={() => setPlanEnrollment(en)}
+                          className="text-blue-600 hover:text-blue-900 ml-4"
+                        >
+                          خطة الأقساط
+                        </button>
+                      )}
+                      {en.status !== 'withdrawn' && can('enrollments', 'edit') && (
+                        <button
+                          onClick={() => setDiscountEnrollment(en)}
+                          className="text-blue-600 hover:text-blue-900 ml-4"
+                        >
+                          الخصومات
+                        </button>
+                      )}
+                      {en.status === 'active' && can('enrollments', 'edit') && (
+                        <>
+                          <button
+                            onClick={() => updateEnrollmentStatus(en.id, 'completed')}
+                            className="text-green-600 hover:text-green-900 ml-4"
+                          >
+                            إكمال
+                          </button>
+                          <button
+                            onClick={() => handleWithdrawClick(en)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            سحب
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {can('payments', 'view') && (
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">المدفوعات</h3>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-center mb-6">
+            <div className="p-4 bg-green-50 rounded-lg rounded-md">
+              <p className="text-sm text-gray-600">إجمالي المدفوع</p>
+              <p className="text-2xl font-bold text-green-800">{formatCurrency(balance.paid)}</p>
+            </div>
+            <div className="p-4 bg-yellow-50 rounded-lg rounded-md">
+              <p className="text-sm text-gray-600">دفعات معلقة</p>
+              <p className="text-2xl font-bold text-yellow-800">{formatCurrency(balance.pending)}</p>
+            </div>
+            <div className="p-4 bg-blue-50 rounded-lg rounded-md">
+              <p className="text-sm text-gray-600">إجمالي الخصومات</p>
+              <p className="text-2xl font-bold text-blue-800">{formatCurrency(balance.discount)}</p>
+            </div>
+            <div className="p-4 bg-red-50 rounded-lg rounded-md">
+              <p className="text-sm text-gray-600">الرصيد المستحق</p>
+              <p className="text-2xl font-bold text-red-800">{formatCurrency(balance.balance)}</p>
+            </div>
+          </div>
+          {studentPayments.length === 0 ? (
+            <p className="text-center text-gray-500">لا توجد دفعات مسجلة لهذا الطالب.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التاريخ</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المبلغ</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الخصم</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
                 </tr>
-              ))
-            )}
-          </tbody>
-        </table>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {studentPayments.map(payment => (
+                  <tr key={payment.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <a href={buildRoute('payments', payment.id)} className="text-blue-600 hover:underline">
+                        {formatDate(payment.date)}
+                      </a>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getCourseName(payment.courseId)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(payment.amount, getCurrency(payment))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(payment.discount || 0, getCurrency(payment))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {getPaymentType(payment) === 'payment' ? payment.status : PAYMENT_TYPES[getPaymentType(payment)].label}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800">سجل الحضور</h3>
+          <span className="text-gray-700">
+            نسبة الحضور: <span className="font-bold">{attendanceRate === null ? 'لا يوجد' : `${attendanceRate}%`}</span>
+          </span>
+        </div>
+        {studentAttendance.length > 0 && (
+          <p className="text-sm text-gray-600 mb-4">
+            غياب بدون عذر: {attendanceSummary.absent} - غياب بعذر: {attendanceSummary.excused} (لا يُحتسب في النسبة)
+            - تأخير: {attendanceSummary.late}{attendanceSummary.lateMinutes > 0 ? ` (${attendanceSummary.lateMinutes} دقيقة)` : ''}
+          </p>
+        )}
+        {studentAlerts.length > 0 && (
+          <div className="p-3 mb-4 bg-red-50 text-red-800 text-sm rounded-md">
+            <p className="font-semibold">⚠️ طالب معرض للخطر بسبب الغياب:</p>
+            <ul className="list-disc pr-5 mt-1">
+              {studentAlerts.map(alert => (
+                <li key={alert.key}>{describeAttendanceAlert(alert, classes, courses)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {studentAttendance.length === 0 ? (
+          <p className="text-center text-gray-500">لا توجد سجلات حضور لهذا الطالب.</p>
+        ) : (
+          <div className="max-h-80 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التاريخ</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفصل</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المدرب</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التفاصيل</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {studentAttendance.map(att => (
+                  <tr key={att.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(att.date)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getClassName(att.classId)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getInstructorName(getAttendanceInstructorId(att, classSessions, classes))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{ATTENDANCE_STATUS_LABELS[att.status] || att.status}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{describeAttendanceDetails(att)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
-      {showAddStudentModal && (
-        <AddStudentModal
-          onClose={() => setShowAddStudentModal(false)}
-          onAddStudent={addStudent}
+      <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4">ملاحظات</h3>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows="4"
+          disabled={!can('students', 'edit')}
+          className="block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+          placeholder="أدخل أي ملاحظات حول الطالب"
+        ></textarea>
+        {can('students', 'edit') && (
+          <div className="flex justify-end mt-3">
+            <button
+              onClick={handleSaveNotes}
+              disabled={notes === (student.notes || '')}
+              className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 rounded-md"
+            >
+              حفظ الملاحظات
+            </button>
+          </div>
+        )}
+      </div>
+
+      {showEnrollModal && (
+        <EnrollStudentModal
+          onClose={() => setShowEnrollModal(false)}
+          onEnroll={addEnrollment}
+          students={students}
+          courses={courses}
           classes={classes}
+          enrollments={enrollments}
+          discountPolicies={discountPolicies}
+          exchangeRates={exchangeRates}
+          fixedStudentId={student.id}
         />
       )}
 
-      {showEditStudentModal && currentStudent && (
-        <EditStudentModal
-          student={currentStudent}
-          onClose={() => setShowEditStudentModal(false)}
-          onUpdateStudent={updateStudent}
-          classes={classes}
+      {discountEnrollment && (
+        <EnrollmentDiscountsModal
+          enrollment={discountEnrollment}
+          student={student}
+          courseName={getCourseName(discountEnrollment.courseId)}
+          discountPolicies={discountPolicies}
+          onClose={() => setDiscountEnrollment(null)}
+          onSave={updateEnrollmentDiscounts}
+        />
+      )}
+
+      {planEnrollment && (
+        <InstallmentPlanModal
+          enrollment={planEnrollment}
+          netPrice={getEnrollmentDiscounts(planEnrollment, student, discountPolicies).netPrice}
+          studentName={student.name}
+          courseName={getCourseName(planEnrollment.courseId)}
+          onClose={() => setPlanEnrollment(null)}
+          onSavePlan={updateInstallmentPlan}
         />
       )}
     </div>
@@ -3217,11 +9755,15 @@ const StudentsPage = ({ students, classes, addStudent, updateStudent, deleteStud
 };
 
 // ClassesPage component: Manages classes.
-const ClassesPage = ({ classes, students, instructors, addClass, updateClass, deleteClass, showConfirmModal }) => {
+const ClassesPage = ({ classes, students, instructors, courses, enrollments, discountPolicies, exchangeRates, addClass, updateClass, deleteClass, setClassStudents, repairClassMembership, addEnrollment, updateEnrollmentStatus, showConfirmModal, recordId, navigate }) => {
+  const { can } = usePermissions();
   const [showAddClassModal, setShowAddClassModal] = useState(false);
   const [showEditClassModal, setShowEditClassModal] = useState(false);
   const [showAssignStudentsModal, setShowAssignStudentsModal] = useState(false);
   const [showAssignInstructorsModal, setShowAssignInstructorsModal] = useState(false);
+  const [showEnrollmentsModal, setShowEnrollmentsModal] = useState(false);
+  const [showEnrollModal, setShowEnrollModal] = useState(false);
+  const [showMembershipCheck, setShowMembershipCheck] = useState(false);
   const [currentClass, setCurrentClass] = useState(null);
 
   const handleEditClick = (cls) => {
@@ -3243,6 +9785,20 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
     setShowAssignInstructorsModal(true);
   };
 
+  const handleEnrollmentsClick = (cls) => {
+    setCurrentClass(cls);
+    setShowEnrollmentsModal(true);
+  };
+
+  const handleWithdrawClick = (enrollment) => {
+    showConfirmModal("هل أنت متأكد أنك تريد سحب هذا الطالب من الدورة؟ سيتم إخراجه من الفصل.", () => updateEnrollmentStatus(enrollment.id, 'withdrawn'));
+  };
+
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'غير محددة';
+  };
+
   const getAssignedStudentsNames = (classStudentsIds) => {
     if (!classStudentsIds || classStudentsIds.length === 0) return 'لا يوجد';
     const assignedStudents = students.filter(s => classStudentsIds.includes(s.id));
@@ -3255,18 +9811,35 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
     return assignedInstructors.map(i => i.name).join(', ') || 'لا يوجد';
   };
 
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleClasses = recordId ? classes.filter(cls => cls.id === recordId) : classes;
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-semibold text-gray-700">إدارة الفصول</h2>
-        <button
-          onClick={() => setShowAddClassModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-        >
-          + إنشاء فصل جديد
-        </button>
+        <div className="flex">
+          {can('classes', 'edit') && (
+            <button
+              onClick={() => setShowMembershipCheck(true)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-3 px-6 rounded-lg shadow-md ml-3 rounded-md"
+            >
+              فحص تناسق الفصول
+            </button>
+          )}
+          {can('classes', 'create') && (
+            <button
+              onClick={() => setShowAddClassModal(true)}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+            >
+              + إنشاء فصل جديد
+            </button>
+          )}
+        </div>
       </div>
 
+      {recordId && <RecordFilterNotice found={visibleClasses.length > 0} onShowAll={() => navigate('classes')} />}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -3277,6 +9850,12 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 الوصف
               </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الدورة
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الجدول
+              </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 الطلاب المنسوبون
               </th>
@@ -3289,14 +9868,14 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {classes.length === 0 ? (
+            {visibleClasses.length === 0 ? (
               <tr>
-                <td colSpan="5" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                   لا توجد فصول مسجلة بعد.
                 </td>
               </tr>
             ) : (
-              classes.map((cls) => (
+              visibleClasses.map((cls) => (
                 <tr key={cls.id}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     {cls.name}
@@ -3304,6 +9883,21 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {cls.description || 'لا يوجد وصف'}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {getCourseName(cls.courseId)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {(cls.schedule || []).length === 0 ? 'بدون جدول' : (
+                      <>
+                        {cls.schedule.map((slot, index) => (
+                          <span key={index} className="block">
+                            {WEEKDAYS[slot.weekday]} {slot.startTime} - {slot.endTime}{slot.room ? ` (${slot.room})` : ''}
+                          </span>
+                        ))}
+                        <span className="block text-xs text-gray-400">{cls.termStart} - {cls.termEnd}</span>
+                      </>
+                    )}
+                  </td>
                   <td className="px-6 py-4 text-sm text-gray-500">
                     {getAssignedStudentsNames(cls.students)}
                   </td>
@@ -3311,30 +9905,46 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
                     {getAssignedInstructorsNames(cls.instructors)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleAssignStudentsClick(cls)}
-                      className="text-green-600 hover:text-green-900 ml-4"
-                    >
-                      تنسيب طلاب
-                    </button>
-                    <button
-                      onClick={() => handleAssignInstructorsClick(cls)}
-                      className="text-purple-600 hover:text-purple-900 ml-4"
-                    >
-                      تنسيب مدربين
-                    </button>
-                    <button
-                      onClick={() => handleEditClick(cls)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(cls.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
+                    {can('enrollments', 'view') && (
+                      <button
+                        onClick={() => handleEnrollmentsClick(cls)}
+                        className="text-indigo-600 hover:text-indigo-900 ml-4"
+                      >
+                        التسجيلات
+                      </button>
+                    )}
+                    {can('classes', 'edit') && (
+                      <button
+                        onClick={() => handleAssignStudentsClick(cls)}
+                        className="text-green-600 hover:text-green-900 ml-4"
+                      >
+                        تنسيب طلاب
+                      </button>
+                    )}
+                    {can('classes', 'edit') && (
+                      <button
+                        onClick={() => handleAssignInstructorsClick(cls)}
+                        className="text-purple-600 hover:text-purple-900 ml-4"
+                      >
+                        تنسيب مدربين
+                      </button>
+                    )}
+                    {can('classes', 'edit') && (
+                      <button
+                        onClick={() => handleEditClick(cls)}
+                        className="text-blue-600 hover:text-blue-900 ml-4"
+                      >
+                        تعديل
+                      </button>
+                    )}
+                    {can('classes', 'delete') && (
+                      <button
+                        onClick={() => handleDeleteClick(cls.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        حذف
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
@@ -3344,7 +9954,7 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
       </div>
 
       {showAddClassModal && (
-        <AddClassModal onClose={() => setShowAddClassModal(false)} onAddClass={addClass} />
+        <AddClassModal onClose={() => setShowAddClassModal(false)} onAddClass={addClass} courses={courses} instructors={instructors} classes={classes} students={students} />
       )}
 
       {showEditClassModal && currentClass && (
@@ -3352,6 +9962,10 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
           cls={currentClass}
           onClose={() => setShowEditClassModal(false)}
           onUpdateClass={updateClass}
+          courses={courses}
+          instructors={instructors}
+          classes={classes}
+          students={students}
         />
       )}
 
@@ -3359,8 +9973,9 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
         <AssignStudentsToClassModal
           cls={currentClass}
           students={students}
+          classes={classes}
           onClose={() => setShowAssignStudentsModal(false)}
-          onUpdateClass={updateClass}
+          onAssignStudents={setClassStudents}
         />
       )}
 
@@ -3368,16 +9983,53 @@ const ClassesPage = ({ classes, students, instructors, addClass, updateClass, de
         <AssignInstructorsToClassModal
           cls={currentClass}
           instructors={instructors}
+          classes={classes}
           onClose={() => setShowAssignInstructorsModal(false)}
           onUpdateClass={updateClass}
         />
       )}
+      {showEnrollmentsModal && currentClass && (
+        <ClassEnrollmentsModal
+          cls={currentClass}
+          enrollments={enrollments}
+          students={students}
+          courses={courses}
+          discountPolicies={discountPolicies}
+          onClose={() => setShowEnrollmentsModal(false)}
+          onEnrollClick={() => setShowEnrollModal(true)}
+          onWithdraw={handleWithdrawClick}
+        />
+      )}
+
+      {showEnrollModal && currentClass && (
+        <EnrollStudentModal
+          onClose={() => setShowEnrollModal(false)}
+          onEnroll={addEnrollment}
+          students={students}
+          courses={courses}
+          classes={classes}
+          enrollments={enrollments}
+          discountPolicies={discountPolicies}
+          exchangeRates={exchangeRates}
+          fixedClassId={currentClass.id}
+        />
+      )}
+
+      {showMembershipCheck && (
+        <MembershipCheckModal
+          students={students}
+          classes={classes}
+          onClose={() => setShowMembershipCheck(false)}
+          onRepair={repairClassMembership}
+        />
+      )}
     </div>
   );
 };
 
 // CoursesPage component: Manages courses.
-const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfirmModal }) => {
+const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfirmModal, recordId, navigate }) => {
+  const { can } = usePermissions();
   const [showAddCourseModal, setShowAddCourseModal] = useState(false);
   const [showEditCourseModal, setShowEditCourseModal] = useState(false);
   const [currentCourse, setCurrentCourse] = useState(null);
@@ -3391,18 +10043,25 @@ const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfi
     showConfirmModal("هل أنت متأكد أنك تريد حذف هذه الدورة؟", () => deleteCourse(courseId));
   };
 
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleCourses = recordId ? courses.filter(course => course.id === recordId) : courses;
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-semibold text-gray-700">إدارة الدورات</h2>
-        <button
-          onClick={() => setShowAddCourseModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-        >
-          + إضافة دورة جديدة
-        </button>
+        {can('courses', 'create') && (
+          <button
+            onClick={() => setShowAddCourseModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة دورة جديدة
+          </button>
+        )}
       </div>
 
+      {recordId && <RecordFilterNotice found={visibleCourses.length > 0} onShowAll={() => navigate('courses')} />}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -3411,7 +10070,7 @@ const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfi
                 اسم الدورة
               </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                السعر (د.ل)
+                السعر
               </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 الوصف
@@ -3422,37 +10081,147 @@ const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfi
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {courses.length === 0 ? (
+            {visibleCourses.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد دورات مسجلة بعد.
+                </td>
+              </tr>
+            ) : (
+              visibleCourses.map((course) => (
+                <tr key={course.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {course.name}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatCurrency(course.price, getCurrency(course))}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {course.description || 'لا يوجد وصف'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {can('courses', 'edit') && (
+                      <button
+                        onClick={() => handleEditClick(course)}
+                        className="text-blue-600 hover:text-blue-900 ml-4"
+                      >
+                        تعديل
+                      </button>
+                    )}
+                    {can('courses', 'delete') && (
+                      <button
+                        onClick={() => handleDeleteClick(course.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        حذف
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showAddCourseModal && (
+        <AddCourseModal onClose={() => setShowAddCourseModal(false)} onAddCourse={addCourse} />
+      )}
+
+      {showEditCourseModal && currentCourse && (
+        <EditCourseModal
+          course={currentCourse}
+          onClose={() => setShowEditCourseModal(false)}
+          onUpdateCourse={updateCourse}
+        />
+      )}
+    </div>
+  );
+};
+
+// DiscountPoliciesPage component: Manages the reusable discount policies applied to students and enrollments.
+const DiscountPoliciesPage = ({ discountPolicies, students, enrollments, addDiscountPolicy, updateDiscountPolicy, recordId, navigate }) => {
+  const { can } = usePermissions();
+  const [showAddPolicyModal, setShowAddPolicyModal] = useState(false);
+  const [currentPolicy, setCurrentPolicy] = useState(null);
+
+  const countStudents = (policyId) => students.filter(student => (student.discountPolicyIds || []).includes(policyId)).length;
+  const countEnrollments = (policyId) => enrollments.filter(en => (en.discountPolicyIds || []).includes(policyId)).length;
+
+  // Narrow the table to the linked record when opened from a deep link
+  const visiblePolicies = recordId ? discountPolicies.filter(policy => policy.id === recordId) : discountPolicies;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-700">سياسات الخصم</h2>
+        {can('discounts', 'create') && (
+          <button
+            onClick={() => setShowAddPolicyModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة سياسة خصم
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600">
+        تُربط الخصومات بالطالب (فتطبق على جميع تسجيلاته) أو بتسجيل واحد من ملف الطالب، وتُحتسب تلقائياً في المستحقات والتقارير.
+        الخصومات المؤرشفة لا تُربط بسجلات جديدة لكنها تبقى مطبقة حيث رُبطت سابقاً.
+      </p>
+
+      {recordId && <RecordFilterNotice found={visiblePolicies.length > 0} onShowAll={() => navigate('discounts')} />}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الاسم</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">النوع</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">القيمة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الطلاب</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">التسجيلات</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visiblePolicies.length === 0 ? (
               <tr>
-                <td colSpan="4" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
-                  لا توجد دورات مسجلة بعد.
+                <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد سياسات خصم بعد.
                 </td>
               </tr>
             ) : (
-              courses.map((course) => (
-                <tr key={course.id}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {course.name}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {course.price.toLocaleString()}
-                  </td>
-                  <td className="px-6 py-4 text-sm text-gray-500">
-                    {course.description || 'لا يوجد وصف'}
+              visiblePolicies.map(policy => (
+                <tr key={policy.id} className={policy.archived ? 'bg-gray-50' : ''}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{policy.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{DISCOUNT_POLICY_KINDS[policy.kind]}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDiscountPolicyValue(policy)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{countStudents(policy.id)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{countEnrollments(policy.id)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${policy.archived ? 'bg-gray-200 text-gray-800' : 'bg-green-100 text-green-800'}`}>
+                      {policy.archived ? 'مؤرشفة' : 'نشطة'}
+                    </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEditClick(course)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(course.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
+                    {can('discounts', 'edit') && (
+                      <>
+                        <button
+                          onClick={() => setCurrentPolicy(policy)}
+                          className="text-blue-600 hover:text-blue-900 ml-4"
+                        >
+                          تعديل
+                        </button>
+                        <button
+                          onClick={() => updateDiscountPolicy(policy.id, { archived: !policy.archived })}
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          {policy.archived ? 'استعادة' : 'أرشفة'}
+                        </button>
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
@@ -3461,15 +10230,16 @@ const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfi
         </table>
       </div>
 
-      {showAddCourseModal && (
-        <AddCourseModal onClose={() => setShowAddCourseModal(false)} onAddCourse={addCourse} />
+      {showAddPolicyModal && (
+        <DiscountPolicyModal onClose={() => setShowAddPolicyModal(false)} onSave={addDiscountPolicy} />
       )}
 
-      {showEditCourseModal && currentCourse && (
-        <EditCourseModal
-          course={currentCourse}
-          onClose={() => setShowEditCourseModal(false)}
-          onUpdateCourse={updateCourse}
+      {currentPolicy && (
+        <DiscountPolicyModal
+          policy={currentPolicy}
+          isInUse={isDiscountPolicyInUse(currentPolicy.id, students, enrollments)}
+          onClose={() => setCurrentPolicy(null)}
+          onSave={(updatedData) => updateDiscountPolicy(currentPolicy.id, updatedData)}
         />
       )}
     </div>
@@ -3477,7 +10247,8 @@ const CoursesPage = ({ courses, addCourse, updateCourse, deleteCourse, showConfi
 };
 
 // ExpensesPage component: Manages expense records.
-const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, showConfirmModal }) => {
+const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, showConfirmModal, recordId, navigate }) => {
+  const { can } = usePermissions();
   const [showAddExpenseModal, setShowAddExpenseModal] = useState(false);
   const [showEditExpenseModal, setShowEditExpenseModal] = useState(false);
   const [currentExpense, setCurrentExpense] = useState(null);
@@ -3497,18 +10268,25 @@ const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, show
     showConfirmModal("هل أنت متأكد أنك تريد حذف هذا المصروف؟", () => deleteExpense(expenseId));
   };
 
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleExpenses = recordId ? expenses.filter(expense => expense.id === recordId) : expenses;
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-semibold text-gray-700">إدارة المصاريف</h2>
-        <button
-          onClick={() => setShowAddExpenseModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-        >
-          + إضافة مصروف جديد
-        </button>
+        {can('expenses', 'create') && (
+          <button
+            onClick={() => setShowAddExpenseModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة مصروف جديد
+          </button>
+        )}
       </div>
 
+      {recordId && <RecordFilterNotice found={visibleExpenses.length > 0} onShowAll={() => navigate('expenses')} />}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -3517,7 +10295,7 @@ const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, show
                 الوصف
               </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                المبلغ (د.ل)
+                المبلغ ({CURRENCIES[BASE_CURRENCY].symbol})
               </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 الفئة
@@ -3531,14 +10309,14 @@ const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, show
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {expenses.length === 0 ? (
+            {visibleExpenses.length === 0 ? (
               <tr>
                 <td colSpan="5" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                   لا يوجد مصاريف مسجلة بعد.
                 </td>
               </tr>
             ) : (
-              expenses.map((expense) => (
+              visibleExpenses.map((expense) => (
                 <tr key={expense.id}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     {expense.description}
@@ -3553,18 +10331,22 @@ const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, show
                     {formatDate(expense.date)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEditClick(expense)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(expense.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
+                    {can('expenses', 'edit') && (
+                      <button
+                        onClick={() => handleEditClick(expense)}
+                        className="text-blue-600 hover:text-blue-900 ml-4"
+                      >
+                        تعديل
+                      </button>
+                    )}
+                    {can('expenses', 'delete') && (
+                      <button
+                        onClick={() => handleDeleteClick(expense.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        حذف
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
@@ -3588,8 +10370,220 @@ const ExpensesPage = ({ expenses, addExpense, updateExpense, deleteExpense, show
   );
 };
 
+// PayrollPage component: Instructor payroll runs computed from attendance sessions and course rates.
+const PayrollPage = ({ payrollRuns, instructors, courses, addPayrollRun, recalculatePayrollRun, approvePayrollRun, deletePayrollRun, showConfirmModal, recordId, navigate }) => {
+  const { can } = usePermissions();
+  const { addToast } = useNotification();
+  const today = new Date().toISOString().split('T')[0];
+  const [periodStart, setPeriodStart] = useState(`${today.slice(0, 7)}-01`);
+  const [periodEnd, setPeriodEnd] = useState(today);
+  const [errors, setErrors] = useState({});
+
+  const getInstructorName = (instructorId) => {
+    const instructor = instructors.find(inst => inst.id === instructorId);
+    return instructor ? instructor.name : 'مدرب محذوف';
+  };
+
+  const getCourseName = (courseId) => {
+    const course = courses.find(c => c.id === courseId);
+    return course ? course.name : 'دورة محذوفة';
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!periodStart) newErrors.periodStart = 'بداية الفترة مطلوبة.';
+    if (!periodEnd) newErrors.periodEnd = 'نهاية الفترة مطلوبة.';
+    else if (periodStart && periodEnd < periodStart) newErrors.periodEnd = 'يجب أن تكون نهاية الفترة بعد بدايتها.';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleCreateRun = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      addToast("الرجاء تصحيح الأخطاء في النموذج.", "error");
+      return;
+    }
+    const runId = await addPayrollRun({ periodStart, periodEnd });
+    if (runId) navigate('payroll', runId);
+  };
+
+  const handleApproveClick = (run) => {
+    const missingRates = run.lines.filter(line => line.rate === 0).length;
+    showConfirmModal(
+      `سيُعتمد مسير الفترة ${run.periodStart} - ${run.periodEnd} بإجمالي ${formatCurrency(run.total)} ويُرحل إلى المصاريف تحت بند "${PAYROLL_EXPENSE_CATEGORY}".${missingRates ? ` تنبيه: ${missingRates} من البنود بدون أجر محدد ولن تُصرف.` : ''}`,
+      () => approvePayrollRun(run)
+    );
+  };
+
+  const handleDeleteClick = (run) => {
+    showConfirmModal("هل أنت متأكد أنك تريد حذف مسودة مسير الرواتب هذه؟", () => deletePayrollRun(run));
+  };
+
+  // Latest period first; a deep link opens the run's lines
+  const sortedRuns = [...payrollRuns].sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+  const visibleRuns = recordId ? sortedRuns.filter(run => run.id === recordId) : sortedRuns;
+  const openRun = recordId ? visibleRuns[0] : null;
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-semibold text-gray-700">رواتب المدربين</h2>
+
+      <p className="text-sm text-gray-600">
+        تُحسب الرواتب من سجلات الحضور: كل فصل يدرسه المدرب في يوم واحد حصة، تُضرب في أجر المدرب لدورة الفصل.
+        يُحفظ المسير كمسودة للمراجعة، وعند اعتماده يُرحل راتب كل مدرب إلى المصاريف تحت بند "{PAYROLL_EXPENSE_CATEGORY}".
+      </p>
+
+      {can('payroll', 'create') && (
+        <form onSubmit={handleCreateRun} className="bg-white p-6 rounded-lg shadow-md rounded-md flex flex-wrap items-end gap-4">
+          <div>
+            <label htmlFor="payrollPeriodStart" className="block text-sm font-medium text-gray-700 mb-1">
+              من:
+            </label>
+            <input
+              type="date"
+              id="payrollPeriodStart"
+              value={periodStart}
+              onChange={(e) => { setPeriodStart(e.target.value); setErrors(prev => ({ ...prev, periodStart: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.periodStart ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.periodStart && <p className="text-red-500 text-xs mt-1">{errors.periodStart}</p>}
+          </div>
+          <div>
+            <label htmlFor="payrollPeriodEnd" className="block text-sm font-medium text-gray-700 mb-1">
+              إلى:
+            </label>
+            <input
+              type="date"
+              id="payrollPeriodEnd"
+              value={periodEnd}
+              onChange={(e) => { setPeriodEnd(e.target.value); setErrors(prev => ({ ...prev, periodEnd: '' })); }}
+              className={`mt-1 block w-full px-4 py-2 border ${errors.periodEnd ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md`}
+            />
+            {errors.periodEnd && <p className="text-red-500 text-xs mt-1">{errors.periodEnd}</p>}
+          </div>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 rounded-md"
+          >
+            حساب مسير الفترة
+          </button>
+        </form>
+      )}
+
+      {recordId && <RecordFilterNotice found={visibleRuns.length > 0} onShowAll={() => navigate('payroll')} />}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الفترة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحصص</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجمالي</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحالة</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">أنشأه / اعتمده</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الإجراءات</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleRuns.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا توجد مسيرات رواتب بعد.
+                </td>
+              </tr>
+            ) : (
+              visibleRuns.map(run => (
+                <tr key={run.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <a href={buildRoute('payroll', run.id)} className="text-blue-600 hover:underline">
+                      {run.periodStart} - {run.periodEnd}
+                    </a>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{run.lines.reduce((sum, line) => sum + line.sessions, 0)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(run.total)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${PAYROLL_STATUSES[run.status].badge}`}>
+                      {PAYROLL_STATUSES[run.status].label}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {run.createdBy}{run.approvedBy ? ` / ${run.approvedBy}` : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {run.status === 'draft' && can('payroll', 'create') && (
+                      <button onClick={() => recalculatePayrollRun(run)} className="text-blue-600 hover:text-blue-900 ml-4">
+                        إعادة الحساب
+                      </button>
+                    )}
+                    {run.status === 'draft' && can('payroll', 'approve') && (
+                      <button onClick={() => handleApproveClick(run)} className="text-green-600 hover:text-green-900 ml-4">
+                        اعتماد
+                      </button>
+                    )}
+                    {run.status === 'draft' && can('payroll', 'delete') && (
+                      <button onClick={() => handleDeleteClick(run)} className="text-red-600 hover:text-red-900">
+                        حذف
+                      </button>
+                    )}
+                    {run.status === 'approved' && (run.expenseIds || []).length > 0 && (
+                      <a href={buildRoute('expenses')} className="text-gray-600 hover:text-gray-900">
+                        عرض المصاريف
+                      </a>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {openRun && (
+        <div className="bg-white p-6 rounded-lg shadow-md rounded-md">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">بنود المسير {openRun.periodStart} - {openRun.periodEnd}</h3>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المدرب</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الدورة</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">الحصص</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">أجر الحصة</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">المبلغ</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {openRun.lines.map(line => (
+                <tr key={`${line.instructorId}-${line.courseId}`} className={line.rate === 0 ? 'bg-yellow-50' : ''}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    <a href={buildRoute('instructors', line.instructorId)} className="text-blue-600 hover:underline">
+                      {getInstructorName(line.instructorId)}
+                    </a>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{line.courseId ? getCourseName(line.courseId) : 'فصل بدون دورة'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{line.sessions}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">
+                    {line.rate === 0 ? <span className="text-yellow-700">أجر غير محدد</span> : formatCurrency(line.rate)}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{formatCurrency(line.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {openRun.status === 'draft' && openRun.lines.some(line => line.rate === 0) && (
+            <p className="text-xs text-yellow-700 mt-3">
+              البنود المظللة بدون أجر: حدد أجر المدرب للدورة من صفحة المدربين ثم أعد حساب المسير.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // InstructorsPage component: Manages instructor records.
-const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor, deleteInstructor, showConfirmModal }) => {
+const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor, deleteInstructor, showConfirmModal, recordId, navigate }) => {
+  const { can } = usePermissions();
   const [showAddInstructorModal, setShowAddInstructorModal] = useState(false);
   const [showEditInstructorModal, setShowEditInstructorModal] = useState(false);
   const [currentInstructor, setCurrentInstructor] = useState(null);
@@ -3610,24 +10604,31 @@ const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor
     return Object.entries(instructorCourseRates)
       .map(([courseId, rate]) => {
         const course = courses.find(c => c.id === courseId);
-        return course ? `${course.name}: ${rate.toLocaleString()} د.ل` : null;
+        return course ? `${course.name}: ${formatCurrency(rate)}` : null;
       })
       .filter(Boolean)
       .join(', ') || 'لا يوجد أجور محددة';
   };
 
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleInstructors = recordId ? instructors.filter(instructor => instructor.id === recordId) : instructors;
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-semibold text-gray-700">إدارة المدربين</h2>
-        <button
-          onClick={() => setShowAddInstructorModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
-        >
-          + إضافة مدرب جديد
-        </button>
+        {can('instructors', 'create') && (
+          <button
+            onClick={() => setShowAddInstructorModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة مدرب جديد
+          </button>
+        )}
       </div>
 
+      {recordId && <RecordFilterNotice found={visibleInstructors.length > 0} onShowAll={() => navigate('instructors')} />}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -3653,14 +10654,14 @@ const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {instructors.length === 0 ? (
+            {visibleInstructors.length === 0 ? (
               <tr>
                 <td colSpan="6" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                   لا يوجد مدربون مسجلون بعد.
                 </td>
               </tr>
             ) : (
-              instructors.map((instructor) => (
+              visibleInstructors.map((instructor) => (
                 <tr key={instructor.id}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     {instructor.name}
@@ -3678,18 +10679,22 @@ const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor
                     {getCourseRateDisplay(instructor.courseRates)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEditClick(instructor)}
-                      className="text-blue-600 hover:text-blue-900 ml-4"
-                    >
-                      تعديل
-                    </button>
-                    <button
-                      onClick={() => handleDeleteClick(instructor.id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      حذف
-                    </button>
+                    {can('instructors', 'edit') && (
+                      <button
+                        onClick={() => handleEditClick(instructor)}
+                        className="text-blue-600 hover:text-blue-900 ml-4"
+                      >
+                        تعديل
+                      </button>
+                    )}
+                    {can('instructors', 'delete') && (
+                      <button
+                        onClick={() => handleDeleteClick(instructor.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        حذف
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
@@ -3712,4 +10717,198 @@ const InstructorsPage = ({ instructors, courses, addInstructor, updateInstructor
       )}
     </div>
   );
-};
\ No newline at end of file
+};
+
+// UsersPage component: Manages user accounts and their roles.
+const UsersPage = ({ users, currentUserId, addUser, updateUser, recordId, navigate }) => {
+  const { can } = usePermissions();
+  const [showAddUserModal, setShowAddUserModal] = useState(false);
+  const [showEditUserModal, setShowEditUserModal] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+
+  const handleEditClick = (user) => {
+    setCurrentUser(user);
+    setShowEditUserModal(true);
+  };
+
+  // Narrow the table to the linked record when opened from a deep link
+  const visibleUsers = recordId ? users.filter(user => user.id === recordId) : users;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-700">إدارة المستخدمين</h2>
+        {can('users', 'create') && (
+          <button
+            onClick={() => setShowAddUserModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 rounded-md"
+          >
+            + إضافة مستخدم جديد
+          </button>
+        )}
+      </div>
+
+      {recordId && <RecordFilterNotice found={visibleUsers.length > 0} onShowAll={() => navigate('users')} />}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الاسم
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                البريد الإلكتروني
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الدور
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                الإجراءات
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleUsers.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                  لا يوجد مستخدمون مسجلون بعد.
+                </td>
+              </tr>
+            ) : (
+              visibleUsers.map((user) => (
+                <tr key={user.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {user.name || 'لا يوجد'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {user.email}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span
+                      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        ROLE_LABELS[user.role] ? 'bg-blue-100 text-blue-800' : 'bg-yellow-100 text-yellow-800'
+                      } rounded-full`}
+                    >
+                      {ROLE_LABELS[user.role] || 'بانتظار التفعيل'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {can('users', 'edit') && (
+                      <button
+                        onClick={() => handleEditClick(user)}
+                        className="text-blue-600 hover:text-blue-900 ml-4"
+                      >
+                        تعديل
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showAddUserModal && (
+        <AddUserModal onClose={() => setShowAddUserModal(false)} onAddUser={addUser} />
+      )}
+
+      {showEditUserModal && currentUser && (
+        <EditUserModal
+          user={currentUser}
+          onClose={() => setShowEditUserModal(false)}
+          onUpdateUser={updateUser}
+          isCurrentUser={currentUser.id === currentUserId}
+        />
+      )}
+    </div>
+  );
+};
+
+// LoginPage component: Email/password sign-in screen shown before the dashboard.
+const LoginPage = ({ onSignIn }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      setErrorMessage('الرجاء إدخال البريد الإلكتروني وكلمة المرور.');
+      return;
+    }
+    setIsSubmitting(true);
+    setErrorMessage('');
+    try {
+      await onSignIn(email.trim(), password);
+    } catch (error) {
+      console.error("Error signing in:", error);
+      setErrorMessage(getAuthErrorMessage(error));
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 font-sans text-gray-800">
+      <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-sm rounded-md">
+        <h1 className="text-2xl font-bold text-blue-600 mb-2 text-center">لوحة تحكم المركز التعليمي</h1>
+        <p className="text-sm text-gray-500 mb-6 text-center">سجّل الدخول للمتابعة</p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="loginEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              البريد الإلكتروني:
+            </label>
+            <input
+              type="email"
+              id="loginEmail"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="username"
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            />
+          </div>
+          <div>
+            <label htmlFor="loginPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              كلمة المرور:
+            </label>
+            <input
+              type="password"
+              id="loginPassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            />
+          </div>
+          {errorMessage && <p className="text-red-500 text-sm">{errorMessage}</p>}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-5 py-2 bg-blue-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 rounded-md"
+          >
+            {isSubmitting ? 'جاري تسجيل الدخول...' : 'تسجيل الدخول'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// PendingAccessPage component: Shown to signed-in accounts that have not been given a role yet.
+const PendingAccessPage = ({ currentUser, onSignOut }) => (
+  <div className="flex min-h-screen items-center justify-center bg-gray-50 font-sans text-gray-800">
+    <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md text-center rounded-md">
+      <h2 className="text-2xl font-semibold text-gray-700 mb-4">الحساب بانتظار التفعيل</h2>
+      <p className="text-gray-600 mb-2">تم تسجيل دخولك باسم {currentUser.email}.</p>
+      <p className="text-gray-600 mb-6">لم يتم تعيين دور لحسابك بعد. الرجاء التواصل مع مدير النظام.</p>
+      <button
+        onClick={onSignOut}
+        className="px-5 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none rounded-md"
+      >
+        تسجيل الخروج
+      </button>
+    </div>
+  </div>
+);
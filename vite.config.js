@@ -3,10 +3,8 @@ import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-<<<<<<< HEAD
-  base: './', // <--- تم التغيير هنا!
-=======
-  base: '/my-dashboard-app/', // هذا السطر هو الأهم للنشر على GitHub Pages
->>>>>>> 4cb9888017a580c2f1b8a32e32622fb9f20e7fff
+  // Must match the "homepage" path in package.json for GitHub Pages.
+  // Routes live in the URL hash (#/students/...), so no server rewrites are needed under this base path.
+  base: '/my-dashboard-app/',
   plugins: [react()],
 })